@@ -2,9 +2,20 @@
 import 'dotenv/config';
 import cors from 'cors';
 import express from 'express';
-import { fetchReddit } from '../sources/reddit.js';
-import Stripe from 'stripe';
-import { prisma } from 'db'; // Import Prisma client
+import { authenticate } from '../lib/auth.js';
+import analyticsRouter from '../routes/analytics.js';
+import billingRouter from '../routes/billing.js';
+import leadIoRouter from '../routes/lead-io.js';
+import leadsRouter from '../routes/leads.js';
+import orgsRouter from '../routes/orgs.js';
+import outreachRouter from '../routes/outreach.js';
+import profileRouter from '../routes/profile.js';
+import relevanceRouter from '../routes/relevance.js';
+import scoringRouter from '../routes/scoring.js';
+import searchesRouter from '../routes/searches.js';
+import sourcesRouter from '../routes/sources.js';
+import webhooksRouter from '../routes/webhooks.js';
+import workflowRouter from '../routes/workflow.js';
 
 const app = express();
 app.use(cors());
@@ -33,79 +44,60 @@ app.post('/api/signup', async (req, res) => {
   }
 });
 
-app.get('/api/me', async (req, res) => {
-  const { userId } = req.query || {}; // Expecting Supabase user ID
-  if (!userId) {
-    return res.json({ profile: null });
-  }
-  try {
-    const profile = await prisma.profile.findUnique({
-      where: { id: String(userId) },
-      select: { id: true, firstName: true, lastName: true, subscriptionStatus: true },
-    });
-    res.json({ profile: profile ? { id: profile.id, status: profile.subscriptionStatus } : null });
-  } catch (e) {
-    console.error('Get profile error:', e);
-    res.status(500).json({ error: 'Failed to fetch profile' });
-  }
+app.get('/api/me', authenticate, (req, res) => {
+  const { profile, access } = req.auth;
+  res.json({
+    profile: {
+      id: profile.id,
+      firstName: profile.first_name,
+      lastName: profile.last_name,
+      status: profile.subscription_status,
+      currentPeriodEnd: profile.current_period_end,
+      cancelAtPeriodEnd: profile.cancel_at_period_end,
+      hasBillingAccount: Boolean(profile.stripe_customer_id),
+    },
+    access,
+  });
 });
 
+// orgs and membership
+app.use(orgsRouter);
+
 // leads
-app.get('/api/leads', async (req, res) => {
-  const limit = Math.min(parseInt(req.query.limit || '50', 10), 100);
-  const offset = Math.max(parseInt(req.query.offset || '0', 10), 0);
-  try {
-    const leads = await prisma.lead.findMany({
-      take: limit,
-      skip: offset,
-      orderBy: { createdAt: 'desc' },
-    });
-    res.json(leads);
-  } catch (e) {
-    console.error('Fetch leads error:', e);
-    res.status(500).json({ error: 'Failed to fetch leads' });
-  }
-});
+app.use(leadsRouter);
 
-// checkout
-const {
-  STRIPE_SECRET,
-  PRICE_MONTHLY,
-  PRICE_ANNUAL,
-  SITE_URL = 'https://your-domain.vercel.app'
-} = process.env;
-const stripe = STRIPE_SECRET ? new Stripe(STRIPE_SECRET, { apiVersion: '2024-06-20' }) : null;
-
-app.post('/api/checkout', async (req, res) => {
-  if (!stripe) return res.status(500).json({ error: 'Stripe not configured' });
-  const { email, plan, userId } = req.body || {}; // Expecting userId from Supabase
-  if (!email || !userId || !['monthly','annual'].includes(plan)) return res.status(400).json({ error: 'email, userId, and plan=monthly|annual required' });
-  const price = plan === 'monthly' ? PRICE_MONTHLY : PRICE_ANNUAL;
-  if (!price) return res.status(500).json({ error: 'Stripe price IDs missing' });
+// lead export and import
+app.use(leadIoRouter);
 
-  try {
-    let customer = (await stripe.customers.list({ email, limit: 1 })).data[0];
-    if (!customer) customer = await stripe.customers.create({ email });
-
-    // Update profile with stripeCustomerId
-    await prisma.profile.update({
-      where: { id: userId },
-      data: { stripeCustomerId: customer.id },
-    });
-
-    const session = await stripe.checkout.sessions.create({
-      mode: 'subscription',
-      customer: customer.id,
-      line_items: [{ price, quantity: 1 }],
-      success_url: `${SITE_URL}/?session=success`,
-      cancel_url: `${SITE_URL}/?session=cancel`
-    });
-    res.json({ url: session.url });
-  } catch (e) {
-    console.error('Stripe checkout error:', e);
-    res.status(500).json({ error: 'Checkout failed' });
-  }
-});
+// market analytics
+app.use(analyticsRouter);
+
+// lead workflow
+app.use(workflowRouter);
+
+// scoring rule sets
+app.use(scoringRouter);
+
+// relevance feedback and models
+app.use(relevanceRouter);
+
+// skill profile
+app.use(profileRouter);
+
+// outreach
+app.use(outreachRouter);
+
+// saved searches
+app.use(searchesRouter);
+
+// outbound webhooks
+app.use(webhooksRouter);
+
+// lead source health
+app.use(sourcesRouter);
+
+// checkout and customer portal (the Stripe webhook is api/stripe-webhook.js)
+app.use(billingRouter);
 
 // export the handler for Vercel
 export default function handler(req, res) {
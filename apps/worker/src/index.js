@@ -0,0 +1,203 @@
+// apps/worker/src/index.js — BullMQ harvest, enrichment and model training worker
+//
+// One job scheduler per lead source (env sources plus active LeadSource rows,
+// re-synced every interval), plus one for lead enrichment, one for retraining
+// relevance models, one for re-scoring (after a model is activated or when an org
+// asks for it), one for lead expiry and retention, one for outreach
+// follow-up reminders (and messages stuck sending), one for webhook retries, one
+// for alert retries and one for daily alert digests. A Redis lock per
+// source guarantees a single run at a time across all worker processes; failed
+// runs retry with exponential backoff. Every run is recorded as a HarvestRun by lib/harvest.js.
+import 'dotenv/config';
+import crypto from 'node:crypto';
+import { Queue, Worker } from 'bullmq';
+import IORedis from 'ioredis';
+
+import { ALERT_RETRY_INTERVAL_MS, DIGEST_CHECK_INTERVAL_MS, retryAlerts, sendDailyDigests } from '../../../lib/alerts.js';
+import { processPendingEnrichment } from '../../../lib/enrichment/index.js';
+import { HARVEST_INTERVAL_MS, HARVEST_LOCK_TTL_MS, runSource } from '../../../lib/harvest.js';
+import { LIFECYCLE_INTERVAL_MS, runLifecycle } from '../../../lib/lifecycle.js';
+import { FOLLOW_UP_INTERVAL_MS, recoverStaleSending, sendFollowUpReminders } from '../../../lib/outreach.js';
+import { RESCORE_INTERVAL_MS, TRAIN_INTERVAL_MS, processPendingRescores, trainModels } from '../../../lib/relevance.js';
+import { processRescoreRuns } from '../../../lib/rulesets.js';
+import { WEBHOOK_RETRY_INTERVAL_MS, processDueDeliveries } from '../../../lib/webhooks.js';
+import { loadSources } from '../../../sources/index.js';
+
+const {
+  REDIS_URL,
+  HARVEST_QUEUE = 'harvest',
+  HARVEST_ATTEMPTS = '3',
+  HARVEST_BACKOFF_MS = '30000',
+  HARVEST_CONCURRENCY = '2',
+  ENRICHMENT_INTERVAL_MS = '60000',
+} = process.env;
+
+if (!REDIS_URL) {
+  console.error('REDIS_URL is required for the worker (server.js harvests in-process without it)');
+  process.exit(1);
+}
+
+// BullMQ needs maxRetriesPerRequest: null on connections used by workers
+const connection = new IORedis(REDIS_URL, { maxRetriesPerRequest: null });
+const queue = new Queue(HARVEST_QUEUE, { connection });
+
+const JOB_OPTS = {
+  attempts: Number(HARVEST_ATTEMPTS),
+  backoff: { type: 'exponential', delay: Number(HARVEST_BACKOFF_MS) },
+  removeOnComplete: { count: 500 },
+  removeOnFail: { count: 1000 },
+};
+
+const schedulerId = (name) => `source:${name}`;
+const ENRICHMENT_SCHEDULER = 'enrichment';
+const RELEVANCE_SCHEDULER = 'relevance';
+const RESCORE_SCHEDULER = 'rescore';
+const LIFECYCLE_SCHEDULER = 'lifecycle';
+const FOLLOW_UP_SCHEDULER = 'follow-ups';
+const WEBHOOK_SCHEDULER = 'webhooks';
+const ALERT_RETRY_SCHEDULER = 'alert-retries';
+const DIGEST_SCHEDULER = 'digests';
+
+// Add a scheduler for every configured source, drop the ones for removed sources
+async function syncSchedules() {
+  const sources = await loadSources();
+  const wanted = new Set([
+    ENRICHMENT_SCHEDULER, RELEVANCE_SCHEDULER, RESCORE_SCHEDULER, LIFECYCLE_SCHEDULER, FOLLOW_UP_SCHEDULER,
+    WEBHOOK_SCHEDULER, ALERT_RETRY_SCHEDULER, DIGEST_SCHEDULER,
+    ...sources.map(s => schedulerId(s.name)),
+  ]);
+  await queue.upsertJobScheduler(
+    ENRICHMENT_SCHEDULER,
+    { every: Number(ENRICHMENT_INTERVAL_MS) },
+    { name: 'enrich', data: {}, opts: JOB_OPTS },
+  );
+  await queue.upsertJobScheduler(
+    RELEVANCE_SCHEDULER,
+    { every: TRAIN_INTERVAL_MS },
+    { name: 'train', data: {}, opts: JOB_OPTS },
+  );
+  await queue.upsertJobScheduler(
+    RESCORE_SCHEDULER,
+    { every: RESCORE_INTERVAL_MS },
+    { name: 'rescore', data: {}, opts: JOB_OPTS },
+  );
+  await queue.upsertJobScheduler(
+    LIFECYCLE_SCHEDULER,
+    { every: LIFECYCLE_INTERVAL_MS },
+    { name: 'lifecycle', data: {}, opts: JOB_OPTS },
+  );
+  await queue.upsertJobScheduler(
+    FOLLOW_UP_SCHEDULER,
+    { every: FOLLOW_UP_INTERVAL_MS },
+    { name: 'follow-ups', data: {}, opts: JOB_OPTS },
+  );
+  await queue.upsertJobScheduler(
+    WEBHOOK_SCHEDULER,
+    { every: WEBHOOK_RETRY_INTERVAL_MS },
+    { name: 'webhooks', data: {}, opts: JOB_OPTS },
+  );
+  await queue.upsertJobScheduler(
+    ALERT_RETRY_SCHEDULER,
+    { every: ALERT_RETRY_INTERVAL_MS },
+    { name: 'alert-retries', data: {}, opts: JOB_OPTS },
+  );
+  await queue.upsertJobScheduler(
+    DIGEST_SCHEDULER,
+    { every: DIGEST_CHECK_INTERVAL_MS },
+    { name: 'digests', data: {}, opts: JOB_OPTS },
+  );
+  for (const source of sources) {
+    await queue.upsertJobScheduler(
+      schedulerId(source.name),
+      { every: HARVEST_INTERVAL_MS },
+      { name: 'harvest', data: { source: source.name }, opts: JOB_OPTS },
+    );
+  }
+  for (const scheduler of await queue.getJobSchedulers()) {
+    const id = scheduler.key || scheduler.id;
+    if (!wanted.has(id)) await queue.removeJobScheduler(id);
+  }
+  return sources.length;
+}
+
+// SET NX with a token; released only by its owner, so an expired lock taken over
+// by another worker is never deleted by the original holder
+const RELEASE = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end";
+
+async function withSourceLock(name, fn) {
+  const key = `${HARVEST_QUEUE}:lock:${name}`;
+  const token = crypto.randomUUID();
+  const acquired = await connection.set(key, token, 'PX', HARVEST_LOCK_TTL_MS, 'NX');
+  if (!acquired) return { skipped: 'already running' };
+  try {
+    return await fn();
+  } finally {
+    await connection.eval(RELEASE, 1, key, token).catch(e => console.error('Lock release error:', e));
+  }
+}
+
+const worker = new Worker(HARVEST_QUEUE, async (job) => {
+  if (job.name === 'enrich') {
+    return withSourceLock(ENRICHMENT_SCHEDULER, async () => ({ enriched: await processPendingEnrichment() }));
+  }
+  if (job.name === 'train') {
+    return withSourceLock(RELEVANCE_SCHEDULER, async () => ({ trained: await trainModels() }));
+  }
+  if (job.name === 'rescore') {
+    return withSourceLock(RESCORE_SCHEDULER, async () => ({
+      rescored: await processPendingRescores(),
+      runs: await processRescoreRuns(),
+    }));
+  }
+  if (job.name === 'lifecycle') {
+    return withSourceLock(LIFECYCLE_SCHEDULER, runLifecycle);
+  }
+  if (job.name === 'follow-ups') {
+    return withSourceLock(FOLLOW_UP_SCHEDULER, async () => ({
+      recovered: await recoverStaleSending(),
+      reminded: await sendFollowUpReminders(),
+    }));
+  }
+  if (job.name === 'webhooks') {
+    return withSourceLock(WEBHOOK_SCHEDULER, async () => ({ delivered: await processDueDeliveries() }));
+  }
+  if (job.name === 'alert-retries') {
+    return withSourceLock(ALERT_RETRY_SCHEDULER, async () => ({ sent: await retryAlerts() }));
+  }
+  if (job.name === 'digests') {
+    return withSourceLock(DIGEST_SCHEDULER, async () => ({ sent: await sendDailyDigests() }));
+  }
+  // the source config is read at run time so edits apply without re-scheduling
+  const source = (await loadSources()).find(s => s.name === job.data.source);
+  if (!source) return { skipped: 'source removed' };
+  return withSourceLock(source.name, async () => {
+    const run = await runSource(source, { jobId: job.id, attempt: job.attemptsMade + 1 });
+    return { runId: run.id, created: run.created };
+  });
+}, { connection, concurrency: Number(HARVEST_CONCURRENCY) });
+
+worker.on('failed', (job, err) => {
+  console.error(`harvest(${job?.data?.source}) attempt ${job?.attemptsMade} failed:`, err.message);
+});
+
+async function sync() {
+  try {
+    console.log(`Harvest schedules synced: ${await syncSchedules()} source(s)`);
+  } catch (e) {
+    console.error('syncSchedules() error:', e);
+  }
+}
+
+await sync();
+const syncTimer = setInterval(sync, HARVEST_INTERVAL_MS);
+
+async function shutdown(signal) {
+  console.log(`${signal} received, closing harvest worker`);
+  clearInterval(syncTimer);
+  await worker.close();
+  await queue.close();
+  await connection.quit();
+  process.exit(0);
+}
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
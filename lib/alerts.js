@@ -0,0 +1,165 @@
+// lib/alerts.js — match new leads against saved searches and deliver alerts
+//
+// Every (search, lead, channel) pair becomes one AlertDelivery row; its unique
+// key is what guarantees nobody is alerted about the same lead twice. Instant
+// searches are delivered right after each source run, daily ones by sendDailyDigests().
+// A failed send is retried by retryAlerts() with exponential backoff, and marked
+// failed for good after ALERT_MAX_ATTEMPTS.
+import { prisma } from 'db';
+
+import { matchesFilters } from './lead-filters.js';
+import { getNotifier } from './notifiers/index.js';
+
+const DIGEST_INTERVAL_MS = 24 * 3600 * 1000;
+const RETRY_BASE_MS = 60 * 1000; // 1m, 2m, 4m, ... about two hours over 8 attempts
+const CLAIM_MS = 5 * 60 * 1000;
+const { SITE_URL = 'http://localhost:8080', ALERT_MAX_ATTEMPTS = '8' } = process.env;
+
+export const ALERT_RETRY_INTERVAL_MS = 60 * 1000;
+// How often searches are checked for a due digest
+export const DIGEST_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+const retryDelay = (attempt) => RETRY_BASE_MS * 2 ** (attempt - 1);
+
+// Pending and not waiting out a backoff (or claimed by another run)
+const due = (now) => ({ status: 'pending', OR: [{ nextAttemptAt: null }, { nextAttemptAt: { lte: now } }] });
+
+export const CADENCES = ['instant', 'daily'];
+
+// An org search only alerts while its owner is still a member of the org
+async function ofMembers(searches) {
+  const orgSearches = searches.filter(s => s.orgId);
+  if (!orgSearches.length) return searches;
+  const members = await prisma.membership.findMany({
+    where: { OR: orgSearches.map(s => ({ userId: s.userId, orgId: s.orgId })) },
+    select: { userId: true, orgId: true },
+  });
+  const keys = new Set(members.map(m => `${m.userId}:${m.orgId}`));
+  return searches.filter(s => !s.orgId || keys.has(`${s.userId}:${s.orgId}`));
+}
+
+export async function queueAlerts(leads) {
+  if (!leads.length) return 0;
+  const searches = await ofMembers(await prisma.savedSearch.findMany({ where: { isActive: true } }));
+  const rows = [];
+  for (const search of searches) {
+    for (const lead of leads) {
+      // org-private leads only alert that org's searches
+      if (lead.orgId && search.orgId !== lead.orgId) continue;
+      if (!matchesFilters(lead, search.filters || {})) continue;
+      for (const channel of search.channels) {
+        rows.push({ savedSearchId: search.id, leadId: lead.id, channel });
+      }
+    }
+  }
+  if (!rows.length) return 0;
+  const { count } = await prisma.alertDelivery.createMany({ data: rows, skipDuplicates: true });
+  return count;
+}
+
+// Send every due alert of the given searches (only the retried ones with
+// `retries`), one message per search and channel
+async function deliver(searches, { retries = false } = {}) {
+  let sent = 0;
+  for (const search of await ofMembers(searches)) {
+    const now = new Date();
+    const lease = new Date(now.getTime() + CLAIM_MS);
+    // claim the rows first, so overlapping runs in other processes never send them twice
+    const { count } = await prisma.alertDelivery.updateMany({
+      where: { savedSearchId: search.id, ...due(now), ...(retries ? { attempts: { gt: 0 } } : {}) },
+      data: { nextAttemptAt: lease },
+    });
+    if (!count) continue;
+    const pending = await prisma.alertDelivery.findMany({
+      where: { savedSearchId: search.id, status: 'pending', nextAttemptAt: lease },
+      include: { lead: true },
+      orderBy: { createdAt: 'asc' },
+    });
+    const byChannel = new Map();
+    for (const d of pending) {
+      if (!byChannel.has(d.channel)) byChannel.set(d.channel, []);
+      byChannel.get(d.channel).push(d);
+    }
+    for (const [channel, deliveries] of byChannel) {
+      const ids = deliveries.map(d => d.id);
+      const notifier = getNotifier(channel);
+      const destination = search.destinations?.[channel];
+      try {
+        if (!notifier?.isConfigured()) throw new Error(`${channel} notifier is not configured`);
+        if (!destination) throw new Error(`no ${channel} destination on saved search`);
+        await notifier.send(destination, formatAlert(search, deliveries.map(d => d.lead)));
+        await prisma.alertDelivery.updateMany({
+          where: { id: { in: ids } },
+          data: { status: 'sent', sentAt: new Date(), attempts: { increment: 1 }, nextAttemptAt: null },
+        });
+        sent += ids.length;
+      } catch (e) {
+        console.error(`Alert delivery error (${search.id}/${channel}):`, e.message);
+        const attempt = Math.max(...deliveries.map(d => d.attempts)) + 1;
+        await prisma.alertDelivery.updateMany({
+          where: { id: { in: ids } },
+          data: { error: e.message, attempts: { increment: 1 }, nextAttemptAt: new Date(Date.now() + retryDelay(attempt)) },
+        });
+        await prisma.alertDelivery.updateMany({
+          where: { id: { in: ids }, attempts: { gte: Number(ALERT_MAX_ATTEMPTS) } },
+          data: { status: 'failed', nextAttemptAt: null },
+        });
+      }
+    }
+  }
+  return sent;
+}
+
+export async function sendInstantAlerts() {
+  const searches = await prisma.savedSearch.findMany({ where: { isActive: true, cadence: 'instant' } });
+  return deliver(searches);
+}
+
+export async function sendDailyDigests(now = new Date()) {
+  const due = new Date(now.getTime() - DIGEST_INTERVAL_MS);
+  const searches = await prisma.savedSearch.findMany({
+    where: {
+      isActive: true,
+      cadence: 'daily',
+      OR: [{ lastDigestAt: null }, { lastDigestAt: { lte: due } }],
+    },
+  });
+  const sent = await deliver(searches);
+  if (searches.length) {
+    await prisma.savedSearch.updateMany({
+      where: { id: { in: searches.map(s => s.id) } },
+      data: { lastDigestAt: now },
+    });
+  }
+  return sent;
+}
+
+// Failed sends whose backoff has elapsed, for instant and daily searches alike
+export async function retryAlerts() {
+  const rows = await prisma.alertDelivery.findMany({
+    where: { ...due(new Date()), attempts: { gt: 0 }, savedSearch: { isActive: true } },
+    distinct: ['savedSearchId'],
+    select: { savedSearch: true },
+  });
+  return deliver(rows.map(r => r.savedSearch), { retries: true });
+}
+
+// Called by runSource() with the leads it just inserted
+export async function notifyNewLeads(leads) {
+  try {
+    const queued = await queueAlerts(leads);
+    if (queued) await sendInstantAlerts();
+  } catch (e) {
+    console.error('notifyNewLeads() error:', e);
+  }
+}
+
+export function formatAlert(search, leads) {
+  const lines = leads.map(l => {
+    const budget = l.budget ? ` · ${l.budget}` : '';
+    return `• [${l.score}] ${l.title}${budget}\n  ${l.rawUrl}`;
+  });
+  const subject = `${leads.length} new lead${leads.length === 1 ? '' : 's'} for "${search.name}"`;
+  const text = `${subject}\n\n${lines.join('\n')}\n\nManage alerts: ${SITE_URL}/`;
+  return { subject, text };
+}
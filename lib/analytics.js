@@ -0,0 +1,257 @@
+// lib/analytics.js — aggregate market views over stored leads
+//
+// Every report covers one window of canonical leads (reposts would count the
+// same job twice) split into day, week or month buckets (UTC; weeks start on
+// Monday). Bucketing, counts and percentiles run in Postgres (date_trunc,
+// percentile_cont), so no report loads the window's leads into memory; results
+// are cached briefly per org and parameters.
+import { Prisma, prisma } from 'db';
+
+import { FilterError, PERIODS } from './lead-filters.js';
+import { visibleLeads } from './orgs.js';
+
+export const BUCKETS = ['day', 'week', 'month'];
+
+const DAY_MS = 24 * 3600 * 1000;
+const DEFAULT_DAYS = { day: 30, week: 182, month: 365 };
+const MAX_DAYS = 730;
+const CACHE_TTL_MS = Number(process.env.ANALYTICS_CACHE_SECONDS || 300) * 1000;
+
+// A location counts as remote when the post places no one anywhere in particular (Postgres regex, \y is \b)
+const REMOTE_SQL = '\\y(remote|anywhere|worldwide|global|(us|eu|uk)[-[:space:]]only)\\y';
+
+/**
+ * Query parameters (all optional):
+ *   bucket=day|week|month   default week
+ *   from, to                ISO dates; default the last 30 days / 26 weeks / 12 months
+ *   top=10                  tech keywords reported, most frequent first
+ *   period=hourly           budget period compared in the budget report (see lib/budget.js)
+ * `minFrom` clamps the window (trial history). Throws FilterError on invalid input.
+ */
+export function analyticsParams(query = {}, { minFrom = null } = {}) {
+  const bucket = query.bucket || 'week';
+  if (!BUCKETS.includes(bucket)) throw new FilterError(`bucket must be one of ${BUCKETS.join(', ')}`);
+  // the default end is rounded up to the minute so repeated calls share a cache entry
+  const to = query.to ? new Date(query.to) : new Date(Math.ceil(Date.now() / 60000) * 60000);
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_DAYS[bucket] * DAY_MS);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) throw new FilterError('from and to must be ISO dates');
+  if (from >= to) throw new FilterError('from must be before to');
+  if (to - from > MAX_DAYS * DAY_MS) throw new FilterError(`at most ${MAX_DAYS} days per report`);
+  const top = query.top == null || query.top === '' ? 10 : Number(query.top);
+  if (!Number.isInteger(top) || top < 1 || top > 50) throw new FilterError('top must be an integer from 1 to 50');
+  const period = query.period || 'hourly';
+  if (!PERIODS.includes(period)) throw new FilterError(`period must be one of ${PERIODS.join(', ')}`);
+  return { bucket, from: minFrom && from < minFrom ? minFrom : from, to, top, period };
+}
+
+// Start of the bucket holding `date`, as an ISO string
+export function bucketStart(date, bucket) {
+  const d = new Date(date);
+  const start = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), bucket === 'month' ? 1 : d.getUTCDate()));
+  if (bucket === 'week') start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  return start.toISOString();
+}
+
+// Every bucket key from `from` to `to`, so series have explicit zeros
+export function bucketKeys(from, to, bucket) {
+  const keys = [];
+  const cursor = new Date(bucketStart(from, bucket));
+  while (cursor < to) {
+    keys.push(cursor.toISOString());
+    if (bucket === 'month') cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+    else cursor.setUTCDate(cursor.getUTCDate() + (bucket === 'week' ? 7 : 1));
+  }
+  return keys;
+}
+
+const round = (x, places = 2) => (x == null ? null : Math.round(x * 10 ** places) / 10 ** places);
+
+const emptySeries = (keys) => Object.fromEntries(keys.map(k => [k, 0]));
+
+// --- SQL building blocks; every report is aggregated by the database
+
+// Canonical leads of the window visible to the org, as in visibleLeads() (lib/orgs.js)
+function windowWhere({ orgId, from, to }) {
+  return Prisma.sql`l."archivedAt" IS NULL AND l."isCanonical" AND l."createdAt" >= ${from} AND l."createdAt" < ${to}
+    AND ${orgId ? Prisma.sql`(l."orgId" IS NULL OR l."orgId" = ${orgId})` : Prisma.sql`l."orgId" IS NULL`}`;
+}
+
+// UTC bucket start; Postgres weeks start on Monday like bucketStart()
+function bucketSql(bucket) {
+  if (!BUCKETS.includes(bucket)) throw new FilterError(`bucket must be one of ${BUCKETS.join(', ')}`);
+  return Prisma.raw(`date_trunc('${bucket}', l."createdAt" AT TIME ZONE 'UTC')`);
+}
+
+// One USD figure per lead: the midpoint of a range, else whichever end was given
+const BUDGET_VALUE = Prisma.sql`CASE WHEN l."budgetUsdMin" IS NOT NULL AND l."budgetUsdMax" IS NOT NULL
+  THEN (l."budgetUsdMin" + l."budgetUsdMax") / 2 ELSE coalesce(l."budgetUsdMin", l."budgetUsdMax") END`;
+
+const QUARTILES = Prisma.sql`percentile_cont(ARRAY[0.25, 0.5, 0.75, 0.9]::float8[]) WITHIN GROUP (ORDER BY value)`;
+
+const keyOf = (date) => date.toISOString();
+
+function distribution(row) {
+  const [p25, median, p75, p90] = row?.p || [];
+  return { count: row?.count || 0, p25: round(p25), median: round(median), p75: round(p75), p90: round(p90) };
+}
+
+// --- reports; each takes the parsed params (plus orgId) and runs its own queries
+
+// Leads per tech keyword and bucket, for the `top` most frequent keywords
+export async function techDemand({ orgId, bucket, from, to, top }) {
+  const keys = bucketKeys(from, to, bucket);
+  const window = windowWhere({ orgId, from, to });
+  const [totals, rows] = await Promise.all([
+    prisma.$queryRaw`SELECT ${bucketSql(bucket)} AS bucket, count(*)::int AS n
+      FROM lead l WHERE ${window} GROUP BY 1`,
+    prisma.$queryRaw`WITH tagged AS (
+        SELECT DISTINCT l.id, ${bucketSql(bucket)} AS bucket, t.tech
+        FROM lead l CROSS JOIN unnest(l."techStack") AS t(tech) WHERE ${window}
+      ), ranked AS (
+        SELECT tech, count(*)::int AS total FROM tagged GROUP BY tech ORDER BY total DESC, tech ASC LIMIT ${top}
+      )
+      SELECT ranked.tech, ranked.total, tagged.bucket, count(*)::int AS n
+      FROM ranked JOIN tagged USING (tech) GROUP BY 1, 2, 3`,
+  ]);
+  const byTech = new Map();
+  for (const row of rows) {
+    if (!byTech.has(row.tech)) byTech.set(row.tech, { tech: row.tech, total: row.total, series: emptySeries(keys) });
+    byTech.get(row.tech).series[keyOf(row.bucket)] = row.n;
+  }
+  const totalSeries = emptySeries(keys);
+  for (const row of totals) totalSeries[keyOf(row.bucket)] = row.n;
+  const series = [...byTech.values()]
+    .sort((a, b) => b.total - a.total || a.tech.localeCompare(b.tech))
+    .map(({ tech, total, series: counts }) => ({ tech, total, counts: keys.map(k => counts[k] || 0) }));
+  return { buckets: keys, totals: keys.map(k => totalSeries[k] || 0), series };
+}
+
+// USD budget percentiles per stack (one budget period, so hourly rates and fixed prices never mix)
+export async function budgetTrends({ orgId, bucket, from, to, top, period }) {
+  const keys = bucketKeys(from, to, bucket);
+  const priced = Prisma.sql`SELECT l.id, l."techStack", ${bucketSql(bucket)} AS bucket, ${BUDGET_VALUE} AS value
+    FROM lead l WHERE ${windowWhere({ orgId, from, to })} AND l."budgetPeriod" = ${period}`;
+  // GROUPING SETS give the whole window (bucket null) and each bucket in one pass
+  const [overall, stacks] = await Promise.all([
+    prisma.$queryRaw`WITH priced AS (${priced})
+      SELECT bucket, count(*)::int AS count, ${QUARTILES} AS p
+      FROM priced WHERE value IS NOT NULL GROUP BY GROUPING SETS ((), (bucket))`,
+    prisma.$queryRaw`WITH priced AS (${priced}), tagged AS (
+        SELECT DISTINCT p.id, p.bucket, p.value, t.tech
+        FROM priced p CROSS JOIN unnest(p."techStack") AS t(tech) WHERE p.value IS NOT NULL
+      ), ranked AS (
+        SELECT tech, count(*) AS total FROM tagged GROUP BY tech ORDER BY total DESC, tech ASC LIMIT ${top}
+      )
+      SELECT tech, bucket, count(*)::int AS count, ${QUARTILES} AS p
+      FROM tagged WHERE tech IN (SELECT tech FROM ranked) GROUP BY GROUPING SETS ((tech), (tech, bucket))`,
+  ]);
+  const medians = (rows) => {
+    const byKey = new Map(rows.filter(r => r.bucket).map(r => [keyOf(r.bucket), round(r.p[1])]));
+    return keys.map(k => byKey.get(k) ?? null);
+  };
+  const byTech = new Map();
+  for (const row of stacks) {
+    if (!byTech.has(row.tech)) byTech.set(row.tech, []);
+    byTech.get(row.tech).push(row);
+  }
+  return {
+    period,
+    currency: 'USD',
+    buckets: keys,
+    overall: { ...distribution(overall.find(r => !r.bucket)), medians: medians(overall) },
+    stacks: [...byTech.entries()]
+      .map(([tech, rows]) => ({ tech, ...distribution(rows.find(r => !r.bucket)), medians: medians(rows) }))
+      .sort((a, b) => b.count - a.count || a.tech.localeCompare(b.tech)),
+  };
+}
+
+// Remote / on-site / unspecified share per bucket, plus the most named places
+export async function locationShare({ orgId, bucket, from, to, top }) {
+  const keys = bucketKeys(from, to, bucket);
+  const kinds = Prisma.sql`SELECT ${bucketSql(bucket)} AS bucket, lower(btrim(l.location, E' \\t\\r\\n')) AS place,
+      CASE WHEN coalesce(l.location, '') = '' THEN 'unknown' WHEN l.location ~* ${REMOTE_SQL} THEN 'remote' ELSE 'onsite' END AS kind
+    FROM lead l WHERE ${windowWhere({ orgId, from, to })}`;
+  const [rows, places] = await Promise.all([
+    prisma.$queryRaw`WITH k AS (${kinds}) SELECT bucket, kind, count(*)::int AS n FROM k GROUP BY 1, 2`,
+    prisma.$queryRaw`WITH k AS (${kinds}) SELECT place AS location, count(*)::int AS count
+      FROM k WHERE kind = 'onsite' GROUP BY 1 ORDER BY 2 DESC, 1 ASC LIMIT ${top}`,
+  ]);
+  const counts = Object.fromEntries(keys.map(k => [k, { remote: 0, onsite: 0, unknown: 0 }]));
+  for (const row of rows) {
+    const entry = counts[keyOf(row.bucket)];
+    if (entry) entry[row.kind] = row.n;
+  }
+  const share = (c, kind) => {
+    const total = c.remote + c.onsite + c.unknown;
+    return total ? round(c[kind] / total, 3) : null;
+  };
+  return {
+    buckets: keys,
+    series: keys.map(k => ({ ...counts[k], remoteShare: share(counts[k], 'remote') })),
+    topLocations: places,
+  };
+}
+
+// Per source: leads harvested, claimed and won in the org, and the rates between them
+export async function sourceYield({ orgId, bucket, from, to }) {
+  const keys = bucketKeys(from, to, bucket);
+  const claimed = orgId
+    ? Prisma.sql`count(*) FILTER (WHERE EXISTS (SELECT 1 FROM leadclaim c WHERE c."leadId" = l.id AND c."orgId" = ${orgId}))::int`
+    : Prisma.sql`0`;
+  const won = orgId
+    ? Prisma.sql`count(*) FILTER (WHERE EXISTS (SELECT 1 FROM leadstate s WHERE s."leadId" = l.id AND s."orgId" = ${orgId} AND s.status = 'won'))::int`
+    : Prisma.sql`0`;
+  const rows = await prisma.$queryRaw`SELECT l.source, ${bucketSql(bucket)} AS bucket, count(*)::int AS harvested,
+      sum(l.score)::float8 AS "scoreSum", ${claimed} AS claimed, ${won} AS won
+    FROM lead l WHERE ${windowWhere({ orgId, from, to })} GROUP BY 1, 2`;
+  const bySource = new Map();
+  for (const row of rows) {
+    if (!bySource.has(row.source)) {
+      bySource.set(row.source, { source: row.source, harvested: 0, claimed: 0, won: 0, scoreSum: 0, series: emptySeries(keys) });
+    }
+    const entry = bySource.get(row.source);
+    entry.harvested += row.harvested;
+    entry.claimed += row.claimed;
+    entry.won += row.won;
+    entry.scoreSum += row.scoreSum;
+    entry.series[keyOf(row.bucket)] = row.harvested;
+  }
+  const rate = (n, d) => (d ? round(n / d, 3) : null);
+  return {
+    buckets: keys,
+    sources: [...bySource.values()]
+      .sort((a, b) => b.harvested - a.harvested)
+      .map(({ scoreSum, series, ...s }) => ({
+        ...s,
+        avgScore: rate(scoreSum, s.harvested),
+        claimRate: rate(s.claimed, s.harvested),
+        winRate: rate(s.won, s.harvested),
+        counts: keys.map(k => series[k] || 0),
+      })),
+  };
+}
+
+export const REPORTS = { tech: techDemand, budgets: budgetTrends, locations: locationShare, sources: sourceYield };
+
+const cache = new Map();
+
+/**
+ * Run the named reports (keys of REPORTS) over the org's visible leads.
+ * Returns { bucket, from, to, [report]: result }.
+ */
+export async function runReports(names, { orgId = null, ...params }) {
+  const key = JSON.stringify([orgId, names, params]);
+  const hit = cache.get(key);
+  if (hit && hit.expires > Date.now()) return hit.value;
+
+  const [leads, ...results] = await Promise.all([
+    prisma.lead.count({ where: { ...visibleLeads(orgId), isCanonical: true, createdAt: { gte: params.from, lt: params.to } } }),
+    ...names.map(name => REPORTS[name]({ orgId, ...params })),
+  ]);
+  const value = { bucket: params.bucket, from: params.from.toISOString(), to: params.to.toISOString(), leads };
+  names.forEach((name, i) => { value[name] = results[i]; });
+
+  for (const [k, v] of cache) if (v.expires <= Date.now()) cache.delete(k);
+  cache.set(key, { value, expires: Date.now() + CACHE_TTL_MS });
+  return value;
+}
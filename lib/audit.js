@@ -0,0 +1,20 @@
+// lib/audit.js — AuditLog entries for every lead mutation
+import { prisma } from 'db';
+
+/**
+ * Build the create operation for an entry. Callers put it in the same
+ * $transaction as the change it describes (pass `db` inside interactive transactions).
+ */
+export function auditEntry(req, { userId = null, orgId = null, action, entityType, entityId, payload = {} }, db = prisma) {
+  return db.auditLog.create({
+    data: {
+      userId,
+      orgId,
+      action,
+      entityType,
+      entityId,
+      payload,
+      ipAddress: req?.ip || null,
+    },
+  });
+}
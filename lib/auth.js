@@ -0,0 +1,188 @@
+// lib/auth.js — Supabase access-token verification and subscription gating
+//
+// Tokens come from the `Authorization: Bearer <access_token>` header. Projects
+// using the legacy shared JWT secret sign with HS256 (SUPABASE_JWT_SECRET);
+// projects with asymmetric signing keys are verified against the project's JWKS.
+//
+// Error responses are always { error, code } with
+//   401 unauthenticated     — missing, malformed, expired or unverifiable token
+//   402 payment_required    — trial over, subscription canceled, or write while past_due
+//   403 forbidden           — authenticated but not allowed (no profile, wrong role)
+//   503 auth_unavailable    — the project's signing keys could not be fetched
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import { prisma } from 'db';
+
+const {
+  SUPABASE_JWT_SECRET,
+  SUPABASE_URL = process.env.NEXT_PUBLIC_SUPABASE_URL,
+  TRIAL_DAYS = '3',
+  TRIAL_PAGE_SIZE = '20',
+  TRIAL_HISTORY_DAYS = '7',
+} = process.env;
+
+const JWKS_TTL_MS = 10 * 60 * 1000;
+// tokens with an unknown kid refetch the keys at most this often
+const JWKS_REFETCH_COOLDOWN_MS = 30 * 1000;
+const CLOCK_SKEW_S = 30;
+const ALGORITHMS = {
+  HS256: null, // handled with the shared secret
+  RS256: { hash: 'sha256' },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+};
+
+export class AuthError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+let jwksCache = { keys: [], fetchedAt: 0, attemptedAt: 0 };
+let jwksFetch = null;
+
+const keysUnavailable = () => new AuthError(503, 'auth_unavailable', 'signing keys unavailable, retry shortly');
+
+async function fetchJwks() {
+  jwksCache.attemptedAt = Date.now();
+  try {
+    const r = await fetch(`${SUPABASE_URL}/auth/v1/.well-known/jwks.json`);
+    if (!r.ok) throw new Error(`JWKS HTTP ${r.status}`);
+    const { keys = [] } = await r.json();
+    jwksCache = { keys, fetchedAt: Date.now(), attemptedAt: Date.now() };
+  } catch (e) {
+    // keep verifying with the keys we have
+    console.error('JWKS fetch error:', e.message);
+    if (!jwksCache.fetchedAt) throw keysUnavailable();
+  }
+  return jwksCache.keys;
+}
+
+// `force` (an unknown kid: keys may have rotated) skips the TTL but not the cooldown,
+// so bogus kids can't make every request refetch; concurrent callers share one request
+async function jwks(force = false) {
+  if (!SUPABASE_URL) return [];
+  const now = Date.now();
+  const fresh = !force && now - jwksCache.fetchedAt < JWKS_TTL_MS;
+  if (fresh || now - jwksCache.attemptedAt < JWKS_REFETCH_COOLDOWN_MS) {
+    if (!jwksCache.fetchedAt) throw keysUnavailable();
+    return jwksCache.keys;
+  }
+  jwksFetch ||= fetchJwks().finally(() => { jwksFetch = null; });
+  return jwksFetch;
+}
+
+const b64json = (part) => JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+
+export async function verifyToken(token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) throw new AuthError(401, 'unauthenticated', 'malformed token');
+  let header, payload;
+  try {
+    header = b64json(parts[0]);
+    payload = b64json(parts[1]);
+  } catch {
+    throw new AuthError(401, 'unauthenticated', 'malformed token');
+  }
+  if (!Object.hasOwn(ALGORITHMS, header?.alg)) throw new AuthError(401, 'unauthenticated', `unsupported alg ${header.alg}`);
+
+  const signed = Buffer.from(`${parts[0]}.${parts[1]}`);
+  const signature = Buffer.from(parts[2], 'base64url');
+  let valid = false;
+  if (header.alg === 'HS256') {
+    if (!SUPABASE_JWT_SECRET) throw new AuthError(401, 'unauthenticated', 'HS256 tokens need SUPABASE_JWT_SECRET');
+    const expected = crypto.createHmac('sha256', SUPABASE_JWT_SECRET).update(signed).digest();
+    valid = expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  } else {
+    let jwk = (await jwks()).find(k => k.kid === header.kid);
+    if (!jwk) jwk = (await jwks(true)).find(k => k.kid === header.kid); // keys rotated
+    if (!jwk) throw new AuthError(401, 'unauthenticated', 'unknown signing key');
+    const { hash, dsaEncoding } = ALGORITHMS[header.alg];
+    const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    valid = crypto.verify(hash, signed, dsaEncoding ? { key, dsaEncoding } : key, signature);
+  }
+  if (!valid) throw new AuthError(401, 'unauthenticated', 'invalid token signature');
+
+  const now = Math.floor(Date.now() / 1000);
+  if (!Number.isFinite(payload.exp)) throw new AuthError(401, 'unauthenticated', 'token has no expiry');
+  if (payload.exp + CLOCK_SKEW_S < now) throw new AuthError(401, 'unauthenticated', 'token expired');
+  if (payload.nbf != null && !(payload.nbf - CLOCK_SKEW_S <= now)) throw new AuthError(401, 'unauthenticated', 'token not yet valid');
+  if (payload.aud && ![].concat(payload.aud).includes('authenticated')) {
+    throw new AuthError(401, 'unauthenticated', 'token audience is not authenticated');
+  }
+  if (!payload.sub) throw new AuthError(401, 'unauthenticated', 'token has no subject');
+  return payload;
+}
+
+/**
+ * What a profile may do, from its subscription status:
+ *   active, trialing     full access
+ *   trial                full access with limits while the app trial lasts, then 402
+ *   past_due             read-only
+ *   anything else        blocked (canceled, unpaid, incomplete_expired, ...)
+ */
+export function accessFor(profile, now = Date.now()) {
+  const status = profile?.subscription_status || 'trial';
+  if (status === 'active' || status === 'trialing') {
+    return { tier: 'paid', status, canRead: true, canWrite: true, limits: {} };
+  }
+  if (status === 'trial') {
+    const start = profile?.trial_start_ts || profile?.created_at || new Date(now);
+    const endsAt = new Date(new Date(start).getTime() + Number(TRIAL_DAYS) * 24 * 3600 * 1000);
+    const active = now < endsAt.getTime();
+    return {
+      tier: active ? 'trial' : 'expired',
+      status,
+      canRead: active,
+      canWrite: active,
+      trialEndsAt: endsAt.toISOString(),
+      limits: { pageSize: Number(TRIAL_PAGE_SIZE), historyDays: Number(TRIAL_HISTORY_DAYS) },
+    };
+  }
+  if (status === 'past_due') return { tier: 'read_only', status, canRead: true, canWrite: false, limits: {} };
+  return { tier: 'blocked', status, canRead: false, canWrite: false, limits: {} };
+}
+
+export function sendAuthError(res, e) {
+  return res.status(e.status).json({ error: e.message, code: e.code });
+}
+
+// Express middleware: verify the bearer token and attach req.auth = { userId, email, profile, access }
+export async function authenticate(req, res, next) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  try {
+    if (scheme?.toLowerCase() !== 'bearer' || !token) {
+      throw new AuthError(401, 'unauthenticated', 'Authorization: Bearer <token> required');
+    }
+    const claims = await verifyToken(token);
+    const profile = await prisma.profile.findUnique({ where: { id: claims.sub } });
+    if (!profile) throw new AuthError(403, 'forbidden', 'no profile for this user');
+    req.auth = { userId: profile.id, email: claims.email || null, profile, access: accessFor(profile) };
+    next();
+  } catch (e) {
+    if (e instanceof AuthError) return sendAuthError(res, e);
+    console.error('Authentication error:', e);
+    res.status(500).json({ error: 'Authentication failed' });
+  }
+}
+
+// Express middleware factory, used after authenticate(): 'read' or 'write'
+export function requireAccess(level = 'read') {
+  return (req, res, next) => {
+    const { access } = req.auth || {};
+    if (!access) return sendAuthError(res, new AuthError(401, 'unauthenticated', 'not authenticated'));
+    const allowed = level === 'write' ? access.canWrite : access.canRead;
+    if (allowed) return next();
+    const message = access.tier === 'expired'
+      ? 'trial has ended, subscribe to continue'
+      : access.tier === 'read_only'
+        ? 'payment past due, account is read-only until the invoice is paid'
+        : 'subscription inactive';
+    sendAuthError(res, new AuthError(402, 'payment_required', message));
+  };
+}
+
+export const requireRead = [authenticate, requireAccess('read')];
+export const requireWrite = [authenticate, requireAccess('write')];
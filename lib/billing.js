@@ -0,0 +1,266 @@
+// lib/billing.js — Stripe checkout, customer portal and webhook event processing
+//
+// server.js and api/stripe-webhook.js both pass verified events to processEvent().
+// Every event ID is stored in StripeEvent, so Stripe's retries and duplicate
+// deliveries are applied once. Failures are recorded and rethrown so the entry
+// point answers 5xx and Stripe retries later.
+import Stripe from 'stripe';
+
+const {
+  PORT = 8080,
+  STRIPE_SECRET,
+  STRIPE_WEBHOOK_SECRET,
+  PRICE_MONTHLY,
+  PRICE_ANNUAL,
+} = process.env;
+const SITE_URL = process.env.SITE_URL || process.env.APP_URL || `http://localhost:${PORT}`;
+
+export const stripe = STRIPE_SECRET ? new Stripe(STRIPE_SECRET, { apiVersion: '2024-06-20' }) : null;
+
+export const PLANS = { monthly: PRICE_MONTHLY, annual: PRICE_ANNUAL };
+
+// Statuses that end a subscription; an old subscription reaching one must not
+// overwrite the profile's newer subscription
+const ENDED = ['canceled', 'incomplete_expired'];
+
+const PROCESSING_TIMEOUT_MS = 10 * 60 * 1000; // a claim older than this was lost with its process
+
+// imported on first use, so event processing can be tested without a built db package
+const defaultDb = async () => (await import('db')).prisma;
+
+export class BillingError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function requireStripe() {
+  if (!stripe) throw new BillingError(500, 'Stripe not configured');
+  return stripe;
+}
+
+// The profile's Stripe customer, else a new one made for this user. Customers are
+// never looked up by email: that could bind someone else's. The idempotency key
+// lets concurrent checkouts share one customer, and only an unbound profile is bound.
+async function customerFor(userId, email, profile) {
+  if (profile.stripe_customer_id) return profile.stripe_customer_id;
+  const prisma = await defaultDb();
+  const customer = await stripe.customers.create(
+    { email, metadata: { userId } },
+    { idempotencyKey: `customer:${userId}:${email}` },
+  );
+  try {
+    const { count } = await prisma.profile.updateMany({
+      where: { id: userId, stripe_customer_id: null },
+      data: { stripe_customer_id: customer.id },
+    });
+    if (count) return customer.id;
+  } catch (e) {
+    if (e.code === 'P2002') throw new BillingError(409, 'billing account is linked to another user');
+    throw e;
+  }
+  // bound in the meantime (a concurrent checkout)
+  const current = await prisma.profile.findUnique({ where: { id: userId }, select: { stripe_customer_id: true } });
+  if (!current?.stripe_customer_id) throw new BillingError(404, 'profile not found');
+  return current.stripe_customer_id;
+}
+
+/**
+ * Start a subscription checkout. The Supabase user ID travels in the session and
+ * subscription metadata so webhooks can find the profile without guessing.
+ */
+export async function createCheckoutSession({ userId, email, profile, plan }) {
+  requireStripe();
+  if (!email || !(plan in PLANS)) throw new BillingError(400, 'plan=monthly|annual required (and an email on the account)');
+  const price = PLANS[plan];
+  if (!price) throw new BillingError(500, 'Stripe price IDs missing');
+
+  const customer = await customerFor(userId, email, profile);
+  return stripe.checkout.sessions.create({
+    mode: 'subscription',
+    customer,
+    client_reference_id: userId,
+    metadata: { userId, plan },
+    subscription_data: { metadata: { userId } },
+    line_items: [{ price, quantity: 1 }],
+    success_url: `${SITE_URL}/?session=success`,
+    cancel_url: `${SITE_URL}/?session=cancel`,
+  });
+}
+
+// Stripe-hosted page where users change plan, update cards or cancel
+export async function createPortalSession(profile) {
+  requireStripe();
+  if (!profile.stripe_customer_id) throw new BillingError(409, 'no billing account yet — start a checkout first');
+  return stripe.billingPortal.sessions.create({
+    customer: profile.stripe_customer_id,
+    return_url: `${SITE_URL}/`,
+  });
+}
+
+export function verifyEvent(rawBody, signature) {
+  if (!stripe || !STRIPE_WEBHOOK_SECRET) throw new BillingError(400, 'Stripe webhook not configured');
+  if (!signature) throw new BillingError(400, 'Missing Stripe-Signature header');
+  try {
+    return stripe.webhooks.constructEvent(rawBody, signature, STRIPE_WEBHOOK_SECRET);
+  } catch (e) {
+    throw new BillingError(400, `Webhook Error: ${e.message}`);
+  }
+}
+
+/**
+ * Apply a verified Stripe event once. Returns { duplicate } — true when the
+ * event was already processed or is being processed by a concurrent delivery.
+ * A delivery claims the event by creating its row, or by moving a failed (or
+ * stale processing) row back to processing; whoever loses the claim stops here.
+ */
+export async function processEvent(event, { db } = {}) {
+  db = db || await defaultDb();
+  try {
+    await db.stripeEvent.create({
+      data: { id: event.id, type: event.type, eventCreatedAt: new Date(event.created * 1000) },
+    });
+  } catch (e) {
+    if (e.code !== 'P2002') throw e;
+    const { count } = await db.stripeEvent.updateMany({
+      where: {
+        id: event.id,
+        OR: [{ status: 'failed' }, { status: 'processing', claimedAt: { lt: new Date(Date.now() - PROCESSING_TIMEOUT_MS) } }],
+      },
+      data: { status: 'processing', claimedAt: new Date(), error: null },
+    });
+    if (!count) return { duplicate: true };
+  }
+
+  try {
+    const userId = await applyEvent(event, db);
+    await db.stripeEvent.update({
+      where: { id: event.id },
+      data: { status: 'processed', processedAt: new Date(), error: null, userId: userId || null },
+    });
+    return { duplicate: false };
+  } catch (e) {
+    await db.stripeEvent.update({
+      where: { id: event.id },
+      data: { status: 'failed', error: String(e.message || e).slice(0, 1000) },
+    }).catch(err => console.error('StripeEvent update error:', err));
+    throw e;
+  }
+}
+
+// Returns the ID of the profile the event was applied to, if any
+async function applyEvent(event, db) {
+  const obj = event.data?.object ?? {};
+  const eventAt = new Date(event.created * 1000);
+
+  switch (event.type) {
+    case 'checkout.session.completed': {
+      if (obj.mode !== 'subscription') return null;
+      const userId = obj.metadata?.userId || obj.client_reference_id;
+      const profile = userId
+        ? await db.profile.findUnique({ where: { id: userId } })
+        : await profileFor(db, obj.customer);
+      if (!profile) return unmatched(event);
+      if (obj.customer && profile.stripe_customer_id !== obj.customer) {
+        await db.profile.update({ where: { id: profile.id }, data: { stripe_customer_id: obj.customer } });
+      }
+      // the session doesn't carry the subscription's status; ask Stripe instead of guessing
+      if (obj.subscription) {
+        const sub = await requireStripe().subscriptions.retrieve(obj.subscription);
+        await applySubscription(db, { ...profile, stripe_customer_id: obj.customer }, sub, new Date());
+      }
+      return profile.id;
+    }
+
+    case 'customer.subscription.created':
+    case 'customer.subscription.updated':
+    case 'customer.subscription.deleted':
+    case 'customer.subscription.paused':
+    case 'customer.subscription.resumed': {
+      const profile = await profileFor(db, obj.customer, obj.metadata?.userId);
+      if (!profile) return unmatched(event);
+      await applySubscription(db, profile, obj, eventAt);
+      return profile.id;
+    }
+
+    case 'customer.subscription.trial_will_end': {
+      const profile = await profileFor(db, obj.customer, obj.metadata?.userId);
+      if (!profile) return unmatched(event);
+      const endsAt = new Date(obj.trial_end * 1000).toUTCString();
+      await notifyCustomer(obj.customer, {
+        subject: 'Your Freelance Signal trial ends soon',
+        text: `Your trial ends ${endsAt}. Your plan starts automatically after that; manage or cancel it any time: ${SITE_URL}/?billing=portal`,
+      });
+      return profile.id;
+    }
+
+    case 'invoice.paid':
+    case 'invoice.payment_failed': {
+      if (!obj.subscription) return null;
+      const profile = await profileFor(db, obj.customer, obj.subscription_details?.metadata?.userId);
+      if (!profile) return unmatched(event);
+      // invoice events arrive in any order relative to subscription updates; re-read the subscription
+      const sub = await requireStripe().subscriptions.retrieve(obj.subscription);
+      await applySubscription(db, profile, sub, new Date());
+      if (event.type === 'invoice.payment_failed') {
+        await notifyCustomer(obj.customer, {
+          subject: 'Your Freelance Signal payment failed',
+          text: `We couldn't charge your card for your subscription. Update your payment method to keep full access: ${SITE_URL}/?billing=portal`,
+        }, obj.customer_email);
+      }
+      return profile.id;
+    }
+
+    default:
+      return null;
+  }
+}
+
+async function profileFor(db, customerId, userId) {
+  if (customerId) {
+    const profile = await db.profile.findUnique({ where: { stripe_customer_id: customerId } });
+    if (profile) return profile;
+  }
+  return userId ? db.profile.findUnique({ where: { id: userId } }) : null;
+}
+
+function unmatched(event) {
+  console.warn(`Stripe ${event.type} ${event.id}: no matching profile`);
+  return null;
+}
+
+/**
+ * Copy a subscription's state onto the profile. `asOf` is when that state was
+ * current (the event's created time, or now when re-read from Stripe); older
+ * state than what was last applied is skipped, since Stripe doesn't guarantee order.
+ */
+async function applySubscription(db, profile, sub, asOf) {
+  if (profile.billing_synced_at && asOf < profile.billing_synced_at) return;
+  if (profile.stripe_subscription_id && profile.stripe_subscription_id !== sub.id && ENDED.includes(sub.status)) return;
+  await db.profile.update({
+    where: { id: profile.id },
+    data: {
+      stripe_customer_id: sub.customer || profile.stripe_customer_id,
+      stripe_subscription_id: sub.id,
+      subscription_status: sub.status,
+      current_period_end: sub.current_period_end ? new Date(sub.current_period_end * 1000) : null,
+      cancel_at_period_end: Boolean(sub.cancel_at_period_end),
+      billing_synced_at: asOf,
+      updated_at: new Date(),
+    },
+  });
+}
+
+// Billing emails are best effort; a mail outage must not make Stripe retry the event.
+// The notifiers are imported on first use, so event processing loads without them.
+async function notifyCustomer(customerId, message, email = null) {
+  try {
+    const mail = (await import('./notifiers/index.js')).getNotifier('email');
+    if (!mail?.isConfigured()) return;
+    const to = email || (await requireStripe().customers.retrieve(customerId)).email;
+    if (to) await mail.send(to, message);
+  } catch (e) {
+    console.error('Billing email error:', e);
+  }
+}
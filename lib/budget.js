@@ -0,0 +1,134 @@
+// lib/budget.js — pull structured budgets out of free-text posts
+//
+// parseBudget('React dev, 5k-8k USD fixed') →
+//   { raw: '5k-8k USD fixed', min: 5000, max: 8000, currency: 'USD', period: 'fixed', usdMin: 5000, usdMax: 8000 }
+// Amounts are only recognised next to a currency marker (before or after them:
+// "$50", "50$", "1.5k€", "5-8k EUR"), so "5 years" is never a budget. The period
+// comes from a marker after the amount ("/hr", "per month") or a word before it
+// ("Hourly rate: $50"); without either it is null, not "fixed".
+
+// Offline USD value of one unit; override with BUDGET_USD_RATES="EUR=1.1,ETH=3200"
+export const DEFAULT_USD_RATES = {
+  USD: 1, EUR: 1.08, GBP: 1.27, CAD: 0.73, AUD: 0.66, NZD: 0.6, CHF: 1.12, INR: 0.012, JPY: 0.0067,
+  BTC: 60000, ETH: 3000, SOL: 150, USDT: 1, USDC: 1, DAI: 1,
+};
+
+const SYMBOLS = {
+  'US$': 'USD', 'C$': 'CAD', 'CA$': 'CAD', 'A$': 'AUD', 'AU$': 'AUD', 'NZ$': 'NZD',
+  '$': 'USD', '€': 'EUR', '£': 'GBP', '₹': 'INR', '¥': 'JPY',
+};
+const WORDS = { dollar: 'USD', dollars: 'USD', euro: 'EUR', euros: 'EUR', pound: 'GBP', pounds: 'GBP', rupees: 'INR' };
+const CODES = Object.keys(DEFAULT_USD_RATES);
+
+const SYM = '(?:US\\$|CA?\\$|AU?\\$|NZ\\$|\\$|€|£|₹|¥)';
+const CODE = `(?:${CODES.join('|')}|dollars?|euros?|pounds?|rupees)`;
+const NUM = '(?:\\d{1,3}(?:,\\d{3})+|\\d+)(?:\\.\\d+)?\\s*[kKmM]?(?![\\w])';
+const BUDGET_RE = new RegExp(
+  `(?:(?<![\\w])(?<pre>${CODE})\\s*)?(?<sym>${SYM})?\\s*(?<lo>${NUM})` +
+  `(?:\\s*(?:-|–|—|to)\\s*(?:${SYM})?\\s*(?<hi>${NUM}))?` +
+  `(?:\\s*(?<post>${CODE}(?![\\w])|${SYM}))?`,
+  'gi'
+);
+
+const PERIODS = [
+  ['hourly', /^\s*(?:\/\s*h(?:ou)?r\b|\/\s*h\b|per\s+hour|an\s+hour|hourly|p\/?h\b|ph\b)/i],
+  ['daily', /^\s*(?:\/\s*day\b|per\s+day|a\s+day|daily|p\/?d\b)/i],
+  ['weekly', /^\s*(?:\/\s*w(?:ee)?k\b|per\s+week|a\s+week|weekly)/i],
+  ['monthly', /^\s*(?:\/\s*mo(?:nth)?\b|per\s+month|a\s+month|monthly|p\/?m\b|pcm\b)/i],
+  ['yearly', /^\s*(?:\/\s*y(?:ea)?r\b|per\s+year|a\s+year|yearly|annually|p\/?a\b)/i],
+  ['fixed', /^\s*(?:fixed|flat|total|one[-\s]?off|for\s+the\s+(?:whole\s+)?project)/i],
+];
+
+// A period word shortly before the amount, in the same phrase: "Hourly rate: $50", "fixed price of $2k"
+const PERIODS_BEFORE = [
+  ['hourly', /\b(?:hourly|per\s+hour)\b[^.;\n\d]{0,20}$/i],
+  ['daily', /\b(?:daily|day\s+rate|per\s+day)\b[^.;\n\d]{0,20}$/i],
+  ['weekly', /\b(?:weekly|per\s+week)\b[^.;\n\d]{0,20}$/i],
+  ['monthly', /\b(?:monthly|per\s+month)\b[^.;\n\d]{0,20}$/i],
+  ['yearly', /\b(?:yearly|annual(?:ly)?|per\s+(?:year|annum))\b[^.;\n\d]{0,20}$/i],
+  ['fixed', /\b(?:fixed|flat)(?:\s+(?:price|fee|rate|budget))?\b[^.;\n\d]{0,20}$/i],
+];
+
+export function usdRates(env = process.env) {
+  const rates = { ...DEFAULT_USD_RATES };
+  for (const pair of String(env.BUDGET_USD_RATES || '').split(',')) {
+    const [code, value] = pair.split('=').map(s => s?.trim());
+    const n = parseFloat(value);
+    if (code && Number.isFinite(n)) rates[code.toUpperCase()] = n;
+  }
+  return rates;
+}
+
+function toNumber(str) {
+  const m = String(str).replace(/,/g, '').match(/^(\d+(?:\.\d+)?)\s*([kKmM])?$/);
+  if (!m) return NaN;
+  const mult = { k: 1e3, m: 1e6 }[(m[2] || '').toLowerCase()] || 1;
+  return parseFloat(m[1]) * mult;
+}
+
+function currencyOf(token) {
+  if (!token) return null;
+  const t = token.trim();
+  return SYMBOLS[t.toUpperCase()] || SYMBOLS[t] || WORDS[t.toLowerCase()] || t.toUpperCase();
+}
+
+// [period, matched text] for a period marker right after the amount
+function periodAfter(text) {
+  for (const [period, re] of PERIODS) {
+    const m = text.match(re);
+    if (m) return [period, m[0]];
+  }
+  return [null, ''];
+}
+
+function periodBefore(text) {
+  return PERIODS_BEFORE.find(([, re]) => re.test(text))?.[0] || null;
+}
+
+export function parseBudget(text, rates = usdRates()) {
+  if (!text) return null;
+  for (const m of String(text).matchAll(BUDGET_RE)) {
+    const { pre, sym, lo, hi, post } = m.groups;
+    const currency = currencyOf(sym) || currencyOf(post) || currencyOf(pre);
+    if (!currency) continue;
+
+    let min = toNumber(lo);
+    let max = hi ? toNumber(hi) : min;
+    // "5-8k" means 5k-8k
+    const loMult = /[kKmM]\s*$/.test(lo);
+    const hiMult = hi && /[kKmM]\s*$/.test(hi);
+    if (hi && !loMult && hiMult) min = toNumber(lo.trim() + hi.trim().slice(-1));
+    if (!(min > 0)) continue;
+    if (!(max >= min)) max = min;
+
+    const tail = text.slice(m.index + m[0].length, m.index + m[0].length + 30);
+    const [after, periodText] = periodAfter(tail);
+    const period = after || periodBefore(text.slice(Math.max(0, m.index - 40), m.index));
+    const rate = rates[currency];
+    return {
+      raw: (m[0] + periodText).trim(),
+      min,
+      max,
+      currency,
+      period,
+      usdMin: rate ? round(min * rate) : null,
+      usdMax: rate ? round(max * rate) : null,
+    };
+  }
+  return null;
+}
+
+const round = (n) => Math.round(n * 100) / 100;
+
+// Lead columns for a parsed budget (all null when nothing was found)
+export function budgetColumns(budget) {
+  return {
+    budget: budget?.raw || '',
+    budgetMin: budget?.min ?? null,
+    budgetMax: budget?.max ?? null,
+    budgetCurrency: budget?.currency ?? null,
+    budgetPeriod: budget?.period ?? null,
+    budgetUsdMin: budget?.usdMin ?? null,
+    budgetUsdMax: budget?.usdMax ?? null,
+  };
+}
@@ -0,0 +1,128 @@
+// lib/contacts.js — pull ways to reach the poster out of a post
+//
+// extractContacts({ title, content, author, platform }) →
+//   [{ type: 'email', value: 'john@gmail.com', confidence: 0.8 }, ...]
+// Types: email, telegram, discord, linkedin, github, website, dm. Confidence is
+// how sure we are the value is the poster's own contact: a plain email is near
+// certain, a de-obfuscated one or a bare website link less so.
+import { prisma } from 'db';
+
+export const CONTACT_TYPES = ['email', 'telegram', 'discord', 'linkedin', 'github', 'website', 'dm'];
+
+const TLD = '[a-z]{2,24}';
+const EMAIL_RE = new RegExp(`\\b[a-z0-9][a-z0-9._%+-]*@[a-z0-9-]+(?:\\.[a-z0-9-]+)*\\.${TLD}\\b`, 'gi');
+const URL_RE = /\bhttps?:\/\/[^\s<>"')\]]+/gi;
+
+// Hosts that are platforms, not personal sites
+const NOT_WEBSITES = [
+  'reddit.com', 'redd.it', 'ycombinator.com', 'imgur.com', 'youtube.com', 'youtu.be', 'google.com',
+  't.me', 'telegram.me', 'discord.gg', 'discord.com', 'linkedin.com', 'github.com',
+];
+const FILE_EXTENSIONS = /\.(?:png|jpe?g|gif|svg|webp|pdf)$/i;
+const PLACEHOLDER_EMAILS = /@(?:example\.(?:com|org|net)|email\.com|domain\.com)$/i;
+const GITHUB_RESERVED = new Set(['about', 'features', 'orgs', 'topics', 'marketplace', 'sponsors', 'settings', 'login', 'join', 'pricing', 'enterprise']);
+
+const DM_RE = /\b(?:(?:dm|pm|message|inbox|ping|chat)\s+me|(?:send|shoot|drop)\s+(?:me\s+)?an?\s+(?:dm|pm|message|line|chat)|hit\s+me\s+up|reach\s+out|(?:dms?|pms?|inbox)\s+(?:are\s+|is\s+)?open)\b/i;
+
+/**
+ * Undo the usual address obfuscation: "john [at] gmail [dot] com",
+ * "john (at) gmail (dot) com", "john at gmail dot com", "john @ gmail . com".
+ * Bare "at"/"dot" words only count when both appear in a domain-like run.
+ */
+export function deobfuscate(text) {
+  return String(text || '')
+    .replace(/\s*[[({<]\s*(?:at|@)\s*[\])}>]\s*/gi, '@')
+    .replace(/\s*[[({<]\s*(?:dot|\.)\s*[\])}>]\s*/gi, '.')
+    .replace(/\b([a-z0-9._%+-]+)\s+at\s+([a-z0-9-]+(?:\s+dot\s+[a-z0-9-]+)+)\b/gi,
+      (_m, user, domain) => `${user}@${domain.replace(/\s+dot\s+/gi, '.')}`)
+    .replace(/\b([a-z0-9._%+-]+)\s+@\s+([a-z0-9-]+)\s*\.\s*([a-z]{2,24})\b/gi, '$1@$2.$3');
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+}
+
+const isPlatformHost = (host) => NOT_WEBSITES.some(h => host === h || host.endsWith(`.${h}`));
+
+function profileUrl(platform, author) {
+  if (!author || author === '[deleted]') return null;
+  if (platform === 'reddit') return `https://www.reddit.com/user/${author}`;
+  if (platform === 'hackernews') return `https://news.ycombinator.com/user?id=${author}`;
+  return `${platform}:${author}`;
+}
+
+export function extractContacts({ title = '', content = '', author = null, platform = null } = {}) {
+  const text = `${title}\n${content}`;
+  const found = new Map(); // type:value → contact, keeping the highest confidence
+  const add = (type, value, confidence) => {
+    if (!value) return;
+    const key = `${type}:${value.toLowerCase()}`;
+    const prev = found.get(key);
+    if (!prev || prev.confidence < confidence) found.set(key, { type, value, confidence });
+  };
+
+  // emails: plain first, then whatever only appears after de-obfuscation
+  const plain = new Set();
+  for (const m of text.matchAll(EMAIL_RE)) {
+    const email = m[0].toLowerCase();
+    if (FILE_EXTENSIONS.test(email) || PLACEHOLDER_EMAILS.test(email)) continue;
+    plain.add(email);
+    add('email', email, 0.95);
+  }
+  for (const m of deobfuscate(text).matchAll(EMAIL_RE)) {
+    const email = m[0].toLowerCase();
+    if (plain.has(email) || FILE_EXTENSIONS.test(email) || PLACEHOLDER_EMAILS.test(email)) continue;
+    add('email', email, 0.8);
+  }
+
+  // telegram: t.me links are unambiguous, "@handle" only next to the word telegram/tg
+  for (const m of text.matchAll(/\b(?:t|telegram)\.me\/([a-z][a-z0-9_]{4,31})\b/gi)) add('telegram', `@${m[1]}`, 0.95);
+  for (const m of text.matchAll(/\b(?:telegram|tg)\b[^\n@]{0,20}@([a-z][a-z0-9_]{4,31})\b/gi)) add('telegram', `@${m[1]}`, 0.85);
+
+  // discord: a handle after the word discord, legacy name#1234 tags, server invites
+  for (const m of text.matchAll(/\bdiscord\b(?:\s+(?:is|handle|username|id))?\s*[:\-–—]\s*@?([a-z0-9_.]{2,32}(?:#\d{4})?)/gi)) {
+    add('discord', m[1], 0.8);
+  }
+  if (/\bdiscord\b/i.test(text)) {
+    for (const m of text.matchAll(/(?:^|[\s(])@?([a-z0-9_.]{2,32}#\d{4})\b/gim)) add('discord', m[1], 0.7);
+  }
+  for (const m of text.matchAll(/\b(?:discord\.gg|discord\.com\/invite)\/([a-z0-9-]{2,32})\b/gi)) {
+    add('discord', `https://discord.gg/${m[1]}`, 0.5);
+  }
+
+  // linkedin and github profiles
+  for (const m of text.matchAll(/\blinkedin\.com\/in\/([a-z0-9\-_%]{3,100})/gi)) add('linkedin', `https://www.linkedin.com/in/${m[1]}`, 0.9);
+  for (const m of text.matchAll(/\blinkedin\.com\/company\/([a-z0-9\-_%]{2,100})/gi)) add('linkedin', `https://www.linkedin.com/company/${m[1]}`, 0.6);
+  for (const m of text.matchAll(/\bgithub\.com\/([a-z0-9](?:[a-z0-9-]{0,38}))(?=[/\s)\].,]|$)/gi)) {
+    if (!GITHUB_RESERVED.has(m[1].toLowerCase())) add('github', `https://github.com/${m[1]}`, 0.7);
+  }
+
+  // other links are websites; more likely the poster's own when introduced as such
+  for (const m of text.matchAll(URL_RE)) {
+    const url = m[0].replace(/[.,;:!?]+$/, '');
+    const host = hostOf(url);
+    if (!host || isPlatformHost(host) || FILE_EXTENSIONS.test(url)) continue;
+    const before = text.slice(Math.max(0, m.index - 40), m.index);
+    const introduced = /\b(?:website|site|portfolio|company|our|my|apply|visit)\b/i.test(before);
+    add('website', url, introduced ? 0.7 : 0.5);
+  }
+
+  // "DM me" means the poster's own profile on the source platform is the contact
+  if (DM_RE.test(text)) add('dm', profileUrl(platform, author), 0.6);
+
+  return [...found.values()].sort((a, b) => b.confidence - a.confidence);
+}
+
+// Store a lead's contacts; (leadId, type, value) is unique so re-runs are safe
+export async function saveContacts(leadId, contacts) {
+  if (!contacts.length) return 0;
+  const { count } = await prisma.leadContact.createMany({
+    data: contacts.map(c => ({ leadId, ...c })),
+    skipDuplicates: true,
+  });
+  return count;
+}
@@ -0,0 +1,171 @@
+// lib/dedupe.js — near-duplicate detection for cross-posts and reposts
+//
+// Each lead gets a MinHash signature of the word set of its title + summary.
+// The share of equal signature slots estimates the Jaccard similarity of two
+// posts; at DEDUPE_MIN_SIMILARITY or above they are the same gig. To find
+// candidates without scanning the table, the signature is cut into bands
+// (LSH): posts that agree on every slot of at least one band are compared,
+// which catches ~99% of pairs at 0.7 similarity with a single indexed
+// `dedupeBands hasSome` query.
+
+// imported on first use, so the pure functions below load without a built db package
+const defaultDb = async () => (await import('db')).prisma;
+
+const SIGNATURE_SIZE = 64;
+const ROWS_PER_BAND = 4;
+
+// per-slot seeds, fixed so signatures stay comparable across deploys
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, i) => fmix32(0x9e3779b9 ^ (i * 0x85ebca6b)));
+
+const { DEDUPE_MIN_SIMILARITY = '0.65', DEDUPE_WINDOW_DAYS = '30' } = process.env;
+
+export function tokenize(text = '') {
+  return String(text)
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/\[(?:hiring|for hire|task|remote|paid|offer)\]/g, ' ') // subreddit tags differ per cross-post
+    .replace(/[^\p{L}\p{N}$€£]+/gu, ' ')
+    .split(' ')
+    .filter(Boolean);
+}
+
+function fnv1a32(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// murmur3 finalizer: cheap, well-mixed 32-bit permutation
+function fmix32(h) {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+// MinHash signature (array of signed 32-bit ints, as Postgres stores them), or [] for empty text
+export function signature(text) {
+  const words = [...new Set(tokenize(text))].map(fnv1a32);
+  if (!words.length) return [];
+  return SEEDS.map(seed => {
+    let min = 0xffffffff;
+    for (const w of words) {
+      const h = fmix32(w ^ seed);
+      if (h < min) min = h;
+    }
+    return min | 0;
+  });
+}
+
+export function bands(sig) {
+  const out = [];
+  for (let i = 0; i + ROWS_PER_BAND <= sig.length; i += ROWS_PER_BAND) {
+    const key = fnv1a32(sig.slice(i, i + ROWS_PER_BAND).join(','));
+    out.push(`${i / ROWS_PER_BAND}:${key.toString(16)}`);
+  }
+  return out;
+}
+
+export function similarity(a, b) {
+  if (!a?.length || a.length !== b?.length) return 0;
+  let same = 0;
+  for (let i = 0; i < a.length; i++) if (a[i] === b[i]) same++;
+  return same / a.length;
+}
+
+/**
+ * Find the most similar earlier lead that `sig` duplicates, among the leads
+ * visible in `orgId` (global leads only without one) that aren't archived.
+ * Returns the lead (with its cluster) or null.
+ */
+export async function findDuplicate(sig, { orgId = null, db, minSimilarity = Number(DEDUPE_MIN_SIMILARITY), windowDays = Number(DEDUPE_WINDOW_DAYS) } = {}) {
+  if (!sig?.length) return null;
+  db = db || await defaultDb();
+  const candidates = await db.lead.findMany({
+    where: {
+      dedupeBands: { hasSome: bands(sig) },
+      createdAt: { gte: new Date(Date.now() - windowDays * 24 * 3600 * 1000) },
+      // as visibleLeads() in lib/orgs.js: another org's private leads must not absorb this one
+      archivedAt: null,
+      OR: orgId ? [{ orgId: null }, { orgId }] : [{ orgId: null }],
+    },
+    include: { cluster: true },
+    take: 50,
+  });
+  let best = null;
+  let bestSimilarity = 0;
+  for (const lead of candidates) {
+    const s = similarity(sig, lead.minhash);
+    if (s >= minSimilarity && s > bestSimilarity) {
+      best = lead;
+      bestSimilarity = s;
+    }
+  }
+  return best;
+}
+
+// Number of times the post behind `duplicate` was seen before the new one
+export function repostCount(duplicate) {
+  if (!duplicate) return 0;
+  return (duplicate.cluster?.repostCount ?? 0) + 1;
+}
+
+/**
+ * Attach a freshly inserted lead to its duplicate's cluster, creating the
+ * cluster (with the duplicate as canonical lead) on the first repost.
+ */
+export async function attachToCluster(leadId, duplicate) {
+  const prisma = await defaultDb();
+  const now = new Date();
+  let clusterId = duplicate.clusterId;
+  if (clusterId) {
+    await prisma.leadCluster.update({
+      where: { id: clusterId },
+      data: { repostCount: { increment: 1 }, lastSeenAt: now },
+    });
+  } else {
+    const cluster = await prisma.leadCluster.create({
+      data: {
+        canonicalLeadId: duplicate.id,
+        repostCount: 1,
+        firstSeenAt: duplicate.createdAt,
+        lastSeenAt: now,
+      },
+    });
+    clusterId = cluster.id;
+    await prisma.lead.update({ where: { id: duplicate.id }, data: { clusterId } });
+  }
+  await prisma.lead.update({ where: { id: leadId }, data: { clusterId, isCanonical: false } });
+  return clusterId;
+}
+
+/**
+ * After leads were deleted or archived (lib/lifecycle.js), promote the oldest
+ * remaining post of each cluster that lost its canonical lead, and drop clusters
+ * left without a visible post.
+ */
+export async function repairClusters(clusterIds) {
+  const prisma = await defaultDb();
+  for (const id of clusterIds) {
+    const leads = await prisma.lead.findMany({
+      where: { clusterId: id, archivedAt: null },
+      orderBy: { createdAt: 'asc' },
+      select: { id: true, isCanonical: true },
+    });
+    if (!leads.length) {
+      await prisma.leadCluster.deleteMany({ where: { id } });
+      continue;
+    }
+    const canonical = leads.find(l => l.isCanonical) || leads[0];
+    await prisma.$transaction([
+      prisma.leadCluster.update({ where: { id }, data: { canonicalLeadId: canonical.id, repostCount: leads.length - 1 } }),
+      prisma.lead.updateMany({ where: { clusterId: id, isCanonical: true, id: { not: canonical.id } }, data: { isCanonical: false } }),
+      prisma.lead.update({ where: { id: canonical.id }, data: { isCanonical: true } }),
+    ]);
+  }
+}
@@ -0,0 +1,67 @@
+// lib/enrichment/company-domain.js — resolve the hiring company's domain
+//
+// The domain comes from a non-webmail email or a website contact; failing that,
+// the extracted company name is searched through SerpApi (SERP_API_KEY).
+// A domain that resolves in DNS is a cheap sign the company is real.
+import { promises as dns } from 'node:dns';
+import fetch from 'node-fetch';
+
+export const name = 'company-domain';
+export const ttlMs = 7 * 24 * 3600 * 1000;
+
+const WEBMAIL = new Set([
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'live.com', 'msn.com',
+  'icloud.com', 'me.com', 'aol.com', 'proton.me', 'protonmail.com', 'gmx.com', 'gmx.de', 'mail.com',
+  'mail.ru', 'yandex.ru', 'yandex.com', 'zoho.com', 'qq.com', '163.com',
+]);
+// search results on these hosts are never the company's own site
+const NOT_COMPANY_SITES = /(?:^|\.)(?:linkedin\.com|facebook\.com|wikipedia\.org|crunchbase\.com|glassdoor\.[a-z.]+|indeed\.com|reddit\.com|twitter\.com|x\.com|instagram\.com|youtube\.com|bloomberg\.com)$/i;
+
+const hostOf = (url) => {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+};
+
+export function keyFor(lead) {
+  const contacts = lead.leadContacts || [];
+  const email = contacts
+    .filter(c => c.type === 'email')
+    .map(c => c.value.split('@')[1]?.toLowerCase())
+    .find(d => d && !WEBMAIL.has(d));
+  if (email) return `domain:${email}`;
+  const site = contacts.filter(c => c.type === 'website').map(c => hostOf(c.value)).find(Boolean);
+  if (site) return `domain:${site}`;
+  if (lead.company) return `company:${lead.company.trim().toLowerCase()}`;
+  return null;
+}
+
+async function searchDomain(company) {
+  const { SERP_API_KEY } = process.env;
+  if (!SERP_API_KEY) return null;
+  const qs = new URLSearchParams({ engine: 'google', q: `${company} official website`, num: '5', api_key: SERP_API_KEY });
+  const r = await fetch(`https://serpapi.com/search.json?${qs}`);
+  if (!r.ok) throw new Error(`SerpApi search failed: HTTP ${r.status}`);
+  const { organic_results: results = [] } = await r.json();
+  return results.map(res => hostOf(res.link)).find(h => h && !NOT_COMPANY_SITES.test(h)) || null;
+}
+
+export async function lookup(key) {
+  const [kind, value] = [key.slice(0, key.indexOf(':')), key.slice(key.indexOf(':') + 1)];
+  const domain = kind === 'domain' ? value : await searchDomain(value);
+  if (!domain) return { status: 'not_found', data: { query: value } };
+  const [resolves, hasMx] = await Promise.all([
+    dns.resolve(domain).then(r => r.length > 0, () => false),
+    dns.resolveMx(domain).then(r => r.length > 0, () => false),
+  ]);
+  return {
+    status: resolves ? 'ok' : 'not_found',
+    data: { domain, via: kind === 'domain' ? 'contact' : 'search', resolves, hasMx },
+  };
+}
+
+export function signals(data, status) {
+  return { companyDomain: status === 'ok' && data.resolves ? 1 : 0 };
+}
@@ -0,0 +1,41 @@
+// lib/enrichment/github.js — GitHub profile of the account behind a mentioned repo or profile
+import fetch from 'node-fetch';
+
+export const name = 'github';
+export const ttlMs = 7 * 24 * 3600 * 1000;
+
+// Contacts store github.com/<owner> for both profile and repo links
+export function keyFor(lead) {
+  const contact = (lead.leadContacts || []).find(c => c.type === 'github');
+  return contact ? contact.value.replace(/\/+$/, '').split('/').pop().toLowerCase() : null;
+}
+
+export async function lookup(login) {
+  const headers = { Accept: 'application/vnd.github+json', 'User-Agent': 'freelance-signal/1.0' };
+  if (process.env.GITHUB_TOKEN) headers.Authorization = `Bearer ${process.env.GITHUB_TOKEN}`;
+  const r = await fetch(`https://api.github.com/users/${encodeURIComponent(login)}`, { headers });
+  if (r.status === 404) return { status: 'not_found', data: { login } };
+  if (!r.ok) throw new Error(`GitHub users/${login} failed: HTTP ${r.status}`);
+  const u = await r.json();
+  return {
+    status: 'ok',
+    data: {
+      login: u.login,
+      type: u.type, // User | Organization
+      createdAt: u.created_at,
+      publicRepos: u.public_repos ?? 0,
+      followers: u.followers ?? 0,
+      company: u.company || null,
+      blog: u.blog || null,
+    },
+  };
+}
+
+export function signals(data, status) {
+  if (status !== 'ok') return {};
+  return {
+    githubAgeDays: Math.floor((Date.now() - new Date(data.createdAt).getTime()) / (86400 * 1000)),
+    githubFollowers: data.followers,
+    githubPublicRepos: data.publicRepos,
+  };
+}
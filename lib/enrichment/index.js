@@ -0,0 +1,142 @@
+// lib/enrichment/index.js — run provider plugins over stored leads
+//
+// A provider is a module exporting
+//   name            stored as LeadEnrichment.provider
+//   ttlMs           how long a lookup is reused for other leads with the same key
+//   keyFor(lead)    what to look up (e.g. the Reddit username), or null when it doesn't apply
+//   lookup(key)     resolves to { status: 'ok' | 'not_found', data }
+//   signals(data, status)  numeric trust signals for the `signal` scoring rules
+// Leads are picked up by processPendingEnrichment() once stored (enrichedAt null),
+// then re-scored with the signals. A lead whose lookup failed (a 429, a timeout)
+// stays pending and is retried once ERROR_TTL_MS has passed, for as long as it is
+// inside ENRICHMENT_WINDOW_HOURS. Add a provider by registering it here.
+//
+// The Prisma client (and lib/rulesets.js, which needs it) is imported on first
+// use, so enrichLead() with a `db` of its own runs without one (test/).
+import * as companyDomain from './company-domain.js';
+import * as github from './github.js';
+import * as mock from './mock.js';
+import * as redditAuthor from './reddit-author.js';
+
+const {
+  ENRICHMENT_MOCK,
+  ENRICHMENT_BATCH = '25',
+  ENRICHMENT_WINDOW_HOURS = '48',
+} = process.env;
+
+const defaultDb = async () => (await import('db')).prisma;
+
+// failed lookups are retried for the next lead after this
+export const ERROR_TTL_MS = 15 * 60 * 1000;
+
+let providers = ENRICHMENT_MOCK === 'true' ? mock.providers : [redditAuthor, github, companyDomain];
+
+export function getProviders() {
+  return providers;
+}
+
+// Swap the provider list, e.g. for the stand-ins in ./mock.js
+export function useProviders(list) {
+  providers = list;
+}
+
+function cachedLookup(db, provider, key) {
+  return db.leadEnrichment.findFirst({
+    where: { provider: provider.name, cacheKey: key, status: { not: 'error' }, expiresAt: { gt: new Date() } },
+    orderBy: { createdAt: 'desc' },
+  });
+}
+
+// A lead is done once no provider failed for it
+export const isEnriched = (rows) => rows.every(r => r.status !== 'error');
+
+/**
+ * Run every applicable provider for one lead (with its leadContacts loaded) and
+ * store one LeadEnrichment per provider. Returns the stored rows. `db` is the
+ * Prisma client, replaceable in tests.
+ */
+export async function enrichLead(lead, { db } = {}) {
+  db = db || await defaultDb();
+  const rows = [];
+  for (const provider of providers) {
+    const key = provider.keyFor(lead);
+    if (!key) continue;
+
+    let result = await cachedLookup(db, provider, key);
+    if (!result) {
+      try {
+        const { status, data } = await provider.lookup(key);
+        result = { status, data, expiresAt: new Date(Date.now() + provider.ttlMs) };
+      } catch (e) {
+        console.error(`Enrichment ${provider.name}(${key}) error:`, e.message);
+        result = { status: 'error', data: { error: e.message }, expiresAt: new Date(Date.now() + ERROR_TTL_MS) };
+      }
+    }
+    const fields = {
+      cacheKey: key,
+      status: result.status,
+      data: result.data,
+      signals: result.status === 'error' ? {} : provider.signals(result.data, result.status),
+      expiresAt: result.expiresAt,
+    };
+    rows.push(await db.leadEnrichment.upsert({
+      where: { leadId_provider: { leadId: lead.id, provider: provider.name } },
+      create: { leadId: lead.id, provider: provider.name, ...fields },
+      update: { ...fields, createdAt: new Date() },
+    }));
+  }
+  return rows;
+}
+
+let running = false;
+
+/**
+ * Enrich recently stored leads that haven't been yet and re-score them with the
+ * trust signals. Called by the worker's enrichment job or, without Redis, on an
+ * interval in server.js. Overlapping calls in one process are skipped.
+ */
+export async function processPendingEnrichment({ batch = Number(ENRICHMENT_BATCH) } = {}) {
+  if (running) return 0;
+  running = true;
+  try {
+    const prisma = await defaultDb();
+    const { getActiveRuleSet, orgRuleSets, recordOrgScores, recordScore, scoreLead } = await import('../rulesets.js');
+    const since = new Date(Date.now() - Number(ENRICHMENT_WINDOW_HOURS) * 3600 * 1000);
+    const leads = await prisma.lead.findMany({
+      where: {
+        enrichedAt: null,
+        discoveredAt: { gte: since },
+        // failed lookups wait out ERROR_TTL_MS before the lead is tried again
+        leadEnrichments: { none: { status: 'error', expiresAt: { gt: new Date() } } },
+      },
+      orderBy: { discoveredAt: 'asc' },
+      take: batch,
+      include: { leadContacts: true, cluster: { select: { repostCount: true } } },
+    });
+    if (!leads.length) return 0;
+    // an org-private lead's score comes from its org's rules, a global lead's from the global set
+    const ruleSets = new Map();
+    const ruleSetFor = async (orgId) => {
+      if (!ruleSets.has(orgId)) ruleSets.set(orgId, await getActiveRuleSet(orgId));
+      return ruleSets.get(orgId);
+    };
+    const orgSets = await orgRuleSets();
+    for (const lead of leads) {
+      try {
+        const leadEnrichments = await enrichLead(lead);
+        const result = scoreLead({ ...lead, leadEnrichments }, await ruleSetFor(lead.orgId || null));
+        await prisma.lead.update({
+          where: { id: lead.id },
+          data: { enrichedAt: isEnriched(leadEnrichments) ? new Date() : null, score: result.score },
+        });
+        if (result.score !== lead.score) await recordScore(lead.id, result, lead.orgId || null);
+        await recordOrgScores({ ...lead, leadEnrichments }, orgSets);
+      } catch (e) {
+        console.error(`Enrich lead ${lead.id} error:`, e);
+      }
+    }
+    return leads.length;
+  } finally {
+    running = false;
+  }
+}
@@ -0,0 +1,53 @@
+// lib/enrichment/mock.js — offline stand-ins for the enrichment providers
+//
+// Same names, keys, TTLs and signals as the real providers; only lookup() is
+// replaced. Answers come from FIXTURES[provider][key] when present, else are
+// derived from the key so runs are repeatable: Reddit usernames containing
+// "throwaway" look like two-day-old accounts, everything else looks established.
+// Enable with ENRICHMENT_MOCK=true, or useProviders(providers) from a script.
+import * as companyDomain from './company-domain.js';
+import * as github from './github.js';
+import * as redditAuthor from './reddit-author.js';
+
+const DAY = 86400;
+
+export const FIXTURES = {
+  [redditAuthor.name]: {},
+  [github.name]: {},
+  [companyDomain.name]: {},
+};
+
+function standIn(real, fake) {
+  return {
+    name: real.name,
+    ttlMs: real.ttlMs,
+    keyFor: real.keyFor,
+    signals: real.signals,
+    lookup: async (key) => FIXTURES[real.name][key] ?? fake(key),
+  };
+}
+
+export const providers = [
+  standIn(redditAuthor, (username) => {
+    const throwaway = username.includes('throwaway');
+    return {
+      status: 'ok',
+      data: {
+        username,
+        createdUtc: Math.floor(Date.now() / 1000) - (throwaway ? 2 : 3 * 365) * DAY,
+        linkKarma: throwaway ? 1 : 1200,
+        commentKarma: throwaway ? 0 : 3400,
+        verifiedEmail: !throwaway,
+      },
+    };
+  }),
+  standIn(github, (login) => ({
+    status: 'ok',
+    data: { login, type: 'User', createdAt: '2016-01-01T00:00:00Z', publicRepos: 24, followers: 40, company: null, blog: null },
+  })),
+  standIn(companyDomain, (key) => {
+    const value = key.slice(key.indexOf(':') + 1);
+    const domain = key.startsWith('domain:') ? value : `${value.replace(/[^a-z0-9]+/g, '')}.com`;
+    return { status: 'ok', data: { domain, via: key.startsWith('domain:') ? 'contact' : 'search', resolves: true, hasMx: true } };
+  }),
+];
@@ -0,0 +1,43 @@
+// lib/enrichment/reddit-author.js — Reddit account age, karma and suspension
+import { getClient } from '../../sources/reddit-client.js';
+
+export const name = 'reddit-author';
+export const ttlMs = 24 * 3600 * 1000;
+
+export function keyFor(lead) {
+  // harvested posts are stored with source "Reddit"
+  if (lead.source?.toLowerCase() !== 'reddit' || !lead.author || lead.author === '[deleted]') return null;
+  return lead.author.toLowerCase();
+}
+
+export async function lookup(username, { reddit = getClient() } = {}) {
+  let about;
+  try {
+    about = await reddit.get(`/user/${encodeURIComponent(username)}/about`);
+  } catch (e) {
+    // deleted and shadow-banned accounts 404
+    if (/HTTP 404/.test(e.message)) return { status: 'not_found', data: { username } };
+    throw e;
+  }
+  const u = about?.data || {};
+  if (u.is_suspended) return { status: 'ok', data: { username: u.name || username, suspended: true } };
+  return {
+    status: 'ok',
+    data: {
+      username: u.name,
+      createdUtc: u.created_utc,
+      linkKarma: u.link_karma ?? 0,
+      commentKarma: u.comment_karma ?? 0,
+      verifiedEmail: Boolean(u.has_verified_email),
+    },
+  };
+}
+
+// authorSuspended also covers accounts that no longer exist
+export function signals(data, status) {
+  if (status === 'not_found' || data.suspended) return { authorSuspended: 1 };
+  return {
+    authorAgeDays: Math.floor((Date.now() / 1000 - data.createdUtc) / 86400),
+    authorKarma: data.linkKarma + data.commentKarma,
+  };
+}
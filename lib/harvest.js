@@ -0,0 +1,220 @@
+// lib/harvest.js — pull every registered source, score and store new leads
+//
+// With REDIS_URL set, apps/worker schedules runSource() per source through BullMQ.
+// Without Redis, server.js calls harvest() on an interval instead (local development).
+import { prisma } from 'db';
+
+import { scorePost } from '../scoring.js';
+import { getAdapter, loadSources } from '../sources/index.js';
+import { notifyNewLeads } from './alerts.js';
+import { budgetColumns } from './budget.js';
+import { extractContacts, saveContacts } from './contacts.js';
+import { attachToCluster, bands, findDuplicate, repostCount, signature } from './dedupe.js';
+import { publishLeadEvent } from './lead-events.js';
+import { techKeys } from './lead-filters.js';
+import { scoreWithModels } from './relevance.js';
+import { getActiveRuleSet, orgRuleSets, recordOrgScores, recordScore } from './rulesets.js';
+import { emitEvent, leadPayload } from './webhooks.js';
+
+export const HARVEST_INTERVAL_MS = Number(process.env.HARVEST_INTERVAL_MINUTES || 5) * 60 * 1000;
+// Upper bound on one run (the worker's per-source lock expires after it)
+export const HARVEST_LOCK_TTL_MS = Number(process.env.HARVEST_LOCK_TTL_MS || 900000);
+// Runs a post may fail to store in before it stops holding the source's cursors back
+const HARVEST_MAX_POST_ATTEMPTS = Number(process.env.HARVEST_MAX_POST_ATTEMPTS || 5);
+
+// Record a failed insert; returns true once the post has used up its attempts
+async function deadLetter(source, post, error) {
+  const message = String(error?.message || error).split('\n').pop().slice(0, 1000);
+  try {
+    const failure = await prisma.harvestFailure.upsert({
+      where: { source_url: { source: source.name, url: post.url } },
+      create: { source: source.name, url: post.url, error: message },
+      update: { attempts: { increment: 1 }, error: message, lastFailedAt: new Date() },
+    });
+    return failure.attempts >= HARVEST_MAX_POST_ATTEMPTS;
+  } catch (e) {
+    console.error('Record harvest failure error:', e);
+    return false;
+  }
+}
+
+// Returns the created leads and per-post counts for the HarvestRun. `ruleSet`
+// decides which posts are kept; `orgSets` (orgRuleSets()) score them for each org too.
+export async function harvestSource(source, ruleSet, orgSets = []) {
+  const adapter = getAdapter(source.type);
+  const posts = await adapter.fetchPosts(source.config);
+  const created = [];
+  const stats = { fetched: posts.length, duplicates: 0, skipped: 0, errors: 0, deadLettered: 0 };
+  for (const post of posts) {
+    const content = [post.title, post.content].filter(Boolean).join(' — ');
+    const minhash = signature(content);
+    const duplicate = await findDuplicate(minhash).catch(e => {
+      console.error('Duplicate lookup error:', e);
+      return null;
+    });
+    const signals = { reposts: repostCount(duplicate) };
+    const result = scorePost({ content, created_utc: post.created_utc, signals }, ruleSet);
+    const { score, company, location, techStack } = result;
+    if (score <= 0) { // Only keep leads with a positive score
+      stats.skipped++;
+      continue;
+    }
+    let createdLead;
+    try {
+      createdLead = await prisma.lead.create({
+        data: {
+          source: post.platform,
+          title: post.title.slice(0, 180),
+          summary: post.content.slice(0, 2000),
+          rawUrl: post.url,
+          author: post.author,
+          ...budgetColumns(result.budget),
+          score,
+          company,
+          location,
+          techStack,
+          techKeys: techKeys(techStack),
+          minhash,
+          dedupeBands: bands(minhash),
+        },
+      });
+    } catch (e) {
+      // Ignore duplicates (rawUrl is unique among global leads)
+      if (e.code === 'P2002') { // P2002 is Prisma's unique constraint violation code
+        stats.duplicates++;
+      } else {
+        stats.errors++;
+        console.error('Error inserting lead:', e);
+        if (await deadLetter(source, post, e)) stats.deadLettered++;
+      }
+      continue;
+    }
+    created.push(createdLead);
+    // the lead is stored: from here on failures are logged, never counted as insert errors
+    if (duplicate) {
+      try {
+        createdLead.clusterId = await attachToCluster(createdLead.id, duplicate);
+        createdLead.isCanonical = false;
+      } catch (e) {
+        console.error('Cluster attach error:', e);
+      }
+    }
+    // from the full post, before title/summary are truncated
+    const contacts = extractContacts({ title: post.title, content: post.content, author: post.author, platform: post.platform });
+    await saveContacts(createdLead.id, contacts).catch(e => console.error('Save contacts error:', e));
+    await emitEvent('lead.created', leadPayload(createdLead), { orgId: createdLead.orgId }).catch(e => console.error('Emit lead.created error:', e));
+    await publishLeadEvent('lead.created', createdLead).catch(e => console.error('Publish lead event error:', e));
+    await recordScore(createdLead.id, result).catch(e => console.error('Record score error:', e));
+    await recordOrgScores({ ...createdLead, cluster: { repostCount: signals.reposts } }, orgSets)
+      .catch(e => console.error('Record org scores error:', e));
+    await scoreWithModels(createdLead).catch(e => console.error('Relevance score error:', e));
+  }
+  // only now may the adapter move its cursors past these posts; after an insert
+  // error they stay put and the run's posts are fetched again (rawUrl dedupes them),
+  // unless every failed post has used up HARVEST_MAX_POST_ATTEMPTS
+  if (stats.errors === stats.deadLettered) await adapter.commitPosts?.(posts);
+  return { created, stats };
+}
+
+// A run still `running` after HARVEST_LOCK_TTL_MS died with its process; record it as failed
+function failAbandonedRuns(where = {}) {
+  return prisma.harvestRun.updateMany({
+    where: { ...where, status: 'running', startedAt: { lt: new Date(Date.now() - HARVEST_LOCK_TTL_MS) } },
+    data: { status: 'failed', error: 'abandoned: the process stopped before the run finished', finishedAt: new Date() },
+  });
+}
+
+/**
+ * Harvest one source and record it as a HarvestRun. Rethrows after recording a
+ * failure so the queue can retry the job.
+ */
+export async function runSource(source, { ruleSet, orgSets, trigger = 'schedule', jobId = null, attempt = 1 } = {}) {
+  await failAbandonedRuns({ source: source.name });
+  const run = await prisma.harvestRun.create({
+    data: { source: source.name, sourceType: source.type, trigger, jobId, attempt },
+  });
+  const startedAt = Date.now();
+  try {
+    const { created, stats } = await harvestSource(source, ruleSet || await getActiveRuleSet(), orgSets || await orgRuleSets());
+    const finished = await prisma.harvestRun.update({
+      where: { id: run.id },
+      data: { ...stats, created: created.length, status: 'success', finishedAt: new Date(), durationMs: Date.now() - startedAt },
+    });
+    if (created.length) console.log(`${source.name}: +${created.length} new leads`);
+    await notifyNewLeads(created).catch(e => console.error('notifyNewLeads() error:', e));
+    return finished;
+  } catch (e) {
+    await prisma.harvestRun.update({
+      where: { id: run.id },
+      data: { status: 'failed', error: String(e.message || e).slice(0, 1000), finishedAt: new Date(), durationMs: Date.now() - startedAt },
+    }).catch(err => console.error('HarvestRun update error:', err));
+    throw e;
+  }
+}
+
+// In-process fallback: sources still running from the previous tick are skipped
+const inFlight = new Set();
+
+export async function harvest() {
+  try {
+    const [sources, ruleSet, orgSets] = await Promise.all([loadSources(), getActiveRuleSet(), orgRuleSets()]);
+    for (const source of sources) {
+      if (inFlight.has(source.name)) continue;
+      inFlight.add(source.name);
+      try {
+        await runSource(source, { ruleSet, orgSets, trigger: 'in-process' });
+      } catch (e) {
+        console.error(`harvest(${source.name}) error:`, e);
+      } finally {
+        inFlight.delete(source.name);
+      }
+    }
+  } catch (e) {
+    console.error('harvest() error:', e);
+  }
+}
+
+/**
+ * Health of every configured source from its recent runs:
+ *   ok        last run succeeded
+ *   failing   last run failed (consecutiveFailures says for how long)
+ *   stale     no successful run for three intervals
+ *   never_run nothing recorded yet
+ */
+export async function sourceStatus({ since = new Date(Date.now() - 24 * 3600 * 1000) } = {}) {
+  const [sources] = await Promise.all([loadSources(), failAbandonedRuns()]);
+  return Promise.all(sources.map(async (source) => {
+    const [recent, lastSuccess, totals] = await Promise.all([
+      prisma.harvestRun.findMany({ where: { source: source.name }, orderBy: { startedAt: 'desc' }, take: 10 }),
+      prisma.harvestRun.findFirst({ where: { source: source.name, status: 'success' }, orderBy: { startedAt: 'desc' } }),
+      prisma.harvestRun.aggregate({
+        where: { source: source.name, startedAt: { gte: since }, status: { not: 'running' } },
+        _count: { _all: true },
+        _sum: { fetched: true, created: true, duplicates: true, skipped: true, errors: true, deadLettered: true },
+        _avg: { durationMs: true },
+      }),
+    ]);
+    const finished = recent.filter(r => r.status !== 'running');
+    const firstSuccess = finished.findIndex(r => r.status === 'success');
+    const consecutiveFailures = firstSuccess === -1 ? finished.length : firstSuccess;
+    const lastRun = finished[0] || null;
+    let health = 'ok';
+    if (!lastRun) health = 'never_run';
+    else if (lastRun.status === 'failed') health = 'failing';
+    else if (Date.now() - lastSuccess.startedAt.getTime() > 3 * HARVEST_INTERVAL_MS) health = 'stale';
+    return {
+      name: source.name,
+      type: source.type,
+      health,
+      running: recent[0]?.status === 'running',
+      consecutiveFailures,
+      lastRun,
+      lastSuccessAt: lastSuccess?.finishedAt || null,
+      last24h: {
+        runs: totals._count._all,
+        ...Object.fromEntries(Object.entries(totals._sum).map(([k, v]) => [k, v || 0])),
+        avgDurationMs: totals._avg.durationMs ? Math.round(totals._avg.durationMs) : null,
+      },
+    };
+  }));
+}
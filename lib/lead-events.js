@@ -0,0 +1,146 @@
+// lib/lead-events.js — live lead events behind GET /api/leads/stream
+//
+// publishLeadEvent(type, lead, { orgId }) appends to a capped event log and wakes
+// every subscriber. With REDIS_URL the log is a Redis stream (XADD), so leads harvested
+// by apps/worker reach the SSE clients of every server process; without it the
+// log is an in-memory ring buffer. Event ids are Redis stream ids ("<ms>-<seq>")
+// either way, which is what clients send back as Last-Event-ID to resume.
+import { EventEmitter } from 'node:events';
+
+const {
+  REDIS_URL,
+  LEAD_EVENTS_KEY = 'leads:events',
+  LEAD_EVENTS_MAX = '5000',
+} = process.env;
+
+const MAX_EVENTS = Number(LEAD_EVENTS_MAX);
+
+export const STREAM_EVENTS = ['lead.created', 'lead.status_changed', 'lead.expired'];
+
+// What a dashboard card needs; full rows also carry minhash and dedupe bands
+const LEAD_FIELDS = [
+  'id', 'source', 'title', 'summary', 'rawUrl', 'author', 'company', 'location', 'techStack',
+  'budget', 'budgetMin', 'budgetMax', 'budgetCurrency', 'budgetPeriod', 'budgetUsdMin', 'budgetUsdMax',
+  'score', 'status', 'orgId', 'clusterId', 'isCanonical', 'createdAt', 'expiredAt', 'expiryReason',
+];
+
+const pick = (lead) => Object.fromEntries(LEAD_FIELDS.filter(f => f in lead).map(f => [f, lead[f]]));
+
+// "<ms>-<seq>" ordering; anything unparsable sorts first
+function parseId(id) {
+  const [ms, seq] = String(id).split('-').map(Number);
+  return [Number.isFinite(ms) ? ms : -1, Number.isFinite(seq) ? seq : 0];
+}
+
+export function compareEventIds(a, b) {
+  const [am, as] = parseId(a);
+  const [bm, bs] = parseId(b);
+  return am - bm || as - bs;
+}
+
+export const isEventId = (id) => /^\d+-\d+$/.test(String(id));
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // one listener per open stream
+
+// --- in-memory log
+
+const buffer = [];
+let lastMs = 0;
+let lastSeq = 0;
+
+function nextId() {
+  const now = Date.now();
+  if (now > lastMs) {
+    lastMs = now;
+    lastSeq = 0;
+  } else lastSeq++;
+  return `${lastMs}-${lastSeq}`;
+}
+
+// --- Redis log
+
+let writer = null;
+let reader = null;
+
+async function redisClient() {
+  const { default: IORedis } = await import('ioredis');
+  return new IORedis(REDIS_URL, { maxRetriesPerRequest: null });
+}
+
+function connectWriter() {
+  writer ??= redisClient();
+  return writer;
+}
+
+const toEvent = ([id, fields]) => ({ id, ...JSON.parse(fields[fields.indexOf('event') + 1]) });
+
+// One blocking XREAD loop per process fans stream entries out to local subscribers
+async function readLoop() {
+  const redis = await redisClient();
+  const [latest] = await redis.xrevrange(LEAD_EVENTS_KEY, '+', '-', 'COUNT', 1);
+  let cursor = latest ? latest[0] : '0-0';
+  for (;;) {
+    try {
+      const result = await redis.xread('COUNT', 100, 'BLOCK', 30000, 'STREAMS', LEAD_EVENTS_KEY, cursor);
+      for (const [, entries] of result || []) {
+        for (const entry of entries) {
+          cursor = entry[0];
+          bus.emit('event', toEvent(entry));
+        }
+      }
+    } catch (e) {
+      console.error('Lead events read error:', e.message);
+      await new Promise(r => setTimeout(r, 5000));
+    }
+  }
+}
+
+/**
+ * Record a lead event. `type` is one of STREAM_EVENTS; `lead` is the row as
+ * stored (only the card fields are kept). Status changes are per org, so they
+ * carry the `orgId` whose subscribers alone receive them. Never throws: a
+ * missed live event must not fail the harvest or request that caused it.
+ */
+export async function publishLeadEvent(type, lead, { orgId = null } = {}) {
+  const payload = { type, lead: pick(lead), ...(orgId ? { orgId } : {}), at: new Date().toISOString() };
+  try {
+    if (REDIS_URL) {
+      const redis = await connectWriter();
+      await redis.xadd(LEAD_EVENTS_KEY, 'MAXLEN', '~', MAX_EVENTS, '*', 'event', JSON.stringify(payload));
+      return;
+    }
+    const event = { id: nextId(), ...payload };
+    buffer.push(event);
+    if (buffer.length > MAX_EVENTS) buffer.shift();
+    bus.emit('event', event);
+  } catch (e) {
+    console.error(`Publish ${type} error:`, e);
+  }
+}
+
+// Call `fn(event)` for every new event; returns the unsubscribe function
+export function subscribeLeadEvents(fn) {
+  if (REDIS_URL && !reader) reader = readLoop().catch(e => console.error('Lead events stream error:', e));
+  bus.on('event', fn);
+  return () => bus.off('event', fn);
+}
+
+/**
+ * Events after `lastId`, oldest first. `truncated` means the log no longer
+ * reaches back that far, so the caller has missed events and should reload.
+ */
+export async function leadEventsSince(lastId) {
+  let events;
+  let oldest;
+  if (REDIS_URL) {
+    const redis = await connectWriter();
+    const [first] = await redis.xrange(LEAD_EVENTS_KEY, '-', '+', 'COUNT', 1);
+    oldest = first?.[0];
+    events = (await redis.xrange(LEAD_EVENTS_KEY, `(${lastId}`, '+', 'COUNT', MAX_EVENTS)).map(toEvent);
+  } else {
+    oldest = buffer[0]?.id;
+    events = buffer.filter(e => compareEventIds(e.id, lastId) > 0);
+  }
+  return { events, truncated: Boolean(oldest) && compareEventIds(oldest, lastId) > 0 };
+}
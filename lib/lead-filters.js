@@ -0,0 +1,174 @@
+// lib/lead-filters.js — one filter vocabulary for lead lists, saved searches and exports
+//
+// filtersFromQuery() validates query-string style input into a plain filter
+// object (safe to store as JSON), leadWhere() turns that object into a Prisma
+// `where`, and leadOrderBy() / cursors handle stable keyset-style paging.
+import { statusOf } from './pipeline.js';
+
+export const PERIODS = ['hourly', 'daily', 'weekly', 'monthly', 'yearly', 'fixed'];
+
+export const SORTS = {
+  newest: [{ createdAt: 'desc' }, { id: 'desc' }],
+  oldest: [{ createdAt: 'asc' }, { id: 'asc' }],
+  score: [{ score: 'desc' }, { createdAt: 'desc' }, { id: 'desc' }],
+  budget: [{ budgetUsdMax: { sort: 'desc', nulls: 'last' } }, { createdAt: 'desc' }, { id: 'desc' }],
+};
+
+export class FilterError extends Error {}
+
+const list = (v) => (v == null || v === '' ? [] : (Array.isArray(v) ? v : String(v).split(',')))
+  .map(s => String(s).trim()).filter(Boolean);
+
+function number(name, v) {
+  if (v == null || v === '') return undefined;
+  const n = Number(v);
+  if (!Number.isFinite(n)) throw new FilterError(`${name} must be a number`);
+  return n;
+}
+
+function date(name, v) {
+  if (v == null || v === '') return undefined;
+  const d = new Date(v);
+  if (Number.isNaN(d.getTime())) throw new FilterError(`${name} must be an ISO date`);
+  return d.toISOString();
+}
+
+// "react native" remote → ['react native', 'remote']
+export function searchTerms(q = '') {
+  const terms = [];
+  for (const m of String(q).matchAll(/"([^"]+)"|(\S+)/g)) terms.push((m[1] || m[2]).trim());
+  return terms.filter(Boolean).slice(0, 10);
+}
+
+/**
+ * Query parameters (all optional):
+ *   tech=React,Node.js     any of these stacks     techAll=React,TypeScript  all of them (any case)
+ *   location=remote,berlin source=Reddit,RSS        status=new,contacted
+ *   minScore=5             from=2024-01-01  to=2024-02-01 (createdAt)
+ *                          minScore is on the displayed score (after age decay), which the
+ *                          database doesn't have: leadWhere() leaves it to the caller
+ *   q=free text            period, currency, minRate, maxRate (see lib/budget.js)
+ *   collapse=false         include reposts/cross-posts
+ * Throws FilterError on invalid input.
+ */
+export function filtersFromQuery(query = {}) {
+  const filters = {
+    tech: list(query.tech),
+    techAll: list(query.techAll),
+    location: list(query.location),
+    source: list(query.source),
+    status: list(query.status),
+    minScore: number('minScore', query.minScore),
+    from: date('from', query.from),
+    to: date('to', query.to),
+    q: query.q ? String(query.q).trim() : undefined,
+    period: query.period || undefined,
+    currency: query.currency ? String(query.currency).toUpperCase() : undefined,
+    minRate: number('minRate', query.minRate),
+    maxRate: number('maxRate', query.maxRate),
+    collapse: !(query.collapse === false || query.collapse === 'false'),
+  };
+  if (filters.period && !PERIODS.includes(filters.period)) {
+    throw new FilterError(`period must be one of ${PERIODS.join(', ')}`);
+  }
+  // drop empty values so stored filters stay small and comparable
+  for (const [k, v] of Object.entries(filters)) {
+    if (v === undefined || (Array.isArray(v) && !v.length)) delete filters[k];
+  }
+  return filters;
+}
+
+const insensitive = (values) => values.map(v => ({ equals: v, mode: 'insensitive' }));
+
+// Lead.techKeys: the lowercased techStack that tech filters match on (Prisma's
+// array filters have no case-insensitive mode)
+export function techKeys(techStack = []) {
+  return [...new Set(techStack.map(t => String(t).toLowerCase()))];
+}
+
+// Leads whose status in the org (see lib/pipeline.js) is one of `statuses`
+export function statusWhere(statuses, orgId = null) {
+  const derived = [];
+  if (statuses.includes('new')) derived.push({ expiredAt: null });
+  if (statuses.includes('expired')) derived.push({ expiredAt: { not: null } });
+  if (!orgId) return derived.length ? { OR: derived } : { id: { in: [] } };
+  return {
+    OR: [
+      { leadStates: { some: { orgId, status: { in: statuses } } } },
+      ...(derived.length ? [{ leadStates: { none: { orgId } }, OR: derived }] : []),
+    ],
+  };
+}
+
+// `orgId` is the org whose pipeline status=... filters on
+export function leadWhere(filters = {}, orgId = null) {
+  const and = [];
+  if (filters.collapse !== false) and.push({ isCanonical: true });
+  if (filters.tech?.length) and.push({ techKeys: { hasSome: techKeys(filters.tech) } });
+  if (filters.techAll?.length) and.push({ techKeys: { hasEvery: techKeys(filters.techAll) } });
+  if (filters.location?.length) and.push({ OR: insensitive(filters.location).map(location => ({ location })) });
+  if (filters.source?.length) and.push({ OR: insensitive(filters.source).map(source => ({ source })) });
+  if (filters.status?.length) and.push(statusWhere(filters.status, orgId));
+  if (filters.from) and.push({ createdAt: { gte: new Date(filters.from) } });
+  if (filters.to) and.push({ createdAt: { lt: new Date(filters.to) } });
+  for (const term of searchTerms(filters.q)) {
+    and.push({
+      OR: [
+        { title: { contains: term, mode: 'insensitive' } },
+        { summary: { contains: term, mode: 'insensitive' } },
+      ],
+    });
+  }
+  if (filters.period) and.push({ budgetPeriod: filters.period });
+  if (filters.currency) and.push({ budgetCurrency: filters.currency });
+  if (filters.minRate != null) and.push({ budgetUsdMax: { gte: filters.minRate } });
+  if (filters.maxRate != null) and.push({ budgetUsdMin: { lte: filters.maxRate } });
+  return and.length ? { AND: and } : {};
+}
+
+export function leadOrderBy(sort = 'newest') {
+  if (!SORTS[sort]) throw new FilterError(`sort must be one of ${Object.keys(SORTS).join(', ')}`);
+  return SORTS[sort];
+}
+
+// Opaque page token: the last row's id plus the sort it belongs to
+export function encodeCursor(id, sort) {
+  return Buffer.from(JSON.stringify({ id, sort })).toString('base64url');
+}
+
+export function decodeCursor(token, sort) {
+  if (!token) return null;
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+  } catch {
+    throw new FilterError('invalid cursor');
+  }
+  if (!parsed?.id || parsed.sort !== sort) throw new FilterError('cursor does not match this sort order');
+  return parsed.id;
+}
+
+// Does an in-memory lead pass the filters? Used where rows arrive one by one (alerts, streams);
+// a lead without a `status` of its own is matched on its derived status, and one
+// without a `currentScore` (fresh leads, nothing to decay yet) on its score.
+export function matchesFilters(lead, filters = {}) {
+  const lower = (s) => String(s ?? '').toLowerCase();
+  const stack = techKeys(lead.techStack || []);
+  if (filters.collapse !== false && lead.isCanonical === false) return false;
+  if (filters.tech?.length && !techKeys(filters.tech).some(t => stack.includes(t))) return false;
+  if (filters.techAll?.length && !techKeys(filters.techAll).every(t => stack.includes(t))) return false;
+  if (filters.location?.length && !filters.location.some(l => lower(l) === lower(lead.location))) return false;
+  if (filters.source?.length && !filters.source.some(s => lower(s) === lower(lead.source))) return false;
+  if (filters.status?.length && !filters.status.includes(lead.status || statusOf(lead))) return false;
+  if (filters.minScore != null && !((lead.currentScore ?? lead.score) >= filters.minScore)) return false;
+  const created = new Date(lead.createdAt).getTime();
+  if (filters.from && !(created >= Date.parse(filters.from))) return false;
+  if (filters.to && !(created < Date.parse(filters.to))) return false;
+  const text = lower(`${lead.title} ${lead.summary}`);
+  if (!searchTerms(filters.q).every(term => text.includes(lower(term)))) return false;
+  if (filters.period && lead.budgetPeriod !== filters.period) return false;
+  if (filters.currency && lead.budgetCurrency !== filters.currency) return false;
+  if (filters.minRate != null && !(lead.budgetUsdMax >= filters.minRate)) return false;
+  if (filters.maxRate != null && !(lead.budgetUsdMin <= filters.maxRate)) return false;
+  return true;
+}
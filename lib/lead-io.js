@@ -0,0 +1,315 @@
+// lib/lead-io.js — bulk lead export (CSV, NDJSON, JSON) and import
+//
+// Exports stream in pages so any number of rows can leave without holding them
+// in memory. Imports accept the same formats and columns, validate each row,
+// dedupe on rawUrl (against the org's and global leads, and within the file) and
+// report errors per row instead of failing the batch. Imported leads belong to the
+// org, so a URL harvested later still becomes a global lead.
+import { prisma } from 'db';
+
+import { scorePost } from '../scoring.js';
+import { budgetColumns, parseBudget } from './budget.js';
+import { CONTACT_TYPES, extractContacts } from './contacts.js';
+import { bands, signature } from './dedupe.js';
+import { publishLeadEvent } from './lead-events.js';
+import { techKeys } from './lead-filters.js';
+import { scoreWithModels } from './relevance.js';
+import { STATUSES, stateInclude, statusOf } from './pipeline.js';
+import { getActiveRuleSet, recordScore } from './rulesets.js';
+
+export const FORMATS = ['csv', 'ndjson', 'json'];
+
+export const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+};
+
+export const COLUMNS = [
+  'id', 'source', 'title', 'summary', 'rawUrl', 'author', 'company', 'location', 'techStack',
+  'budget', 'budgetMin', 'budgetMax', 'budgetCurrency', 'budgetPeriod', 'budgetUsdMin', 'budgetUsdMax',
+  'score', 'status', 'createdAt', 'claimedBy', 'claimedAt', 'contacts', 'notes',
+];
+
+const PAGE_SIZE = 500;
+
+// --- export
+
+/**
+ * Yield every lead matching `where` in `orderBy` order, with the org's notes,
+ * claim and status plus extracted contacts, one page at a time.
+ */
+export async function* iterateLeads({ where, orderBy, orgId = null, max = Infinity }) {
+  let cursor = null;
+  let sent = 0;
+  while (sent < max) {
+    const page = await prisma.lead.findMany({
+      where,
+      orderBy,
+      take: Math.min(PAGE_SIZE, max - sent),
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+      include: {
+        leadClaims: { where: { orgId }, select: { userId: true, claimedAt: true } },
+        ...stateInclude(orgId),
+        leadNotes: { where: { orgId }, select: { userId: true, content: true, createdAt: true }, orderBy: { createdAt: 'asc' } },
+        leadContacts: { select: { type: true, value: true, confidence: true }, orderBy: { confidence: 'desc' } },
+      },
+    });
+    for (const lead of page) yield lead;
+    sent += page.length;
+    if (page.length < PAGE_SIZE) return;
+    cursor = page[page.length - 1].id;
+  }
+}
+
+// One flat record per lead; NDJSON/JSON keep arrays, CSV joins them
+export function exportRecord(lead) {
+  const claim = lead.leadClaims?.[0];
+  const record = {};
+  for (const col of COLUMNS) record[col] = lead[col] ?? null;
+  return {
+    ...record,
+    status: statusOf(lead),
+    createdAt: lead.createdAt?.toISOString?.() ?? lead.createdAt,
+    claimedBy: claim?.userId ?? null,
+    claimedAt: claim?.claimedAt?.toISOString?.() ?? null,
+    contacts: (lead.leadContacts || []).map(({ type, value, confidence }) => ({ type, value, confidence })),
+    notes: (lead.leadNotes || []).map(n => ({ userId: n.userId, content: n.content, createdAt: n.createdAt })),
+  };
+}
+
+// Leading = + - @ would run as a formula in spreadsheets
+function csvCell(value) {
+  if (value == null) return '';
+  let s = String(value);
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export const csvHeader = () => `${COLUMNS.join(',')}\r\n`;
+
+export function csvLine(record) {
+  const flat = {
+    ...record,
+    techStack: (record.techStack || []).join(';'),
+    contacts: record.contacts.map(c => `${c.type}:${c.value}`).join(';'),
+    notes: record.notes.map(n => n.content.replace(/\s+/g, ' ')).join(' | '),
+  };
+  return `${COLUMNS.map(col => csvCell(flat[col])).join(',')}\r\n`;
+}
+
+// --- import
+
+// RFC 4180: quoted fields may contain commas, quotes ("") and newlines
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const src = String(text).replace(/^\uFEFF/, ''); // Excel's byte-order mark
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === '') quoted = true;
+    else if (ch === ',') { row.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(v => v !== '')) rows.push(row);
+      row = [];
+    } else field += ch;
+  }
+  row.push(field);
+  if (row.some(v => v !== '')) rows.push(row);
+
+  const [header = [], ...body] = rows;
+  const keys = header.map(h => h.trim());
+  return body.map(values => Object.fromEntries(keys.map((k, i) => [k, unescapeCell(values[i] ?? '')])));
+}
+
+// undo csvCell's formula guard
+const unescapeCell = (s) => (/^'[=+\-@\t\r]/.test(s) ? s.slice(1) : s);
+
+export class ImportError extends Error {}
+
+// Parse a request body or file into row objects
+export function parseRows(body, format) {
+  if (format === 'csv') return parseCsv(body);
+  if (format === 'ndjson') {
+    return String(body).split(/\r?\n/).filter(l => l.trim()).map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return { __error: `line ${i + 1} is not valid JSON` };
+      }
+    });
+  }
+  let parsed = body;
+  if (typeof body === 'string') {
+    try {
+      parsed = JSON.parse(body);
+    } catch (e) {
+      throw new ImportError(`invalid JSON: ${e.message}`);
+    }
+  }
+  const rows = Array.isArray(parsed) ? parsed : parsed?.leads;
+  if (!Array.isArray(rows)) throw new ImportError('JSON body must be an array of leads or { leads: [...] }');
+  return rows;
+}
+
+function splitList(value) {
+  if (Array.isArray(value)) return value.map(String).map(s => s.trim()).filter(Boolean);
+  return String(value ?? '').split(/[;,]/).map(s => s.trim()).filter(Boolean);
+}
+
+function optionalNumber(row, key, errors) {
+  const v = row[key];
+  if (v == null || v === '') return null;
+  const n = Number(v);
+  if (!Number.isFinite(n)) errors.push(`${key} must be a number`);
+  return n;
+}
+
+// "email:a@b.com;telegram:@x" (CSV) or [{ type, value, confidence? }]
+function parseContacts(value, errors) {
+  const items = Array.isArray(value)
+    ? value
+    : splitList(value).map(s => ({ type: s.slice(0, s.indexOf(':')), value: s.slice(s.indexOf(':') + 1) }));
+  const contacts = [];
+  for (const c of items) {
+    if (!CONTACT_TYPES.includes(c?.type) || !c.value) {
+      errors.push(`invalid contact ${JSON.stringify(c)}`);
+      continue;
+    }
+    contacts.push({ type: c.type, value: String(c.value), confidence: Number(c.confidence ?? 1) });
+  }
+  return contacts;
+}
+
+/**
+ * Validate one import row. Returns { data, contacts, score? } ready for
+ * prisma.lead.create, or { errors }. Only title and rawUrl are required.
+ */
+export function validateRow(row) {
+  if (!row || typeof row !== 'object') return { errors: ['row must be an object'] };
+  if (row.__error) return { errors: [row.__error] };
+  const errors = [];
+  const title = String(row.title ?? '').trim();
+  const rawUrl = String(row.rawUrl ?? row.url ?? '').trim();
+  if (!title) errors.push('title is required');
+  try {
+    if (!['http:', 'https:'].includes(new URL(rawUrl).protocol)) errors.push('rawUrl must be http(s)');
+  } catch {
+    errors.push('rawUrl must be a valid URL');
+  }
+  const status = row.status ? String(row.status) : 'new';
+  if (!STATUSES.includes(status)) errors.push(`status must be one of ${STATUSES.join(', ')}`);
+  const createdAt = row.createdAt ? new Date(row.createdAt) : new Date();
+  if (Number.isNaN(createdAt.getTime())) errors.push('createdAt must be an ISO date');
+  const score = optionalNumber(row, 'score', errors);
+  const contacts = row.contacts ? parseContacts(row.contacts, errors) : null;
+  if (errors.length) return { errors };
+
+  const summary = String(row.summary ?? row.content ?? '').slice(0, 2000);
+  const budgetText = row.budget ? String(row.budget) : null;
+  const parsedBudget = budgetText ? parseBudget(budgetText) : null;
+  const data = {
+    source: String(row.source || 'import'),
+    title: title.slice(0, 180),
+    summary,
+    rawUrl,
+    author: row.author ? String(row.author) : null,
+    company: row.company ? String(row.company) : null,
+    location: row.location ? String(row.location) : null,
+    techStack: splitList(row.techStack),
+    ...(parsedBudget ? budgetColumns(parsedBudget) : { budget: budgetText }),
+    createdAt,
+  };
+  return { data, status, contacts, score };
+}
+
+/**
+ * Validate and store rows. Returns { total, created, duplicates, failed, errors: [{ row, rawUrl, errors }] };
+ * `row` is 1-based, counting data rows only. With dryRun nothing is written.
+ */
+export async function importLeads(rows, { orgId = null, userId = null, dryRun = false } = {}) {
+  const report = { total: rows.length, created: 0, duplicates: 0, failed: 0, errors: [] };
+  const valid = [];
+  rows.forEach((row, i) => {
+    const result = validateRow(row);
+    if (result.errors) {
+      report.failed++;
+      report.errors.push({ row: i + 1, rawUrl: row?.rawUrl ?? row?.url ?? null, errors: result.errors });
+    } else valid.push({ index: i + 1, ...result });
+  });
+
+  // rawUrl is unique per org: skip rows the org already has (or sees as a global
+  // lead) and rows repeated earlier in the file
+  const seen = new Set();
+  const existing = new Set();
+  for (let i = 0; i < valid.length; i += PAGE_SIZE) {
+    const urls = valid.slice(i, i + PAGE_SIZE).map(v => v.data.rawUrl);
+    const found = await prisma.lead.findMany({
+      where: { rawUrl: { in: urls }, OR: [{ orgId }, { orgId: null, archivedAt: null }] },
+      select: { rawUrl: true },
+    });
+    found.forEach(l => existing.add(l.rawUrl));
+  }
+  const fresh = valid.filter(v => {
+    const dup = existing.has(v.data.rawUrl) || seen.has(v.data.rawUrl);
+    seen.add(v.data.rawUrl);
+    if (dup) report.duplicates++;
+    return !dup;
+  });
+  if (dryRun) {
+    report.created = fresh.length;
+    return report;
+  }
+
+  const ruleSet = await getActiveRuleSet(orgId);
+  for (const { index, data, status, contacts, score } of fresh) {
+    const content = [data.title, data.summary].filter(Boolean).join(' — ');
+    const minhash = signature(content);
+    const result = score == null ? scorePost({ content, created_utc: data.createdAt.getTime() / 1000 }, ruleSet) : null;
+    const techStack = data.techStack.length ? data.techStack : (result?.techStack || []);
+    const rowContacts = contacts ?? extractContacts({ title: data.title, content: data.summary, author: data.author, platform: data.source });
+    let lead;
+    try {
+      // one insert with the contacts and status, so a failed row leaves nothing behind
+      lead = await prisma.lead.create({
+        data: {
+          ...data,
+          score: score ?? result.score,
+          company: data.company ?? result?.company ?? null,
+          location: data.location ?? result?.location ?? null,
+          techStack,
+          techKeys: techKeys(techStack),
+          orgId,
+          userId,
+          minhash,
+          dedupeBands: bands(minhash),
+          // the status column is the importing org's; "new" needs no row
+          ...(orgId && status !== 'new' ? { leadStates: { create: { orgId, status, updatedBy: userId } } } : {}),
+          ...(rowContacts.length ? { leadContacts: { createMany: { data: rowContacts, skipDuplicates: true } } } : {}),
+        },
+      });
+    } catch (e) {
+      if (e.code === 'P2002') { // stored concurrently since the lookup above
+        report.duplicates++;
+        continue;
+      }
+      report.failed++;
+      report.errors.push({ row: index, rawUrl: data.rawUrl, errors: [e.message.split('\n').pop()] });
+      continue;
+    }
+    report.created++;
+    // the row is stored; these only log their failures
+    if (result) await recordScore(lead.id, result, orgId).catch(e => console.error('Record score error:', e));
+    await scoreWithModels(lead).catch(e => console.error('Relevance score error:', e));
+    await publishLeadEvent('lead.created', { ...lead, status }).catch(e => console.error('Publish lead event error:', e));
+  }
+  return report;
+}
@@ -0,0 +1,218 @@
+// lib/lifecycle.js — lead expiry, age decay and data retention
+//
+//   expireStaleLeads()  re-checks unexpired leads at their source and marks deleted,
+//                       removed, filled and locked posts expired, which moves them
+//                       from "new" to "expired" in every org (see lib/pipeline.js)
+//   decayedScore()      a lead's positive score halved every SCORE_HALF_LIFE_HOURS, applied
+//                       when leads are listed (the stored score never changes)
+//   applyRetention()    archives or purges old unclaimed leads, see retentionPolicies()
+// With REDIS_URL the worker runs both jobs on a schedule; otherwise server.js does.
+import { prisma } from 'db';
+
+import { checkerFor } from '../sources/index.js';
+import { auditEntry } from './audit.js';
+import { repairClusters } from './dedupe.js';
+import { publishLeadEvent } from './lead-events.js';
+import { emitEvent } from './webhooks.js';
+
+const {
+  EXPIRY_CHECK_BATCH = '200',
+  EXPIRY_RECHECK_HOURS = '6',
+  EXPIRY_MAX_AGE_DAYS = '30',
+  SCORE_HALF_LIFE_HOURS = '72',
+  RETENTION_ACTION = 'archive',
+  RETENTION_DAYS = '0',
+  RETENTION_EXPIRED_DAYS = '14',
+  RETENTION_BATCH = '500',
+} = process.env;
+
+export const LIFECYCLE_INTERVAL_MS = Number(process.env.LIFECYCLE_INTERVAL_MINUTES || 60) * 60 * 1000;
+
+export const EXPIRY_REASONS = ['deleted', 'removed', 'filled', 'locked'];
+export const RETENTION_ACTIONS = ['archive', 'purge'];
+
+const HOUR_MS = 3600 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const HALF_LIFE_HOURS = Number(SCORE_HALF_LIFE_HOURS);
+
+// 0 turns decay off. Only a positive score decays: halving a negative one would
+// raise it toward 0 and float old penalised leads above new ones.
+export function decayedScore(score, createdAt, now = Date.now()) {
+  if (!(HALF_LIFE_HOURS > 0) || score == null || score <= 0) return score;
+  const ageHours = Math.max(0, (now - new Date(createdAt).getTime()) / HOUR_MS);
+  return Math.round(score * 0.5 ** (ageHours / HALF_LIFE_HOURS) * 100) / 100;
+}
+
+async function expireLead(lead, reason, now) {
+  // orgs that already moved the lead on keep their status
+  const changed = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.lead.updateMany({
+      where: { id: lead.id, expiredAt: null },
+      data: { expiredAt: now, expiryReason: reason, checkedAt: now },
+    });
+    if (!count) return false;
+    await tx.leadState.updateMany({ where: { leadId: lead.id, status: 'new' }, data: { status: 'expired', updatedBy: null, updatedAt: now } });
+    await auditEntry(null, {
+      orgId: lead.orgId, action: 'lead.expired', entityType: 'lead', entityId: lead.id, payload: { reason },
+    }, tx);
+    return true;
+  });
+  if (!changed) return false;
+  await emitEvent('lead.expired', { leadId: lead.id, reason }, { orgId: lead.orgId });
+  await publishLeadEvent('lead.expired', { ...lead, expiredAt: now, expiryReason: reason });
+  return true;
+}
+
+/**
+ * Re-check up to EXPIRY_CHECK_BATCH unexpired leads, least recently checked first.
+ * Leads older than EXPIRY_MAX_AGE_DAYS are left to decay and retention.
+ * Returns { checked, expired }.
+ */
+export async function expireStaleLeads({ now = new Date() } = {}) {
+  const leads = await prisma.lead.findMany({
+    where: {
+      expiredAt: null,
+      archivedAt: null,
+      createdAt: { gte: new Date(now - Number(EXPIRY_MAX_AGE_DAYS) * DAY_MS) },
+      OR: [{ checkedAt: null }, { checkedAt: { lt: new Date(now - Number(EXPIRY_RECHECK_HOURS) * HOUR_MS) } }],
+    },
+    orderBy: [{ checkedAt: { sort: 'asc', nulls: 'first' } }, { createdAt: 'desc' }],
+    take: Number(EXPIRY_CHECK_BATCH),
+  });
+
+  const byChecker = new Map();
+  for (const lead of leads) {
+    const checker = checkerFor(lead);
+    byChecker.set(checker, [...(byChecker.get(checker) || []), lead]);
+  }
+
+  let checked = 0, expired = 0;
+  for (const [checker, group] of byChecker) {
+    let results;
+    try {
+      results = await checker.checkLeads(group);
+    } catch (e) {
+      // unchecked leads keep their checkedAt and come up again next round
+      console.error(`checkLeads(${checker.name}) error:`, e);
+      continue;
+    }
+    // leads the checker couldn't answer for count as checked too, so they don't
+    // hold the front of the queue; they come up again after EXPIRY_RECHECK_HOURS
+    const open = [];
+    for (const lead of group) {
+      const reason = results.get(lead.id);
+      if (!reason) {
+        open.push(lead.id);
+        continue;
+      }
+      try {
+        if (await expireLead(lead, reason, now)) expired++;
+      } catch (e) {
+        console.error('Expire lead error:', e);
+      }
+    }
+    if (open.length) await prisma.lead.updateMany({ where: { id: { in: open } }, data: { checkedAt: now } });
+    checked += group.length;
+  }
+  if (expired) console.log(`lifecycle: ${expired} of ${checked} checked leads expired`);
+  return { checked, expired };
+}
+
+// Leads someone worked on are never archived or purged: notes, claims and
+// relevance feedback (the models' training data) all pin a lead
+const UNTOUCHED = {
+  leadNotes: { none: {} },
+  leadClaims: { none: {} },
+  leadFeedback: { none: {} },
+};
+
+/**
+ * Retention policies from the environment, each a where clause over leads:
+ *   unclaimed  leads still new or ignored in every org after RETENTION_DAYS (0 = keep forever)
+ *   expired    leads expired in every org RETENTION_EXPIRED_DAYS after they expired
+ * Orgs without a LeadState row for a lead see it as new, or expired once it expired.
+ */
+export function retentionPolicies(now = new Date()) {
+  const policies = [];
+  if (Number(RETENTION_DAYS) > 0) {
+    policies.push({
+      name: 'unclaimed',
+      where: {
+        expiredAt: null,
+        leadStates: { every: { status: { in: ['new', 'ignored'] } } },
+        createdAt: { lt: new Date(now - Number(RETENTION_DAYS) * DAY_MS) },
+      },
+    });
+  }
+  if (Number(RETENTION_EXPIRED_DAYS) > 0) {
+    policies.push({
+      name: 'expired',
+      where: {
+        expiredAt: { lt: new Date(now - Number(RETENTION_EXPIRED_DAYS) * DAY_MS) },
+        leadStates: { every: { status: 'expired' } },
+      },
+    });
+  }
+  return policies;
+}
+
+// archive: hide the lead and drop its enrichments, keeping the row so the URL is never harvested again
+// purge: delete the lead; enrichments, scores and contacts cascade with it
+async function retire(ids, action, now) {
+  // re-applied here in case a lead was claimed or noted since it was selected
+  const where = { id: { in: ids }, ...UNTOUCHED };
+  if (action === 'purge') {
+    const clusters = await prisma.lead.findMany({ where: { ...where, clusterId: { not: null } }, select: { clusterId: true } });
+    const { count } = await prisma.lead.deleteMany({ where });
+    await repairClusters([...new Set(clusters.map(c => c.clusterId))]);
+    return count;
+  }
+  const clusters = await prisma.lead.findMany({ where: { ...where, clusterId: { not: null } }, select: { clusterId: true } });
+  const [, { count }] = await prisma.$transaction([
+    prisma.leadEnrichment.deleteMany({ where: { lead: where } }),
+    prisma.lead.updateMany({ where, data: { archivedAt: now } }),
+  ]);
+  await repairClusters([...new Set(clusters.map(c => c.clusterId))]);
+  return count;
+}
+
+/**
+ * Apply every retention policy with RETENTION_ACTION (archive or purge), in
+ * batches of RETENTION_BATCH. Returns { [policy]: count }.
+ */
+export async function applyRetention({ now = new Date(), action = RETENTION_ACTION } = {}) {
+  if (!RETENTION_ACTIONS.includes(action)) throw new Error(`RETENTION_ACTION must be one of ${RETENTION_ACTIONS.join(', ')}`);
+  const summary = {};
+  for (const policy of retentionPolicies(now)) {
+    let total = 0;
+    for (;;) {
+      const rows = await prisma.lead.findMany({
+        // purging also clears out leads an earlier archive run left behind
+        where: { ...policy.where, ...(action === 'archive' ? { archivedAt: null } : {}), ...UNTOUCHED },
+        select: { id: true },
+        take: Number(RETENTION_BATCH),
+      });
+      if (!rows.length) break;
+      const count = await retire(rows.map(r => r.id), action, now);
+      total += count;
+      // everything in the batch was pinned in the meantime; leave the rest for the next run
+      if (!count) break;
+    }
+    summary[policy.name] = total;
+    if (total) {
+      await auditEntry(null, {
+        action: `leads.${action === 'purge' ? 'purged' : 'archived'}`, entityType: 'retention', entityId: policy.name,
+        payload: { count: total, where: policy.where },
+      });
+      console.log(`retention: ${action} ${total} lead(s) under the ${policy.name} policy`);
+    }
+  }
+  return summary;
+}
+
+// Both jobs, for the scheduler
+export async function runLifecycle() {
+  const expiry = await expireStaleLeads();
+  const retention = await applyRetention();
+  return { ...expiry, retention };
+}
@@ -0,0 +1,182 @@
+// lib/matching.js — rank leads for one freelancer's skill profile ("for me")
+//
+// A lead's match score is its own score (the blended relevance score when a
+// model has scored it; the list passes it age-decayed as `currentScore`) plus
+// points for
+//   skills    tech-stack overlap, weighted by proficiency (1 beginner … 5 expert)
+//   budget    hourly-equivalent pay against the user's minimum rate
+//   location  remote, or on-site somewhere the user will work
+//   timezone  working hours the post asks for against the user's time zone
+// Every non-zero factor comes back as a reason. Leads mentioning an excluded
+// keyword are dropped.
+
+export const LEVELS = ['beginner', 'junior', 'intermediate', 'advanced', 'expert'];
+
+const MAX_SKILLS = 50;
+const MAX_SKILL_POINTS = 5;
+const TZ_TOLERANCE_HOURS = Number(process.env.MATCH_TZ_TOLERANCE_HOURS || 4);
+
+// Paid hours per budget period, to compare everything with an hourly minimum
+const HOURS = { hourly: 1, daily: 8, weekly: 40, monthly: 160, yearly: 1920 };
+
+const REMOTE_RE = /\b(?:remote|anywhere|worldwide|global)\b/i;
+
+// Working-hours hints in posts and their UTC offsets (standard time)
+const TZ_HINTS = [
+  [/\b(?:EST|EDT|ET)\b|\bEastern (?:time|hours)\b/, -5, 'US Eastern'],
+  [/\b(?:CST|CDT|CT)\b|\bCentral (?:time|hours)\b/, -6, 'US Central'],
+  [/\b(?:MST|MDT|MT)\b|\bMountain (?:time|hours)\b/, -7, 'US Mountain'],
+  [/\b(?:PST|PDT|PT)\b|\bPacific (?:time|hours)\b/, -8, 'US Pacific'],
+  [/\bUS (?:hours|time|business hours)\b/i, -6, 'US'],
+  [/\b(?:GMT|UTC|BST)\b|\bUK (?:hours|time)\b/, 0, 'UK'],
+  [/\b(?:CET|CEST)\b|\bEU (?:hours|time|business hours)\b/i, 1, 'European'],
+  [/\b(?:EET|EEST)\b/, 2, 'Eastern European'],
+  [/\bIST\b/, 5.5, 'India'],
+  [/\b(?:SGT|HKT)\b/, 8, 'Singapore/Hong Kong'],
+  [/\bJST\b/, 9, 'Japan'],
+  [/\bAE[SD]T\b/, 10, 'Australian Eastern'],
+];
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const mentions = (text, term) => new RegExp(`(?:^|[^a-z0-9])${escapeRe(term.toLowerCase())}(?![a-z0-9])`).test(text);
+const round2 = (x) => Math.round(x * 100) / 100;
+
+// Current UTC offset of an IANA zone in hours, or null if the zone is unknown
+export function tzOffset(timeZone, at = new Date()) {
+  try {
+    const name = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'shortOffset' })
+      .formatToParts(at).find(p => p.type === 'timeZoneName').value; // "GMT+5:30"
+    const m = name.match(/GMT([+-])(\d+)(?::(\d+))?/);
+    return m ? (m[1] === '-' ? -1 : 1) * (Number(m[2]) + Number(m[3] || 0) / 60) : 0;
+  } catch {
+    return null;
+  }
+}
+
+const list = (v) => (Array.isArray(v) ? v : String(v ?? '').split(','))
+  .map(s => String(s).trim()).filter(Boolean);
+
+/**
+ * Validate a skill profile update (camelCase body, every field optional).
+ * Returns { data } with Profile columns, or { error }.
+ */
+export function skillProfileInput(body = {}) {
+  const data = {};
+  if (body.skills !== undefined) {
+    if (!Array.isArray(body.skills)) return { error: 'skills must be an array of { name, level }' };
+    if (body.skills.length > MAX_SKILLS) return { error: `at most ${MAX_SKILLS} skills` };
+    const skills = new Map();
+    for (const skill of body.skills) {
+      const name = String(skill?.name ?? skill ?? '').trim();
+      const level = skill?.level == null ? 3 : Number(skill.level);
+      if (!name) return { error: 'every skill needs a name' };
+      if (!Number.isInteger(level) || level < 1 || level > 5) return { error: `level of ${name} must be 1 (beginner) to 5 (expert)` };
+      skills.set(name.toLowerCase(), { name: name.slice(0, 60), level });
+    }
+    data.skills = [...skills.values()];
+  }
+  if (body.minHourlyRate !== undefined) {
+    const rate = body.minHourlyRate === null || body.minHourlyRate === '' ? null : Number(body.minHourlyRate);
+    if (rate !== null && !(rate >= 0)) return { error: 'minHourlyRate must be a non-negative number (USD)' };
+    data.min_hourly_rate = rate;
+  }
+  if (body.timezone !== undefined) {
+    const tz = body.timezone ? String(body.timezone) : null;
+    if (tz && tzOffset(tz) === null) return { error: `unknown timezone ${tz}` };
+    data.timezone = tz;
+  }
+  if (body.workLocations !== undefined) data.work_locations = list(body.workLocations).slice(0, 20);
+  if (body.excludedKeywords !== undefined) data.excluded_keywords = list(body.excludedKeywords).slice(0, 50);
+  return { data };
+}
+
+// The Profile columns as the API shows them
+export function skillProfileOf(profile) {
+  return {
+    skills: Array.isArray(profile.skills) ? profile.skills : [],
+    minHourlyRate: profile.min_hourly_rate ?? null,
+    timezone: profile.timezone ?? null,
+    workLocations: profile.work_locations || [],
+    excludedKeywords: profile.excluded_keywords || [],
+  };
+}
+
+function skillFit(lead, text, skills) {
+  if (!skills.length) return [];
+  const stack = (lead.techStack || []).map(t => t.toLowerCase());
+  const matched = [];
+  let points = 0;
+  for (const { name, level } of skills) {
+    const key = name.toLowerCase();
+    // named in the extracted stack counts fully, only in the text half
+    const weight = stack.includes(key) ? 1 : mentions(text, key) ? 0.5 : 0;
+    if (!weight) continue;
+    points += weight * (level / 5) * 3;
+    matched.push(`${name} (${LEVELS[level - 1]})`);
+  }
+  if (matched.length) {
+    return [{ factor: 'skills', points: round2(Math.min(points, MAX_SKILL_POINTS)), detail: `matches ${matched.join(', ')}` }];
+  }
+  if (stack.length) return [{ factor: 'skills', points: -3, detail: `needs ${lead.techStack.join(', ')}, none of your skills` }];
+  return [];
+}
+
+function budgetFit(lead, minRate) {
+  const usd = lead.budgetUsdMax ?? lead.budgetUsdMin;
+  if (!minRate || usd == null) return [];
+  const hours = HOURS[lead.budgetPeriod];
+  if (!hours) return []; // fixed price or unknown period: no hourly equivalent
+  const hourly = usd / hours;
+  if (hourly >= minRate) return [{ factor: 'budget', points: 1, detail: `pays ~$${Math.round(hourly)}/h, at least your $${minRate}/h` }];
+  if (hourly >= minRate * 0.8) return [];
+  return [{ factor: 'budget', points: -2, detail: `pays ~$${Math.round(hourly)}/h, below your $${minRate}/h` }];
+}
+
+function locationFit(lead, workLocations) {
+  if (!lead.location) return [];
+  if (REMOTE_RE.test(lead.location)) return [{ factor: 'location', points: 1, detail: 'remote' }];
+  const place = lead.location.toLowerCase();
+  const fits = workLocations.find(l => place.includes(l.toLowerCase()) || l.toLowerCase().includes(place));
+  if (fits) return [{ factor: 'location', points: 1, detail: `on-site in ${lead.location}, one of your locations` }];
+  return [{ factor: 'location', points: -3, detail: `on-site in ${lead.location}` }];
+}
+
+function timezoneFit(rawText, timezone, now) {
+  const mine = timezone ? tzOffset(timezone, now) : null;
+  if (mine == null) return [];
+  const hint = TZ_HINTS.find(([re]) => re.test(rawText));
+  if (!hint) return [];
+  const [, offset, label] = hint;
+  const gap = Math.abs(offset - mine);
+  if (gap <= TZ_TOLERANCE_HOURS) return [{ factor: 'timezone', points: 0.5, detail: `${label} hours overlap yours` }];
+  return [{ factor: 'timezone', points: -1, detail: `asks for ${label} hours, ${gap}h from yours` }];
+}
+
+/**
+ * Match one lead against a skill profile (as returned by skillProfileOf).
+ * Returns { score, excluded, reasons: [{ factor, points, detail }] }.
+ */
+export function matchLead(lead, prefs, { now = new Date() } = {}) {
+  const rawText = `${lead.title || ''}\n${lead.summary || ''}`;
+  const text = rawText.toLowerCase();
+  const excludedBy = prefs.excludedKeywords.find(k => mentions(text, k));
+  if (excludedBy) return { score: null, excluded: true, reasons: [{ factor: 'excluded', points: null, detail: `mentions "${excludedBy}"` }] };
+
+  const base = lead.currentScore ?? lead.relevance?.finalScore ?? lead.score;
+  const reasons = [
+    ...skillFit(lead, text, prefs.skills),
+    ...budgetFit(lead, prefs.minHourlyRate),
+    ...locationFit(lead, prefs.workLocations),
+    ...timezoneFit(rawText, prefs.timezone, now),
+  ];
+  return { score: round2(base + reasons.reduce((sum, r) => sum + r.points, 0)), excluded: false, reasons };
+}
+
+// Best match first, newest first among equals; excluded leads are left out
+export function rankForMe(leads, prefs) {
+  const now = new Date();
+  return leads
+    .map(lead => ({ ...lead, match: matchLead(lead, prefs, { now }) }))
+    .filter(lead => !lead.match.excluded)
+    .sort((a, b) => b.match.score - a.match.score || new Date(b.createdAt) - new Date(a.createdAt));
+}
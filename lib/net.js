@@ -0,0 +1,98 @@
+// lib/net.js — fetch user-supplied URLs without reaching private networks
+//
+// Webhook endpoints and imported lead URLs are requested by the server, so an
+// unchecked URL could reach loopback, RFC 1918 ranges or the cloud metadata
+// service (169.254.169.254). assertPublicUrl() rejects URLs whose host is, or
+// resolves to, such an address; publicFetch() checks every redirect hop too and
+// connects through agents that re-check the address actually dialed, so a DNS
+// answer that changes after the check (rebinding) is caught as well.
+// ALLOW_PRIVATE_URLS=true turns the check off, for local development.
+import dns from 'node:dns';
+import http from 'node:http';
+import https from 'node:https';
+import net from 'node:net';
+import fetch from 'node-fetch';
+
+const ALLOW_PRIVATE = process.env.ALLOW_PRIVATE_URLS === 'true';
+const MAX_REDIRECTS = 5;
+
+export class UnsafeUrlError extends Error {}
+
+const blocked = new net.BlockList();
+for (const [range, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) blocked.addSubnet(range, bits, 'ipv4');
+for (const [range, bits] of [['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  blocked.addSubnet(range, bits, 'ipv6');
+}
+
+// Loopback, private, link-local, CGNAT, multicast and reserved addresses are not public
+export function isPublicAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address); // IPv4-mapped IPv6
+  if (mapped) return isPublicAddress(mapped[1]);
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !blocked.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// dns.lookup with the same rule, for the agents below
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const bad = addresses.find(a => !isPublicAddress(a.address));
+    if (bad && !ALLOW_PRIVATE) return callback(new UnsafeUrlError(`${hostname} resolves to a private address (${bad.address})`));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const agents = {
+  'http:': new http.Agent({ lookup: publicLookup }),
+  'https:': new https.Agent({ lookup: publicLookup }),
+};
+
+/**
+ * Throws UnsafeUrlError unless `url` is http(s) and its host is a public
+ * address or a name that only resolves to public addresses.
+ */
+export async function assertPublicUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new UnsafeUrlError('valid http(s) url required');
+  }
+  if (!agents[parsed.protocol]) throw new UnsafeUrlError('valid http(s) url required');
+  if (ALLOW_PRIVATE) return parsed;
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+  } catch {
+    throw new UnsafeUrlError(`${host} does not resolve`);
+  }
+  const bad = addresses.find(a => !isPublicAddress(a.address));
+  if (bad) throw new UnsafeUrlError(`${host} is a private address (${bad.address})`);
+  return parsed;
+}
+
+/**
+ * node-fetch for user-supplied URLs: assertPublicUrl() on the URL and on every
+ * redirect (followed here, at most MAX_REDIRECTS), connecting through the
+ * checking agents. `redirect: 'manual'` returns the redirect response as is.
+ */
+export async function publicFetch(url, { redirect = 'follow', ...options } = {}) {
+  for (let hops = 0; ; hops++) {
+    const { protocol } = await assertPublicUrl(url);
+    const r = await fetch(url, { ...options, redirect: 'manual', agent: agents[protocol] });
+    const location = r.headers.get('location');
+    if (redirect !== 'follow' || r.status < 300 || r.status >= 400 || !location) return r;
+    if (hops >= MAX_REDIRECTS) throw new Error(`more than ${MAX_REDIRECTS} redirects`);
+    url = new URL(location, url).href;
+    // like fetch, a 303 (or a redirected POST) becomes a GET without a body
+    if (r.status === 303 || ((r.status === 301 || r.status === 302) && options.method === 'POST')) {
+      options = { ...options, method: 'GET', body: undefined };
+    }
+  }
+}
@@ -0,0 +1,48 @@
+// lib/notifiers/email.js — email via Resend's HTTP API, or SMTP when no Resend key is set
+//
+// Outside production, with neither configured, mail goes to a local SMTP sink on
+// localhost:1025 (e.g. Mailpit or MailHog) so nothing reaches real inboxes.
+import fetch from 'node-fetch';
+import nodemailer from 'nodemailer';
+
+export const name = 'email';
+
+const devSink = () => process.env.NODE_ENV !== 'production' && !process.env.RESEND_API_KEY && !process.env.SMTP_HOST;
+
+let transport = null;
+function smtp() {
+  if (!transport) {
+    const { SMTP_HOST, SMTP_PORT = '587', SMTP_USER, SMTP_PASS } = devSink()
+      ? { SMTP_HOST: 'localhost', SMTP_PORT: '1025' }
+      : process.env;
+    transport = nodemailer.createTransport({
+      host: SMTP_HOST,
+      port: Number(SMTP_PORT),
+      secure: Number(SMTP_PORT) === 465,
+      auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined,
+    });
+  }
+  return transport;
+}
+
+export function isConfigured() {
+  return Boolean(process.env.RESEND_API_KEY || process.env.SMTP_HOST || devSink());
+}
+
+// destination: an email address; replyTo sends answers to the user rather than MAIL_FROM
+export async function send(to, { subject, text, html, replyTo }) {
+  const from = process.env.MAIL_FROM || 'Freelance Signal <alerts@localhost>';
+  if (process.env.RESEND_API_KEY) {
+    const r = await fetch('https://api.resend.com/emails', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${process.env.RESEND_API_KEY}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ from, to, subject, text, html, ...(replyTo ? { reply_to: replyTo } : {}) }),
+    });
+    if (!r.ok) throw new Error(`Resend HTTP ${r.status}: ${await r.text()}`);
+    return r.json();
+  }
+  return smtp().sendMail({ from, to, subject, text, html, replyTo });
+}
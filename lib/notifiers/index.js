@@ -0,0 +1,21 @@
+// lib/notifiers/index.js — notifier transport registry
+//
+// A transport exports `name`, `isConfigured()` and `send(destination, message)`
+// where message is { subject, text, html? }. Add a transport by registering it here.
+import * as email from './email.js';
+import * as slack from './slack.js';
+import * as telegram from './telegram.js';
+
+export const notifiers = {
+  [email.name]: email,
+  [slack.name]: slack,
+  [telegram.name]: telegram,
+};
+
+export function getNotifier(channel) {
+  return notifiers[channel] || null;
+}
+
+export function configuredChannels() {
+  return Object.values(notifiers).filter(n => n.isConfigured()).map(n => n.name);
+}
@@ -0,0 +1,24 @@
+// lib/notifiers/slack.js — post to a Slack channel with the bot token
+import fetch from 'node-fetch';
+
+export const name = 'slack';
+
+export function isConfigured() {
+  return Boolean(process.env.SLACK_BOT_TOKEN);
+}
+
+// destination: a channel id (C0123...) or #name the bot has joined
+export async function send(channel, { text }) {
+  const r = await fetch('https://slack.com/api/chat.postMessage', {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${process.env.SLACK_BOT_TOKEN}`,
+      'Content-Type': 'application/json; charset=utf-8',
+    },
+    body: JSON.stringify({ channel, text, unfurl_links: false }),
+  });
+  // Slack answers 200 with { ok: false, error } on most failures
+  const j = await r.json().catch(() => ({}));
+  if (!r.ok || !j.ok) throw new Error(`Slack error: ${j.error || `HTTP ${r.status}`}`);
+  return j;
+}
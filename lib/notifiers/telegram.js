@@ -0,0 +1,22 @@
+// lib/notifiers/telegram.js — message a Telegram chat through the Bot API
+import fetch from 'node-fetch';
+
+export const name = 'telegram';
+
+const MAX_LENGTH = 4096; // Bot API limit per message
+
+export function isConfigured() {
+  return Boolean(process.env.TELEGRAM_BOT_TOKEN);
+}
+
+// destination: a chat id the user got by messaging the bot
+export async function send(chatId, { text }) {
+  const r = await fetch(`https://api.telegram.org/bot${process.env.TELEGRAM_BOT_TOKEN}/sendMessage`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ chat_id: chatId, text: text.slice(0, MAX_LENGTH), disable_web_page_preview: true }),
+  });
+  const j = await r.json().catch(() => ({}));
+  if (!r.ok || !j.ok) throw new Error(`Telegram error: ${j.description || `HTTP ${r.status}`}`);
+  return j;
+}
@@ -0,0 +1,78 @@
+// lib/orgs.js — org roles, permissions and the org-context middleware
+//
+// The active org comes from the :orgId route param, the X-Org-Id header or
+// ?orgId= (EventSource can't set headers). Requests without one act on the
+// caller's personal scope, where only global leads are visible.
+import { prisma } from 'db';
+
+import { AuthError, sendAuthError } from './auth.js';
+
+// lowest to highest
+export const ROLES = ['viewer', 'member', 'admin', 'owner'];
+
+export const PERMISSIONS = {
+  'lead:read': 'viewer',
+  'note:read': 'viewer',
+  'lead:work': 'member', // claim, change status
+  'lead:import': 'member',
+  'note:write': 'member',
+  'outreach:send': 'member',
+  'search:write': 'member',
+  'webhook:manage': 'admin',
+  'scoring:manage': 'admin',
+  'member:manage': 'admin',
+  'org:manage': 'owner',
+};
+
+export function can(role, permission) {
+  const needed = PERMISSIONS[permission];
+  if (!needed) throw new Error(`unknown permission ${permission}`);
+  return ROLES.indexOf(role) >= ROLES.indexOf(needed);
+}
+
+export function orgIdFrom(req) {
+  return req.params?.orgId || req.get('x-org-id') || (req.query?.orgId ? String(req.query.orgId) : null);
+}
+
+export async function membershipOf(userId, orgId) {
+  return prisma.membership.findUnique({ where: { userId_orgId: { userId, orgId } } });
+}
+
+/**
+ * Express middleware factory, used after authenticate(). Sets req.org = { id, role }
+ * (or null in personal scope) and enforces `permission` inside an org.
+ * With `required`, requests without an org are rejected.
+ */
+export function orgContext(permission = 'lead:read', { required = false } = {}) {
+  return async (req, res, next) => {
+    const orgId = orgIdFrom(req);
+    try {
+      if (!orgId) {
+        if (required) return res.status(400).json({ error: 'org required (X-Org-Id header or orgId)', code: 'org_required' });
+        req.org = null;
+        return next();
+      }
+      const membership = await membershipOf(req.auth.userId, orgId);
+      if (!membership) throw new AuthError(403, 'forbidden', 'not a member of this org');
+      if (!can(membership.role, permission)) {
+        throw new AuthError(403, 'forbidden', `requires ${PERMISSIONS[permission]} role or higher`);
+      }
+      req.org = { id: orgId, role: membership.role };
+      next();
+    } catch (e) {
+      if (e instanceof AuthError) return sendAuthError(res, e);
+      console.error('Org context error:', e);
+      res.status(500).json({ error: 'Failed to resolve org' });
+    }
+  };
+}
+
+// Leads an org may see: global leads plus its own
+export function visibleLeads(orgId) {
+  // archived leads (lib/lifecycle.js) are hidden everywhere
+  return orgId ? { archivedAt: null, OR: [{ orgId: null }, { orgId }] } : { archivedAt: null, orgId: null };
+}
+
+export function slugify(name) {
+  return String(name).toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 48) || 'org';
+}
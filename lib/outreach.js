@@ -0,0 +1,298 @@
+// lib/outreach.js — reply templates, per-lead drafts and tracked sending
+//
+// Templates and drafts use {{variable}} placeholders (see VARIABLES) filled from
+// the lead and the sender's profile. Placeholders without a value are left in
+// place and reported as `missing`, and a message still containing any can't be
+// sent. Sending (email through lib/notifiers/email.js, or "manual" for messages
+// sent by hand such as Reddit DMs) records a LeadNote and an AuditLog entry,
+// moves a lead still new in the org to "contacted" and schedules a follow-up reminder.
+import { prisma } from 'db';
+
+import { auditEntry } from './audit.js';
+import { publishLeadEvent } from './lead-events.js';
+import * as email from './notifiers/email.js';
+import { canTransition, statusOf, writeStatus } from './pipeline.js';
+import { emitEvent } from './webhooks.js';
+
+export const CHANNELS = ['email', 'manual'];
+export const FOLLOW_UP_DAYS = Number(process.env.OUTREACH_FOLLOW_UP_DAYS || 3);
+export const FOLLOW_UP_INTERVAL_MS = 60 * 60 * 1000;
+
+// a message still "sending" after this was interrupted (see recoverStaleSending)
+const SENDING_TIMEOUT_MS = 10 * 60 * 1000;
+
+const MAX_SUBJECT = 200;
+const MAX_BODY = 10000;
+// exactly one bare address: the mailer would read commas, semicolons and <...> as a recipient list
+const EMAIL_RE = /^[^\s@,;<>()"]+@[^\s@,;<>()"]+\.[^\s@,;<>()"]+$/;
+const PLACEHOLDER_RE = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+export class OutreachError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const money = (n) => `$${Math.round(n).toLocaleString('en-US')}`;
+
+function budgetText(lead) {
+  if (lead.budget) return lead.budget;
+  const { budgetUsdMin: min, budgetUsdMax: max, budgetPeriod } = lead;
+  if (min == null && max == null) return null;
+  const range = min != null && max != null && min !== max ? `${money(min)}–${money(max)}` : money(max ?? min);
+  return budgetPeriod && budgetPeriod !== 'fixed' ? `${range} ${budgetPeriod}` : range;
+}
+
+// name → [description, value(lead, profile, senderEmail)]
+export const VARIABLES = {
+  'lead.title': ['post title', (l) => l.title],
+  'lead.author': ['poster username', (l) => (l.author && l.author !== '[deleted]' ? l.author : null)],
+  'lead.company': ['company named in the post', (l) => l.company],
+  'lead.location': ['location named in the post', (l) => l.location],
+  'lead.techStack': ['tech stack, comma separated', (l) => (l.techStack?.length ? l.techStack.join(', ') : null)],
+  'lead.budget': ['budget as posted, or the USD range', budgetText],
+  'lead.source': ['where it was posted', (l) => l.source],
+  'lead.url': ['link to the post', (l) => l.rawUrl],
+  'me.firstName': ['your first name', (_l, p) => p.first_name],
+  'me.lastName': ['your last name', (_l, p) => p.last_name],
+  'me.name': ['your full name', (_l, p) => [p.first_name, p.last_name].filter(Boolean).join(' ') || null],
+  'me.email': ['your email address', (_l, _p, senderEmail) => senderEmail],
+  'me.skills': ['your skills, comma separated', (_l, p) => (Array.isArray(p.skills) && p.skills.length ? p.skills.map(s => s.name).join(', ') : null)],
+  'me.rate': ['your minimum hourly rate', (_l, p) => (p.min_hourly_rate != null ? `${money(p.min_hourly_rate)}/h` : null)],
+  'me.timezone': ['your time zone', (_l, p) => p.timezone],
+};
+
+export function templateVars(lead, profile, senderEmail) {
+  return Object.fromEntries(Object.entries(VARIABLES).map(([key, [, value]]) => [key, value(lead, profile, senderEmail) ?? null]));
+}
+
+/**
+ * Fill {{placeholders}}. Unknown names and variables without a value stay as
+ * written. Returns { text, missing: [names] }.
+ */
+export function render(text, vars) {
+  const missing = new Set();
+  const out = String(text ?? '').replace(PLACEHOLDER_RE, (m, key) => {
+    if (vars[key] == null || vars[key] === '') {
+      missing.add(key);
+      return m;
+    }
+    return String(vars[key]);
+  });
+  return { text: out, missing: [...missing] };
+}
+
+export function unfilled(...texts) {
+  return [...new Set(texts.flatMap(t => [...String(t ?? '').matchAll(PLACEHOLDER_RE)].map(m => m[1])))];
+}
+
+// Validate a template; returns { data } or { error }
+export function templateInput(body, { partial = false } = {}) {
+  const data = {};
+  const { name, subject, body: text } = body || {};
+  if (name !== undefined || !partial) {
+    if (!name || typeof name !== 'string' || !name.trim()) return { error: 'name required' };
+    data.name = name.trim().slice(0, 120);
+  }
+  if (subject !== undefined) {
+    if (typeof subject !== 'string' || subject.length > MAX_SUBJECT) return { error: `subject must be a string of at most ${MAX_SUBJECT} characters` };
+    data.subject = subject.trim();
+  }
+  if (text !== undefined || !partial) {
+    if (!text || typeof text !== 'string' || !text.trim()) return { error: 'body required' };
+    if (text.length > MAX_BODY) return { error: `body must be at most ${MAX_BODY} characters` };
+    data.body = text;
+  }
+  const unknown = unfilled(data.subject, data.body).filter(k => !VARIABLES[k]);
+  if (unknown.length) return { error: `unknown variable(s): ${unknown.join(', ')}` };
+  return { data };
+}
+
+// Validate the editable fields of a draft; returns { data } or { error }
+export function draftInput(body) {
+  const data = {};
+  const { channel, to, subject, body: text } = body || {};
+  if (channel !== undefined) {
+    if (!CHANNELS.includes(channel)) return { error: `channel must be one of ${CHANNELS.join(', ')}` };
+    data.channel = channel;
+  }
+  if (to !== undefined) {
+    const address = to ? String(to).trim() : null;
+    if (address && !EMAIL_RE.test(address)) return { error: 'to must be an email address' };
+    data.to = address;
+  }
+  if (subject !== undefined) {
+    if (typeof subject !== 'string' || subject.length > MAX_SUBJECT) return { error: `subject must be a string of at most ${MAX_SUBJECT} characters` };
+    data.subject = subject.trim();
+  }
+  if (text !== undefined) {
+    if (typeof text !== 'string' || text.length > MAX_BODY) return { error: `body must be a string of at most ${MAX_BODY} characters` };
+    data.body = text;
+  }
+  return { data };
+}
+
+// The poster's most likely email, from the contacts lib/contacts.js extracted
+export async function suggestedRecipient(leadId) {
+  const contact = await prisma.leadContact.findFirst({
+    where: { leadId, type: 'email' },
+    orderBy: { confidence: 'desc' },
+    select: { value: true },
+  });
+  return contact?.value || null;
+}
+
+/**
+ * Send a draft (or retry a failed message) and record it. The message is
+ * marked "sending" first so two requests can't both deliver it; if the process
+ * dies before it is sent or failed, recoverStaleSending() fails it. Throws
+ * OutreachError for messages that can't be sent; returns the sent message.
+ */
+export async function sendMessage(req, message, lead, { followUpDays = FOLLOW_UP_DAYS } = {}) {
+  const { userId } = req.auth;
+  const { orgId } = message;
+  if (message.channel === 'email') {
+    if (!message.to) throw new OutreachError(400, 'recipient (to) required for email');
+    if (!email.isConfigured()) throw new OutreachError(503, 'email is not configured (set SMTP_HOST or RESEND_API_KEY)');
+  }
+  if (!message.body.trim()) throw new OutreachError(400, 'body required');
+  const left = unfilled(message.subject, message.body);
+  if (left.length) throw new OutreachError(422, `fill in or remove: ${left.map(k => `{{${k}}}`).join(', ')}`);
+
+  const state = await prisma.leadState.findUnique({ where: { leadId_orgId: { leadId: lead.id, orgId } }, select: { status: true } });
+  const from = statusOf({ ...lead, leadStates: state ? [state] : [] });
+  const moveToContacted = canTransition(from, 'contacted');
+
+  const { count } = await prisma.outreachMessage.updateMany({
+    where: { id: message.id, status: { in: ['draft', 'failed'] } },
+    data: { status: 'sending', updatedAt: new Date() },
+  });
+  if (!count) throw new OutreachError(409, 'message was already sent');
+
+  if (message.channel === 'email') {
+    try {
+      await email.send(message.to, { subject: message.subject || lead.title, text: message.body, replyTo: message.replyTo || undefined });
+    } catch (e) {
+      await prisma.outreachMessage.update({
+        where: { id: message.id },
+        data: { status: 'failed', error: String(e.message || e).slice(0, 1000), updatedAt: new Date() },
+      });
+      throw new OutreachError(502, `sending failed: ${e.message}`);
+    }
+  }
+
+  const now = new Date();
+  const recipient = message.channel === 'email' ? message.to : 'by hand';
+  let recorded;
+  try {
+    recorded = await prisma.$transaction(async (tx) => {
+      const sent = await tx.outreachMessage.update({
+        where: { id: message.id },
+        data: {
+          status: 'sent',
+          error: null,
+          sentAt: now,
+          followUpAt: followUpDays > 0 ? new Date(now.getTime() + followUpDays * 24 * 3600 * 1000) : null,
+          updatedAt: now,
+        },
+      });
+      const note = await tx.leadNote.create({
+        data: { leadId: lead.id, userId, orgId, content: `✉️ Sent "${message.subject || lead.title}" (${recipient})\n\n${message.body}`.slice(0, 5000) },
+      });
+      await auditEntry(req, {
+        userId, orgId, action: 'lead.outreach_sent', entityType: 'lead', entityId: lead.id,
+        payload: { messageId: message.id, channel: message.channel, to: message.to, templateId: message.templateId },
+      }, tx);
+      let moved = false;
+      if (moveToContacted) {
+        // guarded against a concurrent status change, as in the status route
+        moved = await writeStatus(tx, { leadId: lead.id, orgId, from, to: 'contacted', userId });
+        if (moved) {
+          await auditEntry(req, {
+            userId, orgId, action: 'lead.status_changed', entityType: 'lead', entityId: lead.id,
+            payload: { from, to: 'contacted', reason: 'outreach sent' },
+          }, tx);
+        }
+      }
+      return { sent, note, moved };
+    });
+  } catch (e) {
+    // the message is out; mark it sent so it can't be sent again, even without its note
+    await prisma.outreachMessage.update({
+      where: { id: message.id },
+      data: { status: 'sent', sentAt: now, error: `sent, but recording it failed: ${e.message}`.slice(0, 1000), updatedAt: now },
+    }).catch(err => console.error('Outreach sent-state error:', err));
+    throw e;
+  }
+  const { sent, note, moved } = recorded;
+
+  await emitEvent('lead.note_added', { leadId: lead.id, noteId: note.id, userId }, { orgId });
+  if (moved) {
+    await emitEvent('lead.status_changed', { leadId: lead.id, from, to: 'contacted', userId }, { orgId });
+    await publishLeadEvent('lead.status_changed', { ...lead, status: 'contacted' }, { orgId });
+  }
+  return { ...sent, leadStatus: moved ? 'contacted' : from };
+}
+
+/**
+ * Mark messages left "sending" by a crashed process as failed, so they can be
+ * edited and retried; whether the email went out is unknown, which the error says.
+ * Returns the number of messages recovered.
+ */
+export async function recoverStaleSending({ now = new Date() } = {}) {
+  const { count } = await prisma.outreachMessage.updateMany({
+    where: { status: 'sending', updatedAt: { lt: new Date(now - SENDING_TIMEOUT_MS) } },
+    data: { status: 'failed', error: 'interrupted while sending; check your sent mail before retrying', updatedAt: now },
+  });
+  if (count) console.warn(`outreach: ${count} message(s) stuck sending marked failed`);
+  return count;
+}
+
+/**
+ * Remind senders of messages still unanswered at their followUpAt, by email to
+ * the address they sent from. Leads the org moved past "contacted" need no nudge.
+ * Each message is claimed (remindedAt set) before its reminder goes out, so
+ * overlapping runs never send one twice. Returns the number of reminders sent.
+ * Scheduled by apps/worker with REDIS_URL, else by server.js.
+ */
+export async function sendFollowUpReminders({ now = new Date() } = {}) {
+  const due = await prisma.outreachMessage.findMany({
+    where: { status: 'sent', repliedAt: null, remindedAt: null, followUpAt: { lte: now } },
+    include: { lead: { select: { id: true, title: true, rawUrl: true, leadStates: { select: { orgId: true, status: true } } } } },
+    orderBy: { followUpAt: 'asc' },
+    take: 200,
+  });
+  const site = process.env.SITE_URL || 'http://localhost:8080';
+  let sent = 0;
+  for (const message of due) {
+    const { count } = await prisma.outreachMessage.updateMany({ where: { id: message.id, remindedAt: null }, data: { remindedAt: now } });
+    if (!count) continue;
+    try {
+      const state = message.lead.leadStates.find(st => st.orgId === message.orgId);
+      if (state?.status === 'contacted' && message.replyTo && email.isConfigured()) {
+        const days = Math.round((now - message.sentAt) / (24 * 3600 * 1000));
+        await email.send(message.replyTo, {
+          subject: `Follow up: ${message.lead.title}`,
+          text: [
+            `No reply yet to "${message.subject || message.lead.title}", sent ${days} day(s) ago${message.to ? ` to ${message.to}` : ''}.`,
+            '',
+            `Post: ${message.lead.rawUrl}`,
+            `Dashboard: ${site}`,
+          ].join('\n'),
+        });
+        await auditEntry(null, {
+          userId: message.userId, orgId: message.orgId, action: 'lead.follow_up_due', entityType: 'lead', entityId: message.leadId,
+          payload: { messageId: message.id },
+        });
+        sent++;
+      }
+    } catch (e) {
+      console.error('Follow-up reminder error:', e);
+      // release the claim so the next run tries again
+      await prisma.outreachMessage.update({ where: { id: message.id }, data: { remindedAt: null } })
+        .catch(err => console.error('Follow-up release error:', err));
+    }
+  }
+  return sent;
+}
@@ -0,0 +1,52 @@
+// lib/pipeline.js — lead status pipeline
+//
+//   new → contacted → proposal → won
+//    │        │          └──────→ lost
+//    │        └─────────────────→ lost / ignored
+//    └──────────────────────────→ ignored
+// lost and ignored leads can be reopened (→ new).
+// expired is set by lib/lifecycle.js when the post is gone or filled; it can be reopened too.
+//
+// Status is tracked per org in LeadState rows, so one org's pipeline never shows
+// up in (or blocks) another's. A lead without a row for the org is "new", or
+// "expired" once lead.expiredAt is set. Outside orgs that derived status is all there is.
+
+export const STATUSES = ['new', 'contacted', 'proposal', 'won', 'lost', 'ignored', 'expired'];
+
+export const TRANSITIONS = {
+  new: ['contacted', 'ignored'],
+  contacted: ['proposal', 'lost', 'ignored'],
+  proposal: ['won', 'lost'],
+  won: [],
+  lost: ['new'],
+  ignored: ['new'],
+  expired: ['new'],
+};
+
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+// Include for prisma.lead queries: the org's LeadState row, as statusOf() expects
+export function stateInclude(orgId) {
+  return orgId ? { leadStates: { where: { orgId }, select: { status: true } } } : {};
+}
+
+// A lead's status in the org whose LeadState rows (if any) were loaded with stateInclude()
+export function statusOf(lead) {
+  return lead.leadStates?.[0]?.status || (lead.expiredAt ? 'expired' : 'new');
+}
+
+/**
+ * Move a lead from `from` to `to` in an org inside transaction `tx`. Returns
+ * false when the org's status is no longer `from` (a concurrent change).
+ */
+export async function writeStatus(tx, { leadId, orgId, from, to, userId = null }) {
+  const data = { status: to, updatedBy: userId, updatedAt: new Date() };
+  const { count } = await tx.leadState.updateMany({ where: { leadId, orgId, status: from }, data });
+  if (count) return true;
+  // no row yet: `from` was the derived status. ON CONFLICT DO NOTHING rather than
+  // a caught P2002, which would abort the transaction
+  const created = await tx.leadState.createMany({ data: [{ leadId, orgId, ...data }], skipDuplicates: true });
+  return created.count > 0;
+}
@@ -0,0 +1,334 @@
+// lib/relevance.js — feedback-trained relevance model blended into lead scores
+//
+// Users mark leads relevant, irrelevant or scam. Every scope — an org, or a user
+// working outside any org — gets its own naive Bayes classifier over the lead's
+// words plus a few structured features: tech stack, source, and the budget's
+// period and order of magnitude (what tells a $5k contract from "$5 per article").
+// trainModels() runs on a schedule; each run is stored as a new RelevanceModel
+// version and replaces the active one unless its holdout accuracy is worse.
+// Activating a version marks its scope for re-scoring; processPendingRescores()
+// does that in the background and keeps one LeadScore per lead and model.
+//
+//   mlScore    = 10 × P(relevant)
+//   finalScore = (1 - ML_WEIGHT) × ruleScore + ML_WEIGHT × mlScore
+import crypto from 'node:crypto';
+import { prisma } from 'db';
+
+import { visibleLeads } from './orgs.js';
+import { getActiveRuleSet, scoreLead } from './rulesets.js';
+
+export const LABELS = ['relevant', 'irrelevant', 'scam'];
+
+export const TRAIN_INTERVAL_MS = Number(process.env.ML_TRAIN_INTERVAL_MINUTES || 60) * 60 * 1000;
+export const RESCORE_INTERVAL_MS = 60 * 1000;
+const RESCORE_LEASE_MS = 30 * 60 * 1000; // a claimed re-score not finished by then is run again
+
+const {
+  ML_MIN_EXAMPLES = '20',
+  ML_WEIGHT = '0.4',
+  ML_RESCORE_DAYS = '14',
+  ML_MAX_REGRESSION = '0.05',
+} = process.env;
+
+const MIN_PER_CLASS = 3; // relevant and not relevant, each
+const MAX_VOCAB = 5000;
+const HOLDOUT_EVERY = 5; // one example in five is held out to measure accuracy
+const MIN_HOLDOUT = 5;
+const BATCH = 200;
+const MODEL_CACHE_MS = 60 * 1000;
+
+const LEAD_FIELDS = {
+  id: true, title: true, summary: true, source: true, techStack: true, orgId: true, createdAt: true,
+  budgetUsdMin: true, budgetUsdMax: true, budgetPeriod: true,
+};
+
+// --- scopes: whose feedback trains which model
+
+export const scopeOf = ({ orgId = null, userId = null }) => (orgId ? `org:${orgId}` : `user:${userId}`);
+
+export function scopeOwner(scope) {
+  const i = scope.indexOf(':');
+  const id = scope.slice(i + 1);
+  return scope.startsWith('org:') ? { orgId: id, userId: null } : { orgId: null, userId: id };
+}
+
+// --- features and the classifier
+
+const STOPWORDS = new Set(`a an and are as at be by for from has have i in is it its me my of on or our that the this to us we will with you your`.split(' '));
+
+// Distinct feature tokens for a lead
+export function features(lead) {
+  const text = `${lead.title || ''} ${lead.summary || ''}`.toLowerCase();
+  const tokens = new Set((text.match(/[a-z][a-z0-9+#.]*[a-z0-9+#]/g) || []).filter(w => !STOPWORDS.has(w)));
+  for (const tech of lead.techStack || []) tokens.add(`tech:${tech.toLowerCase()}`);
+  if (lead.source) tokens.add(`source:${lead.source.toLowerCase()}`);
+  const usd = lead.budgetUsdMax ?? lead.budgetUsdMin;
+  tokens.add(usd == null
+    ? 'budget:none'
+    : `budget:${lead.budgetPeriod || 'unknown'}:1e${Math.floor(Math.log10(Math.max(usd, 1)))}`);
+  return [...tokens];
+}
+
+/**
+ * Fit a multinomial naive Bayes model (Laplace smoothing) on [{ tokens, label }].
+ * Tokens seen in fewer than two examples are dropped.
+ */
+export function train(examples) {
+  const labels = LABELS.filter(l => examples.some(e => e.label === l));
+  const docs = Object.fromEntries(labels.map(l => [l, 0]));
+  const counts = new Map(); // token → { label: n }
+  const seen = new Map(); // token → examples containing it
+  for (const { tokens, label } of examples) {
+    docs[label]++;
+    for (const t of tokens) {
+      if (!counts.has(t)) counts.set(t, {});
+      const c = counts.get(t);
+      c[label] = (c[label] || 0) + 1;
+      seen.set(t, (seen.get(t) || 0) + 1);
+    }
+  }
+  const vocab = [...seen.entries()].filter(([, n]) => n >= 2)
+    .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+    .slice(0, MAX_VOCAB)
+    .map(([t]) => t);
+  const totals = Object.fromEntries(labels.map(l => [l, vocab.reduce((sum, t) => sum + (counts.get(t)[l] || 0), 0)]));
+  const round = (x) => Math.round(x * 1e4) / 1e4;
+  return {
+    labels,
+    priors: labels.map(l => round(Math.log((docs[l] + 1) / (examples.length + labels.length)))),
+    tokens: Object.fromEntries(vocab.map(t => [
+      t,
+      labels.map(l => round(Math.log(((counts.get(t)[l] || 0) + 1) / (totals[l] + vocab.length + 1)))),
+    ])),
+  };
+}
+
+// { relevant, irrelevant, scam } probabilities; labels without examples get 0
+export function predict(params, tokens) {
+  const logits = [...params.priors];
+  for (const t of tokens) {
+    const weights = params.tokens[t];
+    if (weights) weights.forEach((w, i) => { logits[i] += w; });
+  }
+  const max = Math.max(...logits);
+  const exp = logits.map(x => Math.exp(x - max));
+  const sum = exp.reduce((a, b) => a + b, 0);
+  const out = Object.fromEntries(LABELS.map(l => [l, 0]));
+  params.labels.forEach((l, i) => { out[l] = Math.round((exp[i] / sum) * 1000) / 1000; });
+  return out;
+}
+
+const round2 = (x) => Math.round(x * 100) / 100;
+
+export const mlScoreOf = (probabilities) => round2(10 * probabilities.relevant);
+
+export const blend = (ruleScore, mlScore) => round2((1 - Number(ML_WEIGHT)) * ruleScore + Number(ML_WEIGHT) * mlScore);
+
+// Share of held-out examples where "relevant or not" was predicted right
+function accuracy(params, holdout) {
+  if (holdout.length < MIN_HOLDOUT) return null;
+  const right = holdout.filter(e => (predict(params, e.tokens).relevant >= 0.5) === (e.label === 'relevant')).length;
+  return Math.round((right / holdout.length) * 1000) / 1000;
+}
+
+// Stable per lead, so the same examples stay held out across runs
+const heldOut = (leadId) => crypto.createHash('sha1').update(leadId).digest().readUInt32BE(0) % HOLDOUT_EVERY === 0;
+
+// --- models
+
+const cache = new Map(); // scope → { model, expires }
+
+export async function activeModel(scope) {
+  const hit = cache.get(scope);
+  if (hit && hit.expires > Date.now()) return hit.model;
+  const model = await prisma.relevanceModel.findFirst({ where: { scope, isActive: true } });
+  cache.set(scope, { model, expires: Date.now() + MODEL_CACHE_MS });
+  return model;
+}
+
+export function listModels(scope) {
+  return prisma.relevanceModel.findMany({
+    where: { scope },
+    orderBy: { version: 'desc' },
+    select: { id: true, scope: true, version: true, isActive: true, metrics: true, examples: true, trainedAt: true, rescoreAt: true },
+  });
+}
+
+/**
+ * Make a stored version the active model of its scope (also how a bad version
+ * is rolled back) and queue the re-score of the scope's recent leads with it.
+ */
+export async function activateModel(id, scope) {
+  const model = await prisma.relevanceModel.findFirst({ where: { id, scope } });
+  if (!model) return null;
+  const [, activated] = await prisma.$transaction([
+    prisma.relevanceModel.updateMany({ where: { scope, isActive: true }, data: { isActive: false, rescoreAt: null } }),
+    prisma.relevanceModel.update({ where: { id }, data: { isActive: true, rescoreAt: new Date() } }),
+  ]);
+  cache.delete(scope);
+  return activated;
+}
+
+/**
+ * Train a new version from all of the scope's feedback. Returns { model, activated }
+ * or { skipped } when there isn't enough feedback yet.
+ */
+export async function trainScope(scope) {
+  const rows = await prisma.leadFeedback.findMany({ where: { scope }, include: { lead: { select: LEAD_FIELDS } } });
+  const examples = rows.map(r => ({ leadId: r.leadId, label: r.label, tokens: features(r.lead) }));
+  const relevant = examples.filter(e => e.label === 'relevant').length;
+  if (examples.length < Number(ML_MIN_EXAMPLES)) {
+    return { skipped: `needs ${ML_MIN_EXAMPLES} marked leads, has ${examples.length}` };
+  }
+  if (relevant < MIN_PER_CLASS || examples.length - relevant < MIN_PER_CLASS) {
+    return { skipped: `needs at least ${MIN_PER_CLASS} relevant and ${MIN_PER_CLASS} irrelevant or scam leads` };
+  }
+
+  const holdout = examples.filter(e => heldOut(e.leadId));
+  const score = accuracy(train(examples.filter(e => !heldOut(e.leadId))), holdout);
+  const metrics = {
+    ...Object.fromEntries(LABELS.map(l => [l, examples.filter(e => e.label === l).length])),
+    holdout: holdout.length,
+    accuracy: score,
+  };
+
+  const [latest, active] = await Promise.all([
+    prisma.relevanceModel.findFirst({ where: { scope }, orderBy: { version: 'desc' }, select: { version: true } }),
+    prisma.relevanceModel.findFirst({ where: { scope, isActive: true }, select: { metrics: true } }),
+  ]);
+  const model = await prisma.relevanceModel.create({
+    data: { scope, version: (latest?.version || 0) + 1, params: train(examples), metrics, examples: examples.length },
+  });
+  // a version that measurably does worse than the active one is kept for reference only
+  const previous = active?.metrics?.accuracy;
+  const accept = score == null || previous == null || score >= previous - Number(ML_MAX_REGRESSION);
+  if (!accept) return { model, activated: false };
+  return { model: await activateModel(model.id, scope), activated: true };
+}
+
+/**
+ * Scheduled retraining: every scope with feedback newer than its last trained
+ * version. Returns the number of versions trained.
+ */
+export async function trainModels() {
+  const scopes = await prisma.leadFeedback.groupBy({ by: ['scope'], _max: { updatedAt: true } });
+  let trained = 0;
+  for (const { scope, _max } of scopes) {
+    try {
+      const latest = await prisma.relevanceModel.findFirst({ where: { scope }, orderBy: { version: 'desc' }, select: { trainedAt: true } });
+      if (latest && latest.trainedAt >= _max.updatedAt) continue;
+      const result = await trainScope(scope);
+      if (result.model) trained++;
+    } catch (e) {
+      console.error(`Train relevance model ${scope} error:`, e);
+    }
+  }
+  return trained;
+}
+
+// --- scoring
+
+/**
+ * Score one lead with a model: { ruleScore, mlScore, finalScore, probabilities }.
+ * `ruleResult` is the rule-set result for the model's scope.
+ */
+export function modelScore(model, lead, ruleResult) {
+  const probabilities = predict(model.params, features(lead));
+  const mlScore = mlScoreOf(probabilities);
+  return { ruleScore: ruleResult.score, mlScore, finalScore: blend(ruleResult.score, mlScore), probabilities };
+}
+
+// One row per lead and model; createdAt moves with every re-score, so the newest row is the latest score
+function recordModelScore(model, lead, ruleResult) {
+  const scored = modelScore(model, lead, ruleResult);
+  const data = {
+    ...scopeOwner(model.scope),
+    ruleScore: scored.ruleScore,
+    mlScore: scored.mlScore,
+    finalScore: scored.finalScore,
+    version: `${ruleResult.version}+ml${model.version}`,
+    breakdown: [...ruleResult.breakdown, { rule: 'relevance-model', points: null, model: model.version, probabilities: scored.probabilities }],
+  };
+  return prisma.leadScore.upsert({
+    where: { leadId_modelId: { leadId: lead.id, modelId: model.id } },
+    create: { ...data, leadId: lead.id, modelId: model.id },
+    update: { ...data, createdAt: new Date() },
+  });
+}
+
+// Which active models may see a lead: its org's for org leads, all of them for global ones
+function modelsFor(lead) {
+  return prisma.relevanceModel.findMany({
+    where: { isActive: true, ...(lead.orgId ? { scope: scopeOf({ orgId: lead.orgId }) } : {}) },
+  });
+}
+
+/**
+ * Write a LeadScore for a freshly stored lead under every active model that can
+ * see it. Each scope's own active rule set provides the rule score.
+ */
+export async function scoreWithModels(lead) {
+  const models = await modelsFor(lead);
+  const ruleSets = new Map();
+  for (const model of models) {
+    const { orgId } = scopeOwner(model.scope);
+    if (!ruleSets.has(orgId)) ruleSets.set(orgId, await getActiveRuleSet(orgId));
+    await recordModelScore(model, lead, scoreLead(lead, ruleSets.get(orgId)));
+  }
+  return models.length;
+}
+
+// Re-score the leads of the last ML_RESCORE_DAYS visible to the model's scope
+export async function rescoreScope(model) {
+  const { orgId } = scopeOwner(model.scope);
+  const ruleSet = await getActiveRuleSet(orgId);
+  const since = new Date(Date.now() - Number(ML_RESCORE_DAYS) * 24 * 3600 * 1000);
+  const where = { createdAt: { gte: since }, ...visibleLeads(orgId) };
+  let cursor = null;
+  let count = 0;
+  for (;;) {
+    const leads = await prisma.lead.findMany({
+      where,
+      orderBy: { id: 'asc' },
+      take: BATCH,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+      select: { ...LEAD_FIELDS, cluster: { select: { repostCount: true } }, leadEnrichments: true },
+    });
+    for (const lead of leads) {
+      await recordModelScore(model, lead, scoreLead(lead, ruleSet));
+      count++;
+    }
+    if (leads.length < BATCH) return count;
+    cursor = leads[leads.length - 1].id;
+  }
+}
+
+/**
+ * Background part of activateModel(): re-score the scope of every active model
+ * whose re-score is due. Each is claimed with a lease first, so concurrent runs
+ * skip it and a crashed run is retried once the lease expires. Returns the
+ * number of leads scored.
+ */
+export async function processPendingRescores() {
+  const due = await prisma.relevanceModel.findMany({
+    where: { isActive: true, rescoreAt: { lte: new Date() } },
+    orderBy: { rescoreAt: 'asc' },
+  });
+  let scored = 0;
+  for (const model of due) {
+    const lease = new Date(Date.now() + RESCORE_LEASE_MS);
+    const { count } = await prisma.relevanceModel.updateMany({
+      where: { id: model.id, rescoreAt: model.rescoreAt },
+      data: { rescoreAt: lease },
+    });
+    if (!count) continue;
+    try {
+      scored += await rescoreScope(model);
+      // re-activated meanwhile: rescoreAt changed and the scope stays due
+      await prisma.relevanceModel.updateMany({ where: { id: model.id, rescoreAt: lease }, data: { rescoreAt: null } });
+    } catch (e) {
+      console.error(`Rescore relevance model ${model.scope} error:`, e);
+    }
+  }
+  return scored;
+}
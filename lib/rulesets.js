@@ -0,0 +1,186 @@
+// lib/rulesets.js — versioned scoring rule sets stored per org, and LeadScore history
+import { prisma } from 'db';
+
+import { DEFAULT_RULE_SET, evaluateRules } from '../scoring.js';
+import { budgetColumns } from './budget.js';
+
+const RESCORE_BATCH = 200;
+const RESCORE_LEASE_MS = 30 * 60 * 1000; // a run still `running` after this was lost with its worker
+
+// Active rule set for an org, falling back to the global one, then to the built-in default
+export async function getActiveRuleSet(orgId = null) {
+  try {
+    if (orgId) {
+      const own = await prisma.scoringRuleSet.findFirst({ where: { orgId, isActive: true } });
+      if (own) return toRuleSet(own);
+    }
+    const global = await prisma.scoringRuleSet.findFirst({ where: { orgId: null, isActive: true } });
+    if (global) return toRuleSet(global);
+  } catch (e) {
+    console.error('Load rule set error:', e);
+  }
+  return { id: null, orgId: null, ...DEFAULT_RULE_SET };
+}
+
+export async function getRuleSet(id) {
+  const row = await prisma.scoringRuleSet.findUnique({ where: { id } });
+  return row ? toRuleSet(row) : null;
+}
+
+export function listRuleSets(orgId = null) {
+  return prisma.scoringRuleSet.findMany({
+    where: { orgId },
+    orderBy: { createdAt: 'desc' },
+  });
+}
+
+// Versions default to custom-v<n+1> within the org (plain v<n> belongs to the built-in
+// default in scoring.js); throws P2002 if the version already exists
+export async function createRuleSet({ orgId = null, version, rules, createdBy = null, activate = false }) {
+  if (!version) {
+    const count = await prisma.scoringRuleSet.count({ where: { orgId } });
+    version = `custom-v${count + 1}`;
+  }
+  const row = await prisma.scoringRuleSet.create({
+    data: { orgId, version, rules, createdBy },
+  });
+  return activate ? activateRuleSet(row.id) : row;
+}
+
+export async function activateRuleSet(id, orgId = null) {
+  const row = await prisma.scoringRuleSet.findFirst({ where: { id, orgId } });
+  if (!row) return null;
+  const [, activated] = await prisma.$transaction([
+    prisma.scoringRuleSet.updateMany({ where: { orgId: row.orgId, isActive: true }, data: { isActive: false } }),
+    prisma.scoringRuleSet.update({ where: { id }, data: { isActive: true } }),
+  ]);
+  return activated;
+}
+
+export function recordScore(leadId, result, orgId = null) {
+  return prisma.leadScore.create({
+    data: {
+      leadId,
+      orgId,
+      ruleScore: result.score,
+      mlScore: 0,
+      finalScore: result.score,
+      version: result.version,
+      breakdown: result.breakdown,
+    },
+  });
+}
+
+// Outside an org, a user's own relevance-model score wins over the global rule score
+export async function latestScore(leadId, orgId = null, userId = null) {
+  const latest = (where) => prisma.leadScore.findFirst({ where: { leadId, orgId, ...where }, orderBy: { createdAt: 'desc' } });
+  if (orgId) return latest({});
+  return (userId && await latest({ userId })) || latest({ userId: null });
+}
+
+/**
+ * Re-run a rule set over stored leads and write a LeadScore row for each.
+ * Global re-scores (orgId null) also refresh `Lead.score` and the parsed budget columns.
+ */
+export async function rescoreLeads({ orgId = null, ruleSet, since } = {}) {
+  ruleSet = ruleSet || await getActiveRuleSet(orgId);
+  const where = {
+    ...(orgId ? { OR: [{ orgId }, { orgId: null }] } : {}),
+    ...(since ? { createdAt: { gte: new Date(since) } } : {}),
+  };
+  let cursor;
+  let count = 0;
+  for (;;) {
+    const leads = await prisma.lead.findMany({
+      where,
+      take: RESCORE_BATCH,
+      ...(cursor ? { skip: 1, cursor: { id: cursor } } : {}),
+      orderBy: { id: 'asc' },
+      select: {
+        id: true, title: true, summary: true, createdAt: true,
+        cluster: { select: { repostCount: true } },
+        leadEnrichments: { select: { status: true, signals: true } },
+      },
+    });
+    if (!leads.length) break;
+    for (const lead of leads) {
+      const result = scoreLead(lead, ruleSet);
+      await recordScore(lead.id, result, orgId);
+      if (!orgId) {
+        await prisma.lead.update({ where: { id: lead.id }, data: { score: result.score, ...budgetColumns(result.budget) } });
+      }
+      count++;
+    }
+    cursor = leads[leads.length - 1].id;
+  }
+  return { version: ruleSet.version, count };
+}
+
+/**
+ * Run the queued RescoreRuns (POST /api/scoring/rescore), oldest first. Each is
+ * claimed pending → running first, so concurrent callers skip it; runs left
+ * running past RESCORE_LEASE_MS are queued again. Returns the number of runs finished.
+ */
+export async function processRescoreRuns() {
+  await prisma.rescoreRun.updateMany({
+    where: { status: 'running', startedAt: { lt: new Date(Date.now() - RESCORE_LEASE_MS) } },
+    data: { status: 'pending' },
+  });
+  const pending = await prisma.rescoreRun.findMany({ where: { status: 'pending' }, orderBy: { createdAt: 'asc' } });
+  let finished = 0;
+  for (const run of pending) {
+    const { count } = await prisma.rescoreRun.updateMany({
+      where: { id: run.id, status: 'pending' },
+      data: { status: 'running', startedAt: new Date() },
+    });
+    if (!count) continue;
+    try {
+      const ruleSet = run.ruleSetId ? await getRuleSet(run.ruleSetId) : await getActiveRuleSet(run.orgId);
+      if (!ruleSet) throw new Error('rule set was deleted');
+      const result = await rescoreLeads({ orgId: run.orgId, ruleSet, since: run.since });
+      await prisma.rescoreRun.update({
+        where: { id: run.id },
+        data: { status: 'success', version: result.version, count: result.count, finishedAt: new Date() },
+      });
+    } catch (e) {
+      console.error(`Rescore run ${run.id} error:`, e);
+      await prisma.rescoreRun.update({ where: { id: run.id }, data: { status: 'failed', error: e.message, finishedAt: new Date() } })
+        .catch(err => console.error('RescoreRun update error:', err));
+    }
+    finished++;
+  }
+  return finished;
+}
+
+// Every org's own active rule set; orgs without one score with the global set
+export async function orgRuleSets() {
+  const rows = await prisma.scoringRuleSet.findMany({ where: { orgId: { not: null }, isActive: true } });
+  return rows.map(toRuleSet);
+}
+
+/**
+ * Record a global lead's score under each org's own active rule set (`ruleSets`
+ * from orgRuleSets()), so org lists rank new leads by the org's rules without a
+ * rescore. `lead` is what scoreLead() takes. Returns the number of scores written.
+ */
+export async function recordOrgScores(lead, ruleSets) {
+  if (lead.orgId) return 0; // org-private leads are scored with their org's rules where they're stored
+  for (const ruleSet of ruleSets) await recordScore(lead.id, scoreLead(lead, ruleSet), ruleSet.orgId);
+  return ruleSets.length;
+}
+
+// Trust signals stored by lib/enrichment, merged into one object
+export function enrichmentSignals(enrichments = []) {
+  return Object.assign({}, ...enrichments.filter(e => e.status !== 'error').map(e => e.signals || {}));
+}
+
+// `lead` may carry leadEnrichments; their signals feed the `signal` rules
+export function scoreLead(lead, ruleSet) {
+  const content = [lead.title, lead.summary].filter(Boolean).join(' — ');
+  const signals = { ...enrichmentSignals(lead.leadEnrichments), reposts: lead.cluster?.repostCount ?? 0 };
+  return evaluateRules(ruleSet, { content, created_utc: lead.createdAt.getTime() / 1000, signals });
+}
+
+function toRuleSet(row) {
+  return { id: row.id, orgId: row.orgId, version: row.version, rules: row.rules };
+}
@@ -0,0 +1,204 @@
+// lib/webhooks.js — signed outbound webhooks with retries and a delivery log
+//
+// Every request carries
+//   X-Signal-Event:      lead.created
+//   X-Signal-Delivery:   <delivery id>
+//   X-Signal-Signature:  t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>" with the webhook secret>
+// Receivers should recompute v1 and reject timestamps older than a few minutes.
+// Failed attempts are retried with exponential backoff; after
+// WEBHOOK_MAX_FAILURES deliveries in a row fail for good the webhook is disabled.
+// Endpoints on private networks are refused at registration and on every send (lib/net.js).
+import crypto from 'crypto';
+import { prisma } from 'db';
+
+import { publicFetch } from './net.js';
+
+// The lead shape in lead.created payloads; stored rows also carry internals
+// (minhash, dedupe bands, enrichment bookkeeping) that receivers must not depend on
+const LEAD_FIELDS = [
+  'id', 'source', 'title', 'summary', 'rawUrl', 'author', 'company', 'location', 'techStack',
+  'budget', 'budgetMin', 'budgetMax', 'budgetCurrency', 'budgetPeriod', 'budgetUsdMin', 'budgetUsdMax',
+  'score', 'orgId', 'clusterId', 'isCanonical', 'createdAt', 'discoveredAt',
+];
+
+export function leadPayload(lead) {
+  return Object.fromEntries(LEAD_FIELDS.map(f => [f, lead[f] ?? null]));
+}
+
+// How often due retries are sent (apps/worker, or server.js without Redis)
+export const WEBHOOK_RETRY_INTERVAL_MS = 30 * 1000;
+
+export const EVENTS = ['lead.created', 'lead.claimed', 'lead.unclaimed', 'lead.status_changed', 'lead.note_added', 'lead.expired'];
+
+const {
+  WEBHOOK_MAX_ATTEMPTS = '6',
+  WEBHOOK_MAX_FAILURES = '5',
+  WEBHOOK_TIMEOUT_MS = '10000',
+} = process.env;
+
+const RETRY_BASE_MS = 30 * 1000; // 30s, 1m, 2m, 4m, 8m, ...
+const RESPONSE_LIMIT = 1000;
+
+export function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+export function sign(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const mac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${mac}`;
+}
+
+export function retryDelay(attempt) {
+  return RETRY_BASE_MS * 2 ** (attempt - 1);
+}
+
+/**
+ * Queue `event` for every active webhook subscribed to it and try each once.
+ * orgId null (globally harvested leads) fans out to all orgs.
+ */
+export async function emitEvent(event, data, { orgId = null } = {}) {
+  try {
+    const hooks = await prisma.webhook.findMany({
+      where: {
+        isActive: true,
+        event: { in: [event, '*'] },
+        ...(orgId ? { orgId } : {}),
+      },
+    });
+    const deliveries = [];
+    for (const hook of hooks) {
+      const payload = { event, createdAt: new Date().toISOString(), orgId: orgId ?? hook.orgId, data };
+      // the first attempt happens right below; nextAttemptAt only matters if it never finishes
+      deliveries.push(await prisma.webhookDelivery.create({
+        data: { webhookId: hook.id, event, payload, status: 'pending', nextAttemptAt: new Date(Date.now() + retryDelay(1)) },
+      }));
+    }
+    // don't hold up the caller on slow receivers
+    Promise.all(deliveries.map(d => attemptDelivery(d.id))).catch(e => console.error('Webhook dispatch error:', e));
+    return deliveries.length;
+  } catch (e) {
+    console.error(`emitEvent(${event}) error:`, e);
+    return 0;
+  }
+}
+
+export async function attemptDelivery(deliveryId) {
+  const delivery = await prisma.webhookDelivery.findUnique({
+    where: { id: deliveryId },
+    include: { webhook: true },
+  });
+  if (!delivery || delivery.status !== 'pending') return delivery;
+  const { webhook } = delivery;
+  if (!webhook.isActive) {
+    return prisma.webhookDelivery.update({ where: { id: deliveryId }, data: { status: 'failed', response: 'webhook disabled', nextAttemptAt: null } });
+  }
+
+  // claim the attempt: a concurrent run (emitEvent's first try, processDueDeliveries
+  // in another process) sees `attempts` moved on and leaves the delivery alone.
+  // Pushing nextAttemptAt past the timeout keeps it out of the due list meanwhile,
+  // and brings it back if this process dies mid-send.
+  const attemptNumber = delivery.attempts + 1;
+  const { count } = await prisma.webhookDelivery.updateMany({
+    where: { id: deliveryId, status: 'pending', attempts: delivery.attempts },
+    data: { attempts: attemptNumber, nextAttemptAt: new Date(Date.now() + Number(WEBHOOK_TIMEOUT_MS) + retryDelay(1)) },
+  });
+  if (!count) return prisma.webhookDelivery.findUnique({ where: { id: deliveryId } });
+
+  const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+  let statusCode = null;
+  let response = '';
+  try {
+    // the url was checked when registered, but its host may resolve elsewhere by now
+    const r = await publicFetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'freelance-signal-webhooks/1.0',
+        'X-Signal-Event': delivery.event,
+        'X-Signal-Delivery': delivery.id,
+        'X-Signal-Signature': sign(webhook.secret, body),
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(Number(WEBHOOK_TIMEOUT_MS)),
+    });
+    statusCode = r.status;
+    response = (await r.text()).slice(0, RESPONSE_LIMIT);
+  } catch (e) {
+    response = e.message.slice(0, RESPONSE_LIMIT);
+  }
+
+  const ok = statusCode >= 200 && statusCode < 300;
+  const exhausted = !ok && attemptNumber >= Number(WEBHOOK_MAX_ATTEMPTS);
+  const now = new Date();
+  await prisma.webhookAttempt.create({
+    data: { deliveryId, attemptNumber, statusCode, response, attemptedAt: now },
+  });
+  const updated = await prisma.webhookDelivery.update({
+    where: { id: deliveryId },
+    data: {
+      lastAttemptAt: now,
+      statusCode,
+      response,
+      status: ok ? 'success' : (exhausted ? 'failed' : 'pending'),
+      nextAttemptAt: ok || exhausted ? null : new Date(now.getTime() + retryDelay(attemptNumber)),
+    },
+  });
+
+  if (ok) {
+    await prisma.webhook.updateMany({ where: { id: webhook.id, consecutiveFailures: { gt: 0 } }, data: { consecutiveFailures: 0 } });
+  } else if (exhausted) {
+    await recordFailure(webhook);
+  }
+  return updated;
+}
+
+async function recordFailure(webhook) {
+  // atomic, so failures finishing at the same time all count
+  const { consecutiveFailures: failures } = await prisma.webhook.update({
+    where: { id: webhook.id },
+    data: { consecutiveFailures: { increment: 1 } },
+    select: { consecutiveFailures: true },
+  });
+  if (failures < Number(WEBHOOK_MAX_FAILURES)) return;
+  const { count } = await prisma.webhook.updateMany({
+    where: { id: webhook.id, isActive: true },
+    data: { isActive: false, disabledAt: new Date(), updatedAt: new Date() },
+  });
+  if (count) console.warn(`Webhook ${webhook.id} disabled after ${failures} failed deliveries`);
+}
+
+// Retry every pending delivery whose backoff has elapsed
+export async function processDueDeliveries(limit = 50) {
+  const due = await prisma.webhookDelivery.findMany({
+    where: { status: 'pending', nextAttemptAt: { lte: new Date() } },
+    orderBy: { nextAttemptAt: 'asc' },
+    take: limit,
+    select: { id: true },
+  });
+  for (const { id } of due) {
+    try {
+      await attemptDelivery(id);
+    } catch (e) {
+      console.error(`Webhook delivery ${id} error:`, e);
+    }
+  }
+  return due.length;
+}
+
+// Send a past delivery's payload again as a new delivery
+export async function redeliver(deliveryId) {
+  const original = await prisma.webhookDelivery.findUnique({ where: { id: deliveryId } });
+  if (!original) return null;
+  const copy = await prisma.webhookDelivery.create({
+    data: {
+      webhookId: original.webhookId,
+      event: original.event,
+      payload: original.payload,
+      status: 'pending',
+      nextAttemptAt: new Date(Date.now() + retryDelay(1)),
+      redeliveryOf: original.id,
+    },
+  });
+  return attemptDelivery(copy.id);
+}
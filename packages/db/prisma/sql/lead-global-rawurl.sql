@@ -0,0 +1,7 @@
+-- prisma/sql/lead-global-rawurl.sql — one global lead per URL
+--
+-- Runs after `prisma db push` (see db:push in package.json). @@unique([orgId, rawUrl]) on
+-- model Lead keeps each org's imports apart but never matches global (harvested) leads,
+-- since Postgres treats NULL orgIds as distinct. lib/harvest.js counts the P2002 this
+-- raises as a duplicate. db push drops indexes it doesn't know, so this re-creates it.
+CREATE UNIQUE INDEX IF NOT EXISTS "lead_global_rawUrl_key" ON "lead"("rawUrl") WHERE "orgId" IS NULL;
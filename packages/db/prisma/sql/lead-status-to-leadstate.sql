@@ -0,0 +1,49 @@
+-- prisma/sql/lead-status-to-leadstate.sql — copy the old shared lead.status into leadstate
+--
+-- Runs before `prisma db push` (see db:push in package.json), which drops lead.status.
+-- A no-op on a fresh database or once the column is gone, so it is safe to re-run.
+--
+-- lead.status was shared by every org. A worked status is copied to the lead's own org
+-- (org-private leads) and to every org that changed it (lead.status_changed audit entries).
+-- 'new' needs no row and 'expired' comes from lead.expiredAt, see lib/pipeline.js statusOf().
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'lead' AND column_name = 'status'
+  ) THEN
+    RETURN;
+  END IF;
+
+  -- same shape as model LeadState, so db push keeps the table as is
+  CREATE TABLE IF NOT EXISTS "leadstate" (
+    "id" TEXT NOT NULL,
+    "leadId" TEXT NOT NULL,
+    "orgId" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "updatedBy" UUID,
+    "updatedAt" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "leadstate_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "leadstate_leadId_fkey" FOREIGN KEY ("leadId") REFERENCES "lead"("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "leadstate_orgId_fkey" FOREIGN KEY ("orgId") REFERENCES "org"("id") ON DELETE CASCADE ON UPDATE CASCADE
+  );
+  CREATE UNIQUE INDEX IF NOT EXISTS "leadstate_leadId_orgId_key" ON "leadstate"("leadId", "orgId");
+  CREATE INDEX IF NOT EXISTS "leadstate_orgId_status_idx" ON "leadstate"("orgId", "status");
+
+  INSERT INTO "leadstate" ("id", "leadId", "orgId", "status", "updatedBy", "updatedAt")
+  SELECT DISTINCT ON (l."id", o."orgId")
+    gen_random_uuid()::text, l."id", o."orgId", l."status", o."userId", coalesce(o."createdAt", now())
+  FROM "lead" l
+  JOIN LATERAL (
+    SELECT l."orgId", NULL::uuid AS "userId", NULL::timestamptz AS "createdAt"
+    WHERE l."orgId" IS NOT NULL
+    UNION ALL
+    SELECT a."orgId", a."userId", a."createdAt" FROM "auditlog" a
+    WHERE a."entityType" = 'lead' AND a."entityId" = l."id"
+      AND a."action" = 'lead.status_changed' AND a."orgId" IS NOT NULL
+  ) o ON true
+  JOIN "org" ON "org"."id" = o."orgId"
+  WHERE l."status" NOT IN ('new', 'expired')
+  ORDER BY l."id", o."orgId", o."createdAt" DESC NULLS LAST
+  ON CONFLICT ("leadId", "orgId") DO NOTHING;
+END $$;
@@ -0,0 +1,6 @@
+-- prisma/sql/lead-tech-keys.sql — fill lead.techKeys for leads stored before the column existed
+--
+-- Runs after `prisma db push` (see db:push in package.json); lib/harvest.js and
+-- lib/lead-io.js set it on every new lead. Only touches rows still missing it.
+UPDATE "lead" SET "techKeys" = ARRAY(SELECT DISTINCT lower(t) FROM unnest("techStack") AS t)
+WHERE "techKeys" = '{}' AND cardinality("techStack") > 0;
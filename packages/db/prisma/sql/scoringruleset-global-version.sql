@@ -0,0 +1,14 @@
+-- prisma/sql/scoringruleset-global-version.sql — one version name per global rule set
+--
+-- Runs after `prisma db push` (see db:push in package.json). @@unique([orgId, version]) on
+-- model ScoringRuleSet never matches global sets, since Postgres treats NULL orgIds as distinct,
+-- and Prisma can't declare a partial index. db push drops indexes it doesn't know, so this re-creates it.
+
+-- rename duplicates left from before the index, keeping the oldest set's name
+UPDATE "scoringruleset" s SET "version" = s."version" || '-' || left(s."id", 8)
+WHERE s."orgId" IS NULL AND EXISTS (
+  SELECT 1 FROM "scoringruleset" o
+  WHERE o."orgId" IS NULL AND o."version" = s."version" AND (o."createdAt", o."id") < (s."createdAt", s."id")
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "scoringruleset_global_version_key" ON "scoringruleset"("version") WHERE "orgId" IS NULL;
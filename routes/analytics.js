@@ -0,0 +1,44 @@
+// routes/analytics.js — market analytics over the leads visible to the caller
+import express from 'express';
+
+import { REPORTS, analyticsParams, runReports } from '../lib/analytics.js';
+import { requireRead } from '../lib/auth.js';
+import { FilterError } from '../lib/lead-filters.js';
+import { orgContext } from '../lib/orgs.js';
+
+const router = express.Router();
+
+const NAMES = Object.keys(REPORTS);
+
+async function respond(req, res, names) {
+  const { limits } = req.auth.access;
+  let params;
+  try {
+    // trial accounts only see recent leads, here as in the list
+    const minFrom = limits.historyDays ? new Date(Date.now() - limits.historyDays * 24 * 3600 * 1000) : null;
+    params = analyticsParams(req.query, { minFrom });
+  } catch (e) {
+    if (e instanceof FilterError) return res.status(400).json({ error: e.message });
+    throw e;
+  }
+  try {
+    res.json(await runReports(names, { orgId: req.org?.id || null, ...params }));
+  } catch (e) {
+    console.error('Analytics error:', e);
+    res.status(500).json({ error: 'Failed to build analytics' });
+  }
+}
+
+// Parameters are documented in lib/analytics.js (bucket, from, to, top, period)
+
+// All reports at once, for the dashboard
+router.get('/api/analytics', requireRead, orgContext('lead:read'), (req, res) => respond(req, res, NAMES));
+
+// One report: tech (demand per keyword), budgets (USD percentiles per stack),
+// locations (remote vs on-site share) or sources (harvested vs claimed and won)
+router.get('/api/analytics/:report', requireRead, orgContext('lead:read'), (req, res) => {
+  if (!NAMES.includes(req.params.report)) return res.status(404).json({ error: `report must be one of ${NAMES.join(', ')}` });
+  return respond(req, res, [req.params.report]);
+});
+
+export default router;
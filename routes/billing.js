@@ -0,0 +1,65 @@
+// routes/billing.js — Stripe checkout, customer portal and the webhook handler
+import express from 'express';
+
+import { authenticate } from '../lib/auth.js';
+import {
+  BillingError,
+  createCheckoutSession,
+  createPortalSession,
+  processEvent,
+  verifyEvent,
+} from '../lib/billing.js';
+
+const router = express.Router();
+
+function sendBillingError(res, e, label) {
+  if (e instanceof BillingError) return res.status(e.status).json({ error: e.message });
+  console.error(`${label} error:`, e);
+  return res.status(500).json({ error: `${label} failed` });
+}
+
+// Monthly/annual plans; the trial length is configured on the Price in Stripe.
+// Only authenticated, not requireRead: expired and canceled users must be able to pay.
+router.post('/api/checkout', authenticate, async (req, res) => {
+  const { userId, email, profile } = req.auth; // from the verified Supabase token
+  try {
+    const session = await createCheckoutSession({ userId, email, profile, plan: req.body?.plan });
+    res.json({ url: session.url });
+  } catch (e) {
+    sendBillingError(res, e, 'Checkout');
+  }
+});
+
+router.post('/api/billing/portal', authenticate, async (req, res) => {
+  try {
+    const session = await createPortalSession(req.auth.profile);
+    res.json({ url: session.url });
+  } catch (e) {
+    sendBillingError(res, e, 'Billing portal');
+  }
+});
+
+/**
+ * Stripe webhook, shared by server.js (behind express.raw) and api/stripe-webhook.js,
+ * which reads the body itself into req.rawBody. Signature checks need the exact raw bytes.
+ */
+export async function stripeWebhook(req, res) {
+  let event;
+  try {
+    event = verifyEvent(req.rawBody || req.body, req.headers['stripe-signature']);
+  } catch (e) {
+    console.error('Stripe webhook rejected:', e.message);
+    return res.status(e.status).send(e.message);
+  }
+
+  try {
+    const { duplicate } = await processEvent(event);
+    res.status(200).json({ received: true, duplicate });
+  } catch (e) {
+    // 5xx makes Stripe retry; the event is stored as failed until then
+    console.error(`Stripe webhook ${event.type} ${event.id} error:`, e);
+    res.status(500).json({ error: 'Webhook processing failed' });
+  }
+}
+
+export default router;
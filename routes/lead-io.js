@@ -0,0 +1,139 @@
+// routes/lead-io.js — bulk lead export and import
+import { once } from 'node:events';
+import express from 'express';
+
+import { auditEntry } from '../lib/audit.js';
+import { requireRead, requireWrite } from '../lib/auth.js';
+import {
+  CONTENT_TYPES,
+  FORMATS,
+  ImportError,
+  csvHeader,
+  csvLine,
+  exportRecord,
+  importLeads,
+  iterateLeads,
+  parseRows,
+} from '../lib/lead-io.js';
+import { FilterError, filtersFromQuery, leadOrderBy, leadWhere } from '../lib/lead-filters.js';
+import { decayedScore } from '../lib/lifecycle.js';
+import { orgContext, visibleLeads } from '../lib/orgs.js';
+
+const router = express.Router();
+
+const EXPORT_MAX_ROWS = Number(process.env.EXPORT_MAX_ROWS || 100000);
+const IMPORT_MAX_ROWS = Number(process.env.IMPORT_MAX_ROWS || 5000);
+
+// CSV and NDJSON arrive as text. JSON bodies are parsed by the app-wide
+// express.json() and its 100kb limit, so large files should be sent as NDJSON.
+const textBody = express.text({ type: ['text/csv', 'application/x-ndjson', 'application/ndjson', 'text/plain'], limit: '20mb' });
+
+function formatOf(req, fallback) {
+  const format = String(req.query.format || '').toLowerCase();
+  if (format) return format;
+  const type = req.get('content-type') || '';
+  if (type.includes('csv')) return 'csv';
+  if (type.includes('ndjson')) return 'ndjson';
+  return fallback;
+}
+
+// Write with backpressure; false once the client has gone away
+async function write(res, chunk) {
+  if (res.destroyed) return false;
+  if (!res.write(chunk)) await Promise.race([once(res, 'drain'), once(res, 'close')]);
+  return !res.destroyed;
+}
+
+/**
+ * Stream every lead matching the /api/leads filters (same query parameters,
+ * plus ?format=csv|ndjson|json and ?sort=). Rows carry the active org's notes
+ * and claim, and extracted contacts.
+ */
+router.get('/api/export/leads', requireRead, orgContext('lead:read'), async (req, res) => {
+  const format = formatOf(req, 'csv');
+  if (!FORMATS.includes(format)) return res.status(400).json({ error: `format must be one of ${FORMATS.join(', ')}` });
+  const orgId = req.org?.id || null;
+  const { limits } = req.auth.access;
+  let filters, where, orderBy;
+  try {
+    filters = filtersFromQuery(req.query);
+    where = { AND: [leadWhere(filters, orgId), visibleLeads(orgId)] };
+    if (limits.historyDays) {
+      where.AND.push({ createdAt: { gte: new Date(Date.now() - limits.historyDays * 24 * 3600 * 1000) } });
+    }
+    orderBy = leadOrderBy(req.query.sort || 'newest');
+  } catch (e) {
+    if (e instanceof FilterError) return res.status(400).json({ error: e.message });
+    throw e;
+  }
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.set({
+    'Content-Type': CONTENT_TYPES[format],
+    'Content-Disposition': `attachment; filename="leads-${stamp}.${format}"`,
+    'Cache-Control': 'no-store',
+  });
+
+  let count = 0;
+  try {
+    if (format === 'csv') await write(res, csvHeader());
+    if (format === 'json') await write(res, '[');
+    const max = limits.pageSize ? limits.pageSize : EXPORT_MAX_ROWS; // trials export one page
+    for await (const lead of iterateLeads({ where, orderBy, orgId, max })) {
+      // minScore is on the score after age decay, as the lead list shows it
+      if (filters.minScore != null && !(decayedScore(lead.score, lead.createdAt) >= filters.minScore)) continue;
+      const record = exportRecord(lead);
+      const chunk = format === 'csv'
+        ? csvLine(record)
+        : format === 'ndjson' ? `${JSON.stringify(record)}\n` : `${count ? ',' : ''}\n${JSON.stringify(record)}`;
+      if (!await write(res, chunk)) return; // client disconnected
+      count++;
+    }
+    if (format === 'json') await write(res, '\n]\n');
+    res.end();
+  } catch (e) {
+    console.error('Export leads error:', e);
+    // headers are gone once rows have been sent; cut the stream so the file is visibly incomplete
+    if (!res.headersSent) return res.status(500).json({ error: 'Export failed' });
+    res.destroy(e);
+  }
+});
+
+/**
+ * Import leads as CSV, NDJSON or JSON (Content-Type or ?format=). The leads
+ * belong to the active org. ?dryRun=true validates and reports without writing.
+ */
+router.post('/api/import/leads', requireWrite, orgContext('lead:import', { required: true }), textBody, async (req, res) => {
+  const format = formatOf(req, 'json');
+  if (!FORMATS.includes(format)) return res.status(400).json({ error: `format must be one of ${FORMATS.join(', ')}` });
+  const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
+  let rows;
+  try {
+    rows = parseRows(req.body, format);
+  } catch (e) {
+    if (e instanceof ImportError) return res.status(400).json({ error: e.message });
+    throw e;
+  }
+  if (!rows.length) return res.status(400).json({ error: 'no rows to import' });
+  if (rows.length > IMPORT_MAX_ROWS) return res.status(413).json({ error: `at most ${IMPORT_MAX_ROWS} rows per import` });
+
+  try {
+    const report = await importLeads(rows, { orgId: req.org.id, userId: req.auth.userId, dryRun });
+    if (!dryRun && report.created) {
+      await auditEntry(req, {
+        userId: req.auth.userId,
+        orgId: req.org.id,
+        action: 'leads.imported',
+        entityType: 'org',
+        entityId: req.org.id,
+        payload: { format, total: report.total, created: report.created, duplicates: report.duplicates, failed: report.failed },
+      });
+    }
+    res.status(dryRun ? 200 : 201).json({ format, dryRun, ...report });
+  } catch (e) {
+    console.error('Import leads error:', e);
+    res.status(500).json({ error: 'Import failed' });
+  }
+});
+
+export default router;
@@ -0,0 +1,278 @@
+// routes/leads.js — lead listing shared by server.js and api/index.js
+import express from 'express';
+import { prisma } from 'db';
+
+import { requireRead } from '../lib/auth.js';
+import { usdRates } from '../lib/budget.js';
+import {
+  FilterError,
+  decodeCursor,
+  encodeCursor,
+  filtersFromQuery,
+  leadOrderBy,
+  leadWhere,
+  matchesFilters,
+} from '../lib/lead-filters.js';
+import { compareEventIds, isEventId, leadEventsSince, subscribeLeadEvents } from '../lib/lead-events.js';
+import { decayedScore } from '../lib/lifecycle.js';
+import { rankForMe, skillProfileOf } from '../lib/matching.js';
+import { orgContext, visibleLeads } from '../lib/orgs.js';
+import { stateInclude, statusOf } from '../lib/pipeline.js';
+import { scopeOf } from '../lib/relevance.js';
+
+const router = express.Router();
+
+const CLUSTER_SELECT = { id: true, canonicalLeadId: true, repostCount: true, firstSeenAt: true, lastSeenAt: true };
+
+// sort=forme and sort=hot are ranked here, over this many of the newest matching leads
+const RANKED_SORTS = ['forme', 'hot'];
+const RANK_CANDIDATES = Number(process.env.RANK_CANDIDATES || 500);
+// ?minScore= is checked after loading (on currentScore); a page scans at most this many batches
+const MIN_SCORE_MAX_SCANS = 10;
+
+const STREAM_HEARTBEAT_MS = Number(process.env.STREAM_HEARTBEAT_MS || 25000);
+const STREAM_RETRY_MS = 5000;
+
+// --- Leads list
+// Filters are documented in lib/lead-filters.js. Paging is cursor based:
+// pass the `nextCursor` of the previous page as ?cursor= (with the same ?sort=).
+// Every lead carries its `status` and `score` (the org's own rule score, once
+// one is recorded) in the active org, and `currentScore`, its (relevance or
+// rule) score after age decay. ?minScore= compares against currentScore, so with
+// it a page can hold fewer than `limit` leads and still have a nextCursor.
+// sort=hot ranks the newest RANK_CANDIDATES matches by that; sort=forme ranks them
+// by the caller's skill profile (lib/matching.js) and adds `match: { score, reasons }`.
+// Their cursors only hold while the lead stays in the ranking; after that it's a 400.
+router.get('/api/leads', requireRead, orgContext('lead:read'), async (req, res) => {
+  const { limits } = req.auth.access;
+  const limit = Math.min(Math.max(parseInt(req.query.limit || '50', 10) || 50, 1), limits.pageSize || 100);
+  const sort = req.query.sort || 'newest';
+  const ranked = RANKED_SORTS.includes(sort);
+  const orgId = req.org?.id || null;
+  let filters, where, orderBy, cursor;
+  try {
+    filters = filtersFromQuery(req.query);
+    // global leads plus the active org's own; other orgs' leads never show up
+    where = { AND: [leadWhere(filters, orgId), visibleLeads(orgId)] };
+    if (limits.historyDays) {
+      // trial accounts only see recent leads
+      where = { AND: [...where.AND, { createdAt: { gte: new Date(Date.now() - limits.historyDays * 24 * 3600 * 1000) } }] };
+    }
+    orderBy = leadOrderBy(ranked ? 'newest' : sort);
+    cursor = decodeCursor(req.query.cursor, sort);
+  } catch (e) {
+    if (e instanceof FilterError) return res.status(400).json({ error: e.message });
+    throw e;
+  }
+
+  const now = Date.now();
+  const load = async (page) => {
+    const rows = await prisma.lead.findMany({
+      where,
+      orderBy,
+      ...page,
+      include: {
+        cluster: { select: CLUSTER_SELECT },
+        leadClaims: { where: { orgId }, select: { userId: true, claimedAt: true } },
+        ...stateInclude(orgId),
+        // latest score from this org's (or, outside orgs, this user's) relevance model
+        leadScores: {
+          where: { modelId: { not: null }, orgId, userId: orgId ? null : req.auth.userId },
+          orderBy: { createdAt: 'desc' },
+          take: 1,
+          select: { mlScore: true, finalScore: true, version: true },
+        },
+        leadFeedback: { where: { userId: req.auth.userId, scope: scopeOf({ orgId, userId: req.auth.userId }) }, select: { label: true } },
+      },
+    });
+    // latest rule score under the org's own rule set, per lead (Lead.score is the global one)
+    const ruleScores = orgId
+      ? new Map((await prisma.leadScore.findMany({
+        where: { leadId: { in: rows.map(l => l.id) }, orgId, modelId: null },
+        orderBy: { createdAt: 'desc' },
+        distinct: ['leadId'],
+        select: { leadId: true, finalScore: true },
+      })).map(s => [s.leadId, s.finalScore]))
+      : new Map();
+    const leads = rows.map(({ leadScores, leadFeedback, leadStates, ...lead }) => {
+      const score = ruleScores.get(lead.id) ?? lead.score;
+      return {
+        ...lead,
+        score,
+        status: statusOf({ ...lead, leadStates }),
+        relevance: leadScores[0] || null,
+        feedback: leadFeedback[0]?.label || null,
+        currentScore: decayedScore(leadScores[0]?.finalScore ?? score, lead.createdAt, now),
+      };
+    });
+    // minScore is on the score the lead is shown with, so it can't be part of `where`
+    return { scanned: rows, leads: leads.filter(l => filters.minScore == null || l.currentScore >= filters.minScore) };
+  };
+
+  try {
+    let page;
+    let after = null; // where the next page starts when this one ran out of scans
+    if (ranked) {
+      page = (await load({ take: RANK_CANDIDATES })).leads;
+    } else {
+      // one extra match tells us whether another page exists
+      page = [];
+      let from = cursor;
+      for (let scans = 0; page.length <= limit; scans++) {
+        if (scans === MIN_SCORE_MAX_SCANS) {
+          after = from;
+          break;
+        }
+        const { scanned, leads } = await load({ take: limit + 1, ...(from ? { cursor: { id: from }, skip: 1 } : {}) });
+        page.push(...leads);
+        if (scanned.length < limit + 1) break;
+        from = scanned[scanned.length - 1].id;
+      }
+    }
+    if (sort === 'forme') page = rankForMe(page, skillProfileOf(req.auth.profile));
+    if (sort === 'hot') page.sort((a, b) => b.currentScore - a.currentScore || b.createdAt - a.createdAt);
+    if (ranked && cursor) {
+      // the ranking is recomputed for every page; continue after the previous page's last lead
+      const at = page.findIndex(l => l.id === cursor);
+      // it left the ranking (archived, or pushed out of the candidates by newer leads)
+      if (at < 0) return res.status(400).json({ error: 'cursor is no longer in the ranking, reload from the first page' });
+      page = page.slice(at + 1);
+    }
+    const leads = page.slice(0, limit);
+    let nextCursor = null;
+    if (page.length > limit) nextCursor = encodeCursor(leads[leads.length - 1].id, sort);
+    else if (after) nextCursor = encodeCursor(after, sort); // a short page, more leads may match further on
+    res.json({ leads, nextCursor });
+  } catch (e) {
+    console.error('Fetch leads error:', e);
+    res.status(500).json({ error: 'Failed to fetch leads' });
+  }
+});
+
+// --- Live stream (Server-Sent Events), registered before /api/leads/:id which would match it
+// Pushes `lead.created`, `lead.expired` and the active org's `lead.status_changed`
+// for leads visible in that org that match ?searchId= (one of the caller's saved searches) or the list
+// filters given inline. Every event carries an id; reconnect with Last-Event-ID
+// (or ?lastEventId=) to receive what was missed. `reset` means the gap is too
+// old to replay and the client should reload the list.
+router.get('/api/leads/stream', requireRead, orgContext('lead:read'), async (req, res) => {
+  const orgId = req.org?.id || null;
+  const lastId = req.get('last-event-id') || req.query.lastEventId || null;
+  if (lastId && !isEventId(lastId)) return res.status(400).json({ error: 'invalid Last-Event-ID' });
+  let filters;
+  try {
+    if (req.query.searchId) {
+      const search = await prisma.savedSearch.findFirst({ where: { id: String(req.query.searchId), userId: req.auth.userId } });
+      if (!search) return res.status(404).json({ error: 'saved search not found' });
+      filters = search.filters;
+    } else {
+      filters = filtersFromQuery(req.query);
+    }
+  } catch (e) {
+    if (e instanceof FilterError) return res.status(400).json({ error: e.message });
+    console.error('Lead stream error:', e);
+    return res.status(500).json({ error: 'Failed to open lead stream' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // nginx would otherwise hold events back
+  });
+  res.flushHeaders();
+  const write = (chunk) => !res.destroyed && res.write(chunk);
+  write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+  let sentId = lastId;
+  const send = (event) => {
+    if (sentId && compareEventIds(event.id, sentId) <= 0) return;
+    sentId = event.id;
+    // `status` is the org's on status changes; created and expired leads carry the derived one
+    const lead = { ...event.lead, status: event.lead.status || statusOf(event.lead) };
+    const visible = (!lead.orgId || lead.orgId === orgId) && (!event.orgId || event.orgId === orgId);
+    // events the caller can't see still advance its Last-Event-ID, so a resume never replays them
+    if (!visible || !matchesFilters(lead, filters)) return write(`id: ${event.id}\n\n`);
+    write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(lead)}\n\n`);
+  };
+
+  // subscribe first and hold live events back until the missed ones are replayed
+  let pending = [];
+  const unsubscribe = subscribeLeadEvents((event) => (pending ? pending.push(event) : send(event)));
+  const heartbeat = setInterval(() => write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  try {
+    if (lastId) {
+      const { events, truncated } = await leadEventsSince(lastId);
+      if (truncated) write('event: reset\ndata: {}\n\n');
+      events.forEach(send);
+    }
+  } catch (e) {
+    console.error('Lead stream replay error:', e);
+    write('event: reset\ndata: {}\n\n');
+  }
+  pending.forEach(send);
+  pending = null;
+});
+
+// Lead detail: the lead with its status and cluster, this org's claims, extracted contacts and enrichment
+router.get('/api/leads/:id', requireRead, orgContext('lead:read'), async (req, res) => {
+  const orgId = req.org?.id || null;
+  try {
+    const lead = await prisma.lead.findFirst({
+      where: { id: req.params.id, ...visibleLeads(orgId) },
+      include: {
+        cluster: { select: CLUSTER_SELECT },
+        leadClaims: { where: { orgId }, select: { userId: true, claimedAt: true } },
+        ...stateInclude(orgId),
+        leadContacts: {
+          select: { id: true, type: true, value: true, confidence: true, verifiedAt: true },
+          orderBy: { confidence: 'desc' },
+        },
+        leadEnrichments: {
+          select: { provider: true, status: true, data: true, signals: true, createdAt: true },
+          orderBy: { provider: 'asc' },
+        },
+      },
+    });
+    if (!lead) return res.status(404).json({ error: 'lead not found' });
+    const { leadContacts, leadEnrichments, leadStates, ...rest } = lead;
+    res.json({ ...rest, status: statusOf(lead), contacts: leadContacts, enrichments: leadEnrichments });
+  } catch (e) {
+    console.error('Fetch lead error:', e);
+    res.status(500).json({ error: 'Failed to fetch lead' });
+  }
+});
+
+// Every post in a lead's duplicate cluster, oldest first
+router.get('/api/leads/:id/duplicates', requireRead, orgContext('lead:read'), async (req, res) => {
+  const visible = visibleLeads(req.org?.id);
+  try {
+    const lead = await prisma.lead.findFirst({
+      where: { id: req.params.id, ...visible },
+      select: { id: true, clusterId: true, cluster: { select: CLUSTER_SELECT } },
+    });
+    if (!lead) return res.status(404).json({ error: 'lead not found' });
+    if (!lead.clusterId) return res.json({ cluster: null, leads: [] });
+    const leads = await prisma.lead.findMany({
+      where: { clusterId: lead.clusterId, ...visible },
+      orderBy: { createdAt: 'asc' },
+      select: { id: true, source: true, title: true, rawUrl: true, author: true, createdAt: true, isCanonical: true },
+    });
+    res.json({ cluster: lead.cluster, leads });
+  } catch (e) {
+    console.error('Fetch duplicates error:', e);
+    res.status(500).json({ error: 'Failed to fetch duplicates' });
+  }
+});
+
+// Rate table used for USD normalization, so clients can show conversions consistently
+router.get('/api/budget/rates', (_req, res) => {
+  res.json({ base: 'USD', rates: usdRates() });
+});
+
+export default router;
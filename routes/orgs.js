@@ -0,0 +1,263 @@
+// routes/orgs.js — orgs, invites and role management
+import crypto from 'node:crypto';
+import express from 'express';
+import { prisma } from 'db';
+
+import { auditEntry } from '../lib/audit.js';
+import { authenticate, requireWrite } from '../lib/auth.js';
+import { getNotifier } from '../lib/notifiers/index.js';
+import { ROLES, orgContext, slugify } from '../lib/orgs.js';
+
+const router = express.Router();
+
+const INVITE_TTL_DAYS = Number(process.env.ORG_INVITE_TTL_DAYS || 7);
+const SITE_URL = process.env.SITE_URL || process.env.APP_URL || '';
+
+const MEMBER_FIELDS = {
+  userId: true, role: true, createdAt: true,
+  user: { select: { first_name: true, last_name: true, avatar_url: true } },
+};
+
+const INVITE_FIELDS = { id: true, email: true, role: true, invitedBy: true, expiresAt: true, acceptedAt: true, createdAt: true };
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+async function ownerCount(orgId, db = prisma) {
+  return db.membership.count({ where: { orgId, role: 'owner' } });
+}
+
+async function uniqueSlug(name) {
+  const base = slugify(name);
+  const taken = await prisma.org.findMany({ where: { slug: { startsWith: base } }, select: { slug: true } });
+  const slugs = new Set(taken.map(o => o.slug));
+  if (!slugs.has(base)) return base;
+  let n = 2;
+  while (slugs.has(`${base}-${n}`)) n++;
+  return `${base}-${n}`;
+}
+
+async function sendInvite(org, invite) {
+  const mail = getNotifier('email');
+  if (!mail?.isConfigured()) return false;
+  const link = `${SITE_URL}/?invite=${invite.token}`;
+  try {
+    await mail.send(invite.email, {
+      subject: `You're invited to ${org.name} on Freelance Signal`,
+      text: `You've been invited to join ${org.name} as ${invite.role}.\n\nAccept the invite: ${link}\n\nThe link expires ${invite.expiresAt.toUTCString()}.`,
+    });
+    return true;
+  } catch (e) {
+    console.error('Invite email error:', e);
+    return false;
+  }
+}
+
+router.get('/api/orgs', authenticate, async (req, res) => {
+  try {
+    const memberships = await prisma.membership.findMany({
+      where: { userId: req.auth.userId },
+      include: { org: true },
+      orderBy: { createdAt: 'asc' },
+    });
+    res.json(memberships.map(m => ({ ...m.org, role: m.role })));
+  } catch (e) {
+    console.error('List orgs error:', e);
+    res.status(500).json({ error: 'Failed to list orgs' });
+  }
+});
+
+router.post('/api/orgs', requireWrite, async (req, res) => {
+  const name = String(req.body?.name || '').trim().slice(0, 120);
+  if (!name) return res.status(400).json({ error: 'name required' });
+  const { userId } = req.auth;
+  try {
+    const slug = await uniqueSlug(req.body?.slug || name);
+    const org = await prisma.$transaction(async (tx) => {
+      const created = await tx.org.create({ data: { name, slug } });
+      await tx.membership.create({ data: { userId, orgId: created.id, role: 'owner' } });
+      await auditEntry(req, { userId, orgId: created.id, action: 'org.created', entityType: 'org', entityId: created.id, payload: { name, slug } }, tx);
+      return created;
+    });
+    res.status(201).json({ ...org, role: 'owner' });
+  } catch (e) {
+    if (e.code === 'P2002') return res.status(409).json({ error: 'slug already taken' });
+    console.error('Create org error:', e);
+    res.status(500).json({ error: 'Failed to create org' });
+  }
+});
+
+router.get('/api/orgs/:orgId', authenticate, orgContext('lead:read'), async (req, res) => {
+  try {
+    const org = await prisma.org.findUnique({
+      where: { id: req.org.id },
+      include: { memberships: { select: MEMBER_FIELDS, orderBy: { createdAt: 'asc' } } },
+    });
+    if (!org) return res.status(404).json({ error: 'org not found' });
+    const { memberships, ...rest } = org;
+    res.json({ ...rest, role: req.org.role, members: memberships });
+  } catch (e) {
+    console.error('Get org error:', e);
+    res.status(500).json({ error: 'Failed to load org' });
+  }
+});
+
+router.patch('/api/orgs/:orgId', requireWrite, orgContext('org:manage'), async (req, res) => {
+  const name = String(req.body?.name || '').trim().slice(0, 120);
+  if (!name) return res.status(400).json({ error: 'name required' });
+  try {
+    const [org] = await prisma.$transaction([
+      prisma.org.update({ where: { id: req.org.id }, data: { name, updatedAt: new Date() } }),
+      auditEntry(req, { userId: req.auth.userId, orgId: req.org.id, action: 'org.renamed', entityType: 'org', entityId: req.org.id, payload: { name } }),
+    ]);
+    res.json(org);
+  } catch (e) {
+    console.error('Update org error:', e);
+    res.status(500).json({ error: 'Failed to update org' });
+  }
+});
+
+router.get('/api/orgs/:orgId/invites', authenticate, orgContext('member:manage'), async (req, res) => {
+  try {
+    const invites = await prisma.orgInvite.findMany({
+      where: { orgId: req.org.id, acceptedAt: null, expiresAt: { gt: new Date() } },
+      select: INVITE_FIELDS,
+      orderBy: { createdAt: 'desc' },
+    });
+    res.json(invites);
+  } catch (e) {
+    console.error('List invites error:', e);
+    res.status(500).json({ error: 'Failed to list invites' });
+  }
+});
+
+// The token is only returned here, so the inviter can share the link when email isn't configured
+router.post('/api/orgs/:orgId/invites', requireWrite, orgContext('member:manage'), async (req, res) => {
+  const email = normalizeEmail(req.body?.email);
+  const role = req.body?.role || 'member';
+  if (!/^[^@\s]+@[^@\s]+$/.test(email)) return res.status(400).json({ error: 'valid email required' });
+  if (!ROLES.includes(role)) return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+  if (role === 'owner' && req.org.role !== 'owner') return res.status(403).json({ error: 'only owners can invite owners', code: 'forbidden' });
+  try {
+    const org = await prisma.org.findUnique({ where: { id: req.org.id } });
+    const [invite] = await prisma.$transaction([
+      prisma.orgInvite.create({
+        data: {
+          orgId: org.id,
+          email,
+          role,
+          token: crypto.randomBytes(24).toString('base64url'),
+          invitedBy: req.auth.userId,
+          expiresAt: new Date(Date.now() + INVITE_TTL_DAYS * 86400 * 1000),
+        },
+      }),
+      auditEntry(req, { userId: req.auth.userId, orgId: org.id, action: 'org.invite_created', entityType: 'org', entityId: org.id, payload: { email, role } }),
+    ]);
+    const emailed = await sendInvite(org, invite);
+    res.status(201).json({ ...invite, emailed, url: `${SITE_URL}/?invite=${invite.token}` });
+  } catch (e) {
+    console.error('Create invite error:', e);
+    res.status(500).json({ error: 'Failed to create invite' });
+  }
+});
+
+router.delete('/api/orgs/:orgId/invites/:inviteId', requireWrite, orgContext('member:manage'), async (req, res) => {
+  try {
+    const { count } = await prisma.orgInvite.deleteMany({ where: { id: req.params.inviteId, orgId: req.org.id, acceptedAt: null } });
+    if (!count) return res.status(404).json({ error: 'invite not found' });
+    await auditEntry(req, { userId: req.auth.userId, orgId: req.org.id, action: 'org.invite_revoked', entityType: 'org', entityId: req.org.id, payload: { inviteId: req.params.inviteId } });
+    res.status(204).end();
+  } catch (e) {
+    console.error('Revoke invite error:', e);
+    res.status(500).json({ error: 'Failed to revoke invite' });
+  }
+});
+
+// Invites are bound to an email address; the signed-in account must match it
+router.post('/api/invites/:token/accept', authenticate, async (req, res) => {
+  const { userId, email } = req.auth;
+  try {
+    const invite = await prisma.orgInvite.findUnique({ where: { token: req.params.token }, include: { org: true } });
+    if (!invite || invite.acceptedAt) return res.status(404).json({ error: 'invite not found' });
+    if (invite.expiresAt < new Date()) return res.status(410).json({ error: 'invite expired' });
+    if (normalizeEmail(email) !== invite.email) return res.status(403).json({ error: 'invite was sent to a different email address', code: 'forbidden' });
+
+    const membership = await prisma.$transaction(async (tx) => {
+      const existing = await tx.membership.findUnique({ where: { userId_orgId: { userId, orgId: invite.orgId } } });
+      // accepting never downgrades an existing member
+      const role = existing && ROLES.indexOf(existing.role) >= ROLES.indexOf(invite.role) ? existing.role : invite.role;
+      const member = await tx.membership.upsert({
+        where: { userId_orgId: { userId, orgId: invite.orgId } },
+        create: { userId, orgId: invite.orgId, role },
+        update: { role, updatedAt: new Date() },
+      });
+      await tx.orgInvite.update({ where: { id: invite.id }, data: { acceptedAt: new Date(), acceptedBy: userId } });
+      await auditEntry(req, { userId, orgId: invite.orgId, action: 'org.member_joined', entityType: 'membership', entityId: member.id, payload: { role, inviteId: invite.id } }, tx);
+      return member;
+    });
+    res.json({ ...invite.org, role: membership.role });
+  } catch (e) {
+    console.error('Accept invite error:', e);
+    res.status(500).json({ error: 'Failed to accept invite' });
+  }
+});
+
+// Only owners grant or take away ownership, and an org always keeps one owner
+router.patch('/api/orgs/:orgId/members/:userId', requireWrite, orgContext('member:manage'), async (req, res) => {
+  const { role } = req.body || {};
+  if (!ROLES.includes(role)) return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+  const orgId = req.org.id;
+  try {
+    const member = await prisma.membership.findUnique({ where: { userId_orgId: { userId: req.params.userId, orgId } } });
+    if (!member) return res.status(404).json({ error: 'member not found' });
+    if ((role === 'owner' || member.role === 'owner') && req.org.role !== 'owner') {
+      return res.status(403).json({ error: 'only owners can change ownership', code: 'forbidden' });
+    }
+    if (member.role === role) return res.json(member);
+
+    const updated = await prisma.$transaction(async (tx) => {
+      if (member.role === 'owner' && await ownerCount(orgId, tx) <= 1) return null;
+      const next = await tx.membership.update({ where: { id: member.id }, data: { role, updatedAt: new Date() } });
+      await auditEntry(req, { userId: req.auth.userId, orgId, action: 'org.role_changed', entityType: 'membership', entityId: member.id, payload: { userId: member.userId, from: member.role, to: role } }, tx);
+      return next;
+    });
+    if (!updated) return res.status(409).json({ error: 'an org needs at least one owner' });
+    res.json(updated);
+  } catch (e) {
+    console.error('Change role error:', e);
+    res.status(500).json({ error: 'Failed to change role' });
+  }
+});
+
+// Admins remove members; anyone may remove themselves
+router.delete('/api/orgs/:orgId/members/:userId', requireWrite, orgContext('lead:read'), async (req, res) => {
+  const orgId = req.org.id;
+  const self = req.params.userId === req.auth.userId;
+  if (!self && !['admin', 'owner'].includes(req.org.role)) {
+    return res.status(403).json({ error: 'requires admin role or higher', code: 'forbidden' });
+  }
+  try {
+    const member = await prisma.membership.findUnique({ where: { userId_orgId: { userId: req.params.userId, orgId } } });
+    if (!member) return res.status(404).json({ error: 'member not found' });
+    if (member.role === 'owner' && !self && req.org.role !== 'owner') {
+      return res.status(403).json({ error: 'only owners can remove owners', code: 'forbidden' });
+    }
+
+    const removed = await prisma.$transaction(async (tx) => {
+      if (member.role === 'owner' && await ownerCount(orgId, tx) <= 1) return false;
+      await tx.membership.delete({ where: { id: member.id } });
+      // their claims go back to the team
+      await tx.leadClaim.deleteMany({ where: { orgId, userId: member.userId } });
+      // and their org searches stop alerting on the org's private leads (deliveries cascade)
+      await tx.savedSearch.deleteMany({ where: { orgId, userId: member.userId } });
+      await auditEntry(req, { userId: req.auth.userId, orgId, action: self ? 'org.member_left' : 'org.member_removed', entityType: 'membership', entityId: member.id, payload: { userId: member.userId, role: member.role } }, tx);
+      return true;
+    });
+    if (!removed) return res.status(409).json({ error: 'an org needs at least one owner' });
+    res.status(204).end();
+  } catch (e) {
+    console.error('Remove member error:', e);
+    res.status(500).json({ error: 'Failed to remove member' });
+  }
+});
+
+export default router;
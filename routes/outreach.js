@@ -0,0 +1,247 @@
+// routes/outreach.js — reply templates, per-lead drafts and tracked sending
+import express from 'express';
+import { prisma } from 'db';
+
+import { auditEntry } from '../lib/audit.js';
+import { requireRead, requireWrite } from '../lib/auth.js';
+import { orgContext, visibleLeads } from '../lib/orgs.js';
+import {
+  CHANNELS,
+  FOLLOW_UP_DAYS,
+  OutreachError,
+  VARIABLES,
+  draftInput,
+  render,
+  sendMessage,
+  suggestedRecipient,
+  templateInput,
+  templateVars,
+} from '../lib/outreach.js';
+import { stateInclude, statusOf } from '../lib/pipeline.js';
+
+const router = express.Router();
+
+// Messages are tracked inside an org, like notes and status
+const inOrg = (permission) => orgContext(permission, { required: true });
+
+const varsFor = (req, lead) => templateVars(lead, req.auth.profile, req.auth.email);
+
+// Fill the placeholders of whichever of subject/body are being set
+function renderDraft(data, vars) {
+  const missing = new Set();
+  for (const field of ['subject', 'body']) {
+    if (data[field] === undefined) continue;
+    const out = render(data[field], vars);
+    data[field] = out.text;
+    out.missing.forEach(k => missing.add(k));
+  }
+  return [...missing];
+}
+
+function findMessage(req, where = {}) {
+  return prisma.outreachMessage.findFirst({
+    where: { id: req.params.id, orgId: req.org.id, ...where },
+    include: { lead: true },
+  });
+}
+
+// Placeholders templates and drafts can use
+router.get('/api/outreach/variables', (_req, res) => {
+  res.json({
+    variables: Object.entries(VARIABLES).map(([name, [description]]) => ({ name, description })),
+    channels: CHANNELS,
+    followUpDays: FOLLOW_UP_DAYS,
+  });
+});
+
+// --- Templates (personal)
+router.get('/api/outreach/templates', requireRead, async (req, res) => {
+  try {
+    res.json(await prisma.outreachTemplate.findMany({ where: { userId: req.auth.userId }, orderBy: { name: 'asc' } }));
+  } catch (e) {
+    console.error('List outreach templates error:', e);
+    res.status(500).json({ error: 'Failed to list templates' });
+  }
+});
+
+router.post('/api/outreach/templates', requireWrite, async (req, res) => {
+  const { data, error } = templateInput(req.body);
+  if (error) return res.status(400).json({ error });
+  try {
+    res.status(201).json(await prisma.outreachTemplate.create({ data: { ...data, userId: req.auth.userId } }));
+  } catch (e) {
+    console.error('Create outreach template error:', e);
+    res.status(500).json({ error: 'Failed to create template' });
+  }
+});
+
+router.patch('/api/outreach/templates/:id', requireWrite, async (req, res) => {
+  const { data, error } = templateInput(req.body, { partial: true });
+  if (error) return res.status(400).json({ error });
+  try {
+    const { count } = await prisma.outreachTemplate.updateMany({
+      where: { id: req.params.id, userId: req.auth.userId },
+      data: { ...data, updatedAt: new Date() },
+    });
+    if (!count) return res.status(404).json({ error: 'template not found' });
+    res.json(await prisma.outreachTemplate.findUnique({ where: { id: req.params.id } }));
+  } catch (e) {
+    console.error('Update outreach template error:', e);
+    res.status(500).json({ error: 'Failed to update template' });
+  }
+});
+
+router.delete('/api/outreach/templates/:id', requireWrite, async (req, res) => {
+  try {
+    const { count } = await prisma.outreachTemplate.deleteMany({ where: { id: req.params.id, userId: req.auth.userId } });
+    if (!count) return res.status(404).json({ error: 'template not found' });
+    res.status(204).end();
+  } catch (e) {
+    console.error('Delete outreach template error:', e);
+    res.status(500).json({ error: 'Failed to delete template' });
+  }
+});
+
+// --- Messages on a lead: everything the org sent, plus the caller's drafts
+router.get('/api/leads/:id/outreach', requireRead, inOrg('note:read'), async (req, res) => {
+  const orgId = req.org.id;
+  try {
+    const lead = await prisma.lead.findFirst({ where: { id: req.params.id, ...visibleLeads(orgId) }, select: { id: true } });
+    if (!lead) return res.status(404).json({ error: 'lead not found' });
+    const [messages, to] = await Promise.all([
+      prisma.outreachMessage.findMany({
+        where: { leadId: lead.id, orgId, OR: [{ status: { not: 'draft' } }, { userId: req.auth.userId }] },
+        orderBy: { createdAt: 'desc' },
+      }),
+      suggestedRecipient(lead.id),
+    ]);
+    res.json({ messages, suggestedTo: to });
+  } catch (e) {
+    console.error('List outreach error:', e);
+    res.status(500).json({ error: 'Failed to list messages' });
+  }
+});
+
+// Start a draft from { templateId } and/or { subject, body }; `to` defaults to the
+// poster's extracted email. The response lists variables left unfilled as `missing`.
+router.post('/api/leads/:id/outreach', requireWrite, inOrg('outreach:send'), async (req, res) => {
+  const { userId } = req.auth;
+  const orgId = req.org.id;
+  const { data, error } = draftInput(req.body);
+  if (error) return res.status(400).json({ error });
+  try {
+    const lead = await prisma.lead.findFirst({ where: { id: req.params.id, ...visibleLeads(orgId) } });
+    if (!lead) return res.status(404).json({ error: 'lead not found' });
+    let template = null;
+    if (req.body?.templateId) {
+      template = await prisma.outreachTemplate.findFirst({ where: { id: String(req.body.templateId), userId } });
+      if (!template) return res.status(404).json({ error: 'template not found' });
+    }
+    const draft = {
+      subject: template?.subject ?? '',
+      body: template?.body ?? '',
+      ...data,
+    };
+    const missing = renderDraft(draft, varsFor(req, lead));
+    if (draft.to === undefined) draft.to = await suggestedRecipient(lead.id);
+    if (!draft.channel) draft.channel = draft.to ? 'email' : 'manual';
+    const message = await prisma.outreachMessage.create({
+      data: { ...draft, leadId: lead.id, userId, orgId, templateId: template?.id || null, replyTo: req.auth.email || null },
+    });
+    res.status(201).json({ ...message, missing });
+  } catch (e) {
+    console.error('Create outreach draft error:', e);
+    res.status(500).json({ error: 'Failed to create draft' });
+  }
+});
+
+// Edit a draft (or a message whose sending failed)
+router.patch('/api/outreach/:id', requireWrite, inOrg('outreach:send'), async (req, res) => {
+  const { data, error } = draftInput(req.body);
+  if (error) return res.status(400).json({ error });
+  try {
+    const message = await findMessage(req, { userId: req.auth.userId });
+    if (!message) return res.status(404).json({ error: 'message not found' });
+    if (!['draft', 'failed'].includes(message.status)) return res.status(409).json({ error: `message is ${message.status}` });
+    const missing = renderDraft(data, varsFor(req, message.lead));
+    const { count } = await prisma.outreachMessage.updateMany({
+      where: { id: message.id, status: message.status },
+      data: { ...data, updatedAt: new Date() },
+    });
+    if (!count) return res.status(409).json({ error: 'message changed concurrently, reload and retry' });
+    res.json({ ...await prisma.outreachMessage.findUnique({ where: { id: message.id } }), missing });
+  } catch (e) {
+    console.error('Update outreach draft error:', e);
+    res.status(500).json({ error: 'Failed to update draft' });
+  }
+});
+
+router.delete('/api/outreach/:id', requireWrite, inOrg('outreach:send'), async (req, res) => {
+  try {
+    const { count } = await prisma.outreachMessage.deleteMany({
+      where: { id: req.params.id, orgId: req.org.id, userId: req.auth.userId, status: { in: ['draft', 'failed'] } },
+    });
+    if (!count) return res.status(404).json({ error: 'draft not found' });
+    res.status(204).end();
+  } catch (e) {
+    console.error('Delete outreach draft error:', e);
+    res.status(500).json({ error: 'Failed to delete draft' });
+  }
+});
+
+// Send by email, or record a message sent by hand (channel "manual").
+// { followUpDays } overrides OUTREACH_FOLLOW_UP_DAYS; 0 means no reminder.
+router.post('/api/outreach/:id/send', requireWrite, inOrg('outreach:send'), async (req, res) => {
+  const days = req.body?.followUpDays;
+  const followUpDays = days == null || days === '' ? FOLLOW_UP_DAYS : Number(days);
+  if (!(followUpDays >= 0) || followUpDays > 90) return res.status(400).json({ error: 'followUpDays must be between 0 and 90' });
+  try {
+    const message = await findMessage(req, { userId: req.auth.userId });
+    if (!message) return res.status(404).json({ error: 'message not found' });
+    const { lead, ...rest } = message;
+    res.json(await sendMessage(req, rest, lead, { followUpDays }));
+  } catch (e) {
+    if (e instanceof OutreachError) return res.status(e.status).json({ error: e.message });
+    console.error('Send outreach error:', e);
+    res.status(500).json({ error: 'Failed to send message' });
+  }
+});
+
+// The poster answered: stop the follow-up reminder
+router.post('/api/outreach/:id/replied', requireWrite, inOrg('outreach:send'), async (req, res) => {
+  const { userId } = req.auth;
+  const orgId = req.org.id;
+  try {
+    const message = await findMessage(req, { status: 'sent' });
+    if (!message) return res.status(404).json({ error: 'sent message not found' });
+    const now = new Date();
+    const [updated] = await prisma.$transaction([
+      prisma.outreachMessage.update({ where: { id: message.id }, data: { repliedAt: message.repliedAt || now, followUpAt: null, updatedAt: now } }),
+      auditEntry(req, { userId, orgId, action: 'lead.outreach_replied', entityType: 'lead', entityId: message.leadId, payload: { messageId: message.id } }),
+    ]);
+    res.json(updated);
+  } catch (e) {
+    console.error('Mark outreach replied error:', e);
+    res.status(500).json({ error: 'Failed to mark reply' });
+  }
+});
+
+// The caller's sent messages still waiting for a reply past their follow-up date
+router.get('/api/outreach/follow-ups', requireRead, inOrg('note:read'), async (req, res) => {
+  try {
+    const messages = await prisma.outreachMessage.findMany({
+      where: { userId: req.auth.userId, orgId: req.org.id, status: 'sent', repliedAt: null, followUpAt: { lte: new Date() } },
+      orderBy: { followUpAt: 'asc' },
+      include: { lead: { select: { id: true, title: true, rawUrl: true, expiredAt: true, ...stateInclude(req.org.id) } } },
+    });
+    res.json(messages.map(({ lead: { leadStates, expiredAt, ...lead }, ...m }) => ({
+      ...m,
+      lead: { ...lead, status: statusOf({ expiredAt, leadStates }) },
+    })));
+  } catch (e) {
+    console.error('List follow-ups error:', e);
+    res.status(500).json({ error: 'Failed to list follow-ups' });
+  }
+});
+
+export default router;
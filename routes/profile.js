@@ -0,0 +1,27 @@
+// routes/profile.js — the signed-in user's skill profile, used by /api/leads?sort=forme
+import express from 'express';
+import { prisma } from 'db';
+
+import { authenticate } from '../lib/auth.js';
+import { LEVELS, skillProfileInput, skillProfileOf } from '../lib/matching.js';
+
+const router = express.Router();
+
+router.get('/api/me/skill-profile', authenticate, (req, res) => {
+  res.json({ ...skillProfileOf(req.auth.profile), levels: LEVELS });
+});
+
+// Partial update: { skills: [{ name, level 1-5 }], minHourlyRate, timezone, workLocations, excludedKeywords }
+router.put('/api/me/skill-profile', authenticate, async (req, res) => {
+  const { data, error } = skillProfileInput(req.body || {});
+  if (error) return res.status(400).json({ error });
+  try {
+    const profile = await prisma.profile.update({ where: { id: req.auth.userId }, data: { ...data, updated_at: new Date() } });
+    res.json({ ...skillProfileOf(profile), levels: LEVELS });
+  } catch (e) {
+    console.error('Update skill profile error:', e);
+    res.status(500).json({ error: 'Failed to update skill profile' });
+  }
+});
+
+export default router;
@@ -0,0 +1,94 @@
+// routes/relevance.js — relevance feedback on leads and the models it trains
+import express from 'express';
+import { prisma } from 'db';
+
+import { auditEntry } from '../lib/audit.js';
+import { requireRead, requireWrite } from '../lib/auth.js';
+import { orgContext, visibleLeads } from '../lib/orgs.js';
+import { LABELS, activateModel, listModels, scopeOf, trainScope } from '../lib/relevance.js';
+
+const router = express.Router();
+
+// Feedback and models belong to the active org, or to the user outside any org
+const scopeFor = (req) => scopeOf({ orgId: req.org?.id, userId: req.auth.userId });
+
+// --- Feedback: one label per user, lead and scope; changing it replaces the old one
+router.put('/api/leads/:id/feedback', requireWrite, orgContext('lead:work'), async (req, res) => {
+  const { userId } = req.auth;
+  const orgId = req.org?.id || null;
+  const { label } = req.body || {};
+  if (!LABELS.includes(label)) return res.status(400).json({ error: `label must be one of ${LABELS.join(', ')}` });
+  try {
+    const lead = await prisma.lead.findFirst({ where: { id: req.params.id, ...visibleLeads(orgId) }, select: { id: true } });
+    if (!lead) return res.status(404).json({ error: 'lead not found' });
+    const scope = scopeFor(req);
+    const [feedback] = await prisma.$transaction([
+      prisma.leadFeedback.upsert({
+        where: { leadId_userId_scope: { leadId: lead.id, userId, scope } },
+        create: { leadId: lead.id, userId, orgId, scope, label },
+        update: { label, updatedAt: new Date() },
+      }),
+      auditEntry(req, { userId, orgId, action: 'lead.feedback', entityType: 'lead', entityId: lead.id, payload: { label } }),
+    ]);
+    res.json(feedback);
+  } catch (e) {
+    console.error('Lead feedback error:', e);
+    res.status(500).json({ error: 'Failed to save feedback' });
+  }
+});
+
+router.delete('/api/leads/:id/feedback', requireWrite, orgContext('lead:work'), async (req, res) => {
+  try {
+    await prisma.leadFeedback.deleteMany({ where: { leadId: req.params.id, userId: req.auth.userId, scope: scopeFor(req) } });
+    res.status(204).end();
+  } catch (e) {
+    console.error('Delete feedback error:', e);
+    res.status(500).json({ error: 'Failed to delete feedback' });
+  }
+});
+
+// --- Model versions: listing, training on demand, activating (or rolling back to) a version
+router.get('/api/relevance/models', requireRead, orgContext('lead:read'), async (req, res) => {
+  try {
+    const scope = scopeFor(req);
+    const [models, feedback] = await Promise.all([
+      listModels(scope),
+      prisma.leadFeedback.groupBy({ by: ['label'], where: { scope }, _count: { _all: true } }),
+    ]);
+    res.json({
+      scope,
+      feedback: Object.fromEntries(LABELS.map(l => [l, feedback.find(f => f.label === l)?._count._all || 0])),
+      models,
+    });
+  } catch (e) {
+    console.error('List relevance models error:', e);
+    res.status(500).json({ error: 'Failed to list models' });
+  }
+});
+
+router.post('/api/relevance/train', requireWrite, orgContext('scoring:manage'), async (req, res) => {
+  try {
+    const result = await trainScope(scopeFor(req));
+    if (result.skipped) return res.status(422).json({ error: result.skipped });
+    const { params: _params, ...model } = result.model;
+    res.status(201).json({ ...model, activated: result.activated });
+  } catch (e) {
+    console.error('Train relevance model error:', e);
+    res.status(500).json({ error: 'Training failed' });
+  }
+});
+
+// The scope's recent leads are re-scored in the background; `rescoreAt` is set until then
+router.post('/api/relevance/models/:id/activate', requireWrite, orgContext('scoring:manage'), async (req, res) => {
+  try {
+    const model = await activateModel(req.params.id, scopeFor(req));
+    if (!model) return res.status(404).json({ error: 'model not found' });
+    const { params: _params, ...rest } = model;
+    res.json(rest);
+  } catch (e) {
+    console.error('Activate relevance model error:', e);
+    res.status(500).json({ error: 'Failed to activate model' });
+  }
+});
+
+export default router;
@@ -0,0 +1,134 @@
+// routes/scoring.js — rule set management and score explanations
+import express from 'express';
+import { prisma } from 'db';
+
+import { requireRead, requireWrite } from '../lib/auth.js';
+import { orgContext, visibleLeads } from '../lib/orgs.js';
+import {
+  activateRuleSet,
+  createRuleSet,
+  getActiveRuleSet,
+  getRuleSet,
+  latestScore,
+  listRuleSets,
+  scoreLead,
+} from '../lib/rulesets.js';
+import { MAX_CONTENT_LENGTH, evaluateRules, validateRuleSet } from '../scoring.js';
+
+const router = express.Router();
+
+// Without an org these act on the global rule set, which only the default applies to;
+// changing rules always happens inside an org
+const readScoring = orgContext('lead:read');
+const manageScoring = orgContext('scoring:manage', { required: true });
+
+router.get('/api/scoring/rulesets', requireRead, readScoring, async (req, res) => {
+  const orgId = req.org?.id || null;
+  try {
+    const [ruleSets, active] = await Promise.all([listRuleSets(orgId), getActiveRuleSet(orgId)]);
+    res.json({ active, ruleSets });
+  } catch (e) {
+    console.error('List rule sets error:', e);
+    res.status(500).json({ error: 'Failed to list rule sets' });
+  }
+});
+
+router.post('/api/scoring/rulesets', requireWrite, manageScoring, async (req, res) => {
+  const orgId = req.org.id;
+  const { version, rules, activate = false } = req.body || {};
+  const errors = validateRuleSet({ version: version || 'draft', rules });
+  if (errors.length) return res.status(400).json({ error: 'invalid rule set', details: errors });
+  try {
+    const ruleSet = await createRuleSet({ orgId, version, rules, createdBy: req.auth.userId, activate: Boolean(activate) });
+    res.status(201).json(ruleSet);
+  } catch (e) {
+    if (e.code === 'P2002') return res.status(409).json({ error: `version ${version} already exists` });
+    console.error('Create rule set error:', e);
+    res.status(500).json({ error: 'Failed to create rule set' });
+  }
+});
+
+router.post('/api/scoring/rulesets/:id/activate', requireWrite, manageScoring, async (req, res) => {
+  try {
+    const ruleSet = await activateRuleSet(req.params.id, req.org.id);
+    if (!ruleSet) return res.status(404).json({ error: 'rule set not found' });
+    res.json(ruleSet);
+  } catch (e) {
+    console.error('Activate rule set error:', e);
+    res.status(500).json({ error: 'Failed to activate rule set' });
+  }
+});
+
+// Dry-run a rule set (or the org's active one) against arbitrary text; custom
+// `rules` are for those who may manage the org's scoring
+const previewScoring = (req, res, next) => (req.body?.rules ? manageScoring : readScoring)(req, res, next);
+
+router.post('/api/scoring/preview', requireRead, previewScoring, async (req, res) => {
+  const orgId = req.org?.id || null;
+  const { rules, version = 'preview', content = '', created_utc } = req.body || {};
+  if (String(content).length > MAX_CONTENT_LENGTH) {
+    return res.status(400).json({ error: `content must be at most ${MAX_CONTENT_LENGTH} characters` });
+  }
+  let ruleSet;
+  if (rules) {
+    ruleSet = { version, rules };
+    const errors = validateRuleSet(ruleSet);
+    if (errors.length) return res.status(400).json({ error: 'invalid rule set', details: errors });
+  } else {
+    ruleSet = await getActiveRuleSet(orgId);
+  }
+  res.json(evaluateRules(ruleSet, { content: String(content), created_utc }));
+});
+
+// Re-score stored leads after a rule change: { ruleSetId?, since? } queues a
+// RescoreRun for the worker (or, without Redis, the server's interval); poll it below
+router.post('/api/scoring/rescore', requireWrite, manageScoring, async (req, res) => {
+  const orgId = req.org.id;
+  const { ruleSetId, since } = req.body || {};
+  const from = since ? new Date(since) : null;
+  if (from && Number.isNaN(from.getTime())) return res.status(400).json({ error: 'since must be an ISO date' });
+  try {
+    if (ruleSetId) {
+      const ruleSet = await getRuleSet(String(ruleSetId));
+      if (!ruleSet || (ruleSet.orgId && ruleSet.orgId !== orgId)) return res.status(404).json({ error: 'rule set not found' });
+    }
+    const run = await prisma.rescoreRun.create({
+      data: { orgId, ruleSetId: ruleSetId ? String(ruleSetId) : null, since: from, requestedBy: req.auth.userId },
+    });
+    res.status(202).json(run);
+  } catch (e) {
+    console.error('Rescore error:', e);
+    res.status(500).json({ error: 'Failed to queue rescore' });
+  }
+});
+
+router.get('/api/scoring/rescore/:id', requireRead, manageScoring, async (req, res) => {
+  try {
+    const run = await prisma.rescoreRun.findFirst({ where: { id: req.params.id, orgId: req.org.id } });
+    if (!run) return res.status(404).json({ error: 'rescore run not found' });
+    res.json(run);
+  } catch (e) {
+    console.error('Fetch rescore run error:', e);
+    res.status(500).json({ error: 'Failed to fetch rescore run' });
+  }
+});
+
+// Why did this lead get its score?
+router.get('/api/leads/:id/score', requireRead, readScoring, async (req, res) => {
+  const orgId = req.org?.id || null;
+  try {
+    const lead = await prisma.lead.findFirst({ where: { id: req.params.id, ...visibleLeads(orgId) }, include: { cluster: true, leadEnrichments: true } });
+    if (!lead) return res.status(404).json({ error: 'lead not found' });
+    const stored = await latestScore(lead.id, orgId, req.auth.userId);
+    if (stored) return res.json(stored);
+
+    // Nothing recorded yet for this org: explain with its active rule set
+    const result = scoreLead(lead, await getActiveRuleSet(orgId));
+    res.json({ leadId: lead.id, orgId, ruleScore: result.score, finalScore: result.score, version: result.version, breakdown: result.breakdown });
+  } catch (e) {
+    console.error('Lead score error:', e);
+    res.status(500).json({ error: 'Failed to fetch lead score' });
+  }
+});
+
+export default router;
@@ -0,0 +1,124 @@
+// routes/searches.js — saved lead searches and their alert settings
+import express from 'express';
+import { prisma } from 'db';
+
+import { CADENCES } from '../lib/alerts.js';
+import { requireRead, requireWrite } from '../lib/auth.js';
+import { FilterError, filtersFromQuery } from '../lib/lead-filters.js';
+import { orgContext } from '../lib/orgs.js';
+import { configuredChannels, notifiers } from '../lib/notifiers/index.js';
+
+const router = express.Router();
+
+// Validate the writable fields of a saved search; returns { data } or { error }
+function searchInput(body, { partial = false } = {}) {
+  const data = {};
+  const { name, filters, channels, cadence, destinations, isActive } = body || {};
+  if (name !== undefined || !partial) {
+    if (!name || typeof name !== 'string') return { error: 'name required' };
+    data.name = name.trim().slice(0, 120);
+  }
+  if (filters !== undefined || !partial) {
+    try {
+      data.filters = filtersFromQuery(filters || {});
+    } catch (e) {
+      if (e instanceof FilterError) return { error: `filters: ${e.message}` };
+      throw e;
+    }
+  }
+  if (channels !== undefined || !partial) {
+    const list = Array.isArray(channels) ? channels : [];
+    const unknown = list.filter(c => !notifiers[c]);
+    if (unknown.length) return { error: `unknown channel(s): ${unknown.join(', ')}` };
+    data.channels = [...new Set(list)];
+  }
+  if (cadence !== undefined || !partial) {
+    const value = cadence || 'instant';
+    if (!CADENCES.includes(value)) return { error: `cadence must be one of ${CADENCES.join(', ')}` };
+    data.cadence = value;
+  }
+  if (destinations !== undefined) {
+    if (typeof destinations !== 'object' || Array.isArray(destinations)) return { error: 'destinations must be an object' };
+    data.destinations = destinations;
+  }
+  if (isActive !== undefined) data.isActive = Boolean(isActive);
+  if (!partial) {
+    const error = destinationsError(data);
+    if (error) return { error };
+  }
+  return { data };
+}
+
+// Every channel needs a destination; on PATCH this is checked on the merged search
+function destinationsError({ channels, destinations }) {
+  const missing = (channels || []).filter(c => !(destinations || {})[c]);
+  return missing.length ? `destinations missing for: ${missing.join(', ')}` : null;
+}
+
+// Channels this deployment can deliver to
+router.get('/api/notifiers', (_req, res) => {
+  res.json({ channels: Object.keys(notifiers), configured: configuredChannels() });
+});
+
+router.get('/api/searches', requireRead, async (req, res) => {
+  try {
+    const searches = await prisma.savedSearch.findMany({
+      where: { userId: req.auth.userId },
+      orderBy: { createdAt: 'desc' },
+    });
+    res.json(searches);
+  } catch (e) {
+    console.error('List saved searches error:', e);
+    res.status(500).json({ error: 'Failed to list saved searches' });
+  }
+});
+
+// Searches created inside an org also match that org's private leads
+router.post('/api/searches', requireWrite, orgContext('search:write'), async (req, res) => {
+  const orgId = req.org?.id || null;
+  const { data, error } = searchInput(req.body);
+  if (error) return res.status(400).json({ error });
+  try {
+    const search = await prisma.savedSearch.create({ data: { ...data, userId: req.auth.userId, orgId } });
+    res.status(201).json(search);
+  } catch (e) {
+    console.error('Create saved search error:', e);
+    res.status(500).json({ error: 'Failed to create saved search' });
+  }
+});
+
+router.patch('/api/searches/:id', requireWrite, async (req, res) => {
+  const { data, error } = searchInput(req.body, { partial: true });
+  if (error) return res.status(400).json({ error });
+  try {
+    const search = await prisma.savedSearch.findFirst({ where: { id: req.params.id, userId: req.auth.userId } });
+    if (!search) return res.status(404).json({ error: 'saved search not found' });
+    if (search.orgId && !await prisma.membership.findUnique({ where: { userId_orgId: { userId: req.auth.userId, orgId: search.orgId } } })) {
+      return res.status(403).json({ error: 'not a member of this search\'s org any more; delete it instead', code: 'forbidden' });
+    }
+    const merged = destinationsError({ ...search, ...data });
+    if (merged) return res.status(400).json({ error: merged });
+    const { count } = await prisma.savedSearch.updateMany({
+      where: { id: search.id, userId: req.auth.userId, updatedAt: search.updatedAt },
+      data: { ...data, updatedAt: new Date() },
+    });
+    if (!count) return res.status(409).json({ error: 'saved search changed concurrently, reload and retry' });
+    res.json(await prisma.savedSearch.findUnique({ where: { id: req.params.id } }));
+  } catch (e) {
+    console.error('Update saved search error:', e);
+    res.status(500).json({ error: 'Failed to update saved search' });
+  }
+});
+
+router.delete('/api/searches/:id', requireWrite, async (req, res) => {
+  try {
+    const { count } = await prisma.savedSearch.deleteMany({ where: { id: req.params.id, userId: req.auth.userId } });
+    if (!count) return res.status(404).json({ error: 'saved search not found' });
+    res.status(204).end();
+  } catch (e) {
+    console.error('Delete saved search error:', e);
+    res.status(500).json({ error: 'Failed to delete saved search' });
+  }
+});
+
+export default router;
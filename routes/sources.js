@@ -0,0 +1,38 @@
+// routes/sources.js — lead source health and harvest run history
+import express from 'express';
+import { prisma } from 'db';
+
+import { requireRead } from '../lib/auth.js';
+import { HARVEST_INTERVAL_MS, sourceStatus } from '../lib/harvest.js';
+
+const router = express.Router();
+
+router.get('/api/sources/status', requireRead, async (_req, res) => {
+  try {
+    res.json({
+      mode: process.env.REDIS_URL ? 'queue' : 'in-process',
+      intervalMs: HARVEST_INTERVAL_MS,
+      sources: await sourceStatus(),
+    });
+  } catch (e) {
+    console.error('Source status error:', e);
+    res.status(500).json({ error: 'Failed to load source status' });
+  }
+});
+
+router.get('/api/sources/:name/runs', requireRead, async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 200);
+  try {
+    const runs = await prisma.harvestRun.findMany({
+      where: { source: req.params.name, ...(req.query.status ? { status: String(req.query.status) } : {}) },
+      orderBy: { startedAt: 'desc' },
+      take: limit,
+    });
+    res.json(runs);
+  } catch (e) {
+    console.error('Harvest runs error:', e);
+    res.status(500).json({ error: 'Failed to list harvest runs' });
+  }
+});
+
+export default router;
@@ -0,0 +1,166 @@
+// routes/webhooks.js — manage an org's outbound webhooks and inspect deliveries
+import express from 'express';
+import { prisma } from 'db';
+
+import { requireRead, requireWrite } from '../lib/auth.js';
+import { UnsafeUrlError, assertPublicUrl } from '../lib/net.js';
+import { orgContext } from '../lib/orgs.js';
+import { EVENTS, generateSecret, redeliver } from '../lib/webhooks.js';
+
+const router = express.Router();
+
+// every endpoint below is under /api/orgs/:orgId and needs an admin
+const manage = orgContext('webhook:manage');
+
+const PUBLIC_FIELDS = {
+  id: true, orgId: true, event: true, url: true, isActive: true,
+  consecutiveFailures: true, disabledAt: true, createdAt: true, updatedAt: true,
+};
+
+// null if deliveries may go to `url`, else why not (see lib/net.js)
+async function urlError(url) {
+  try {
+    await assertPublicUrl(url);
+    return null;
+  } catch (e) {
+    if (e instanceof UnsafeUrlError) return e.message;
+    throw e;
+  }
+}
+
+// A caller-chosen signing secret must be a string long enough to resist guessing
+const SECRET_MIN_LENGTH = 16;
+const SECRET_MAX_LENGTH = 256;
+
+function secretError(secret) {
+  if (secret === undefined || secret === null) return null;
+  if (typeof secret !== 'string' || secret.length < SECRET_MIN_LENGTH || secret.length > SECRET_MAX_LENGTH) {
+    return `secret must be a string of ${SECRET_MIN_LENGTH} to ${SECRET_MAX_LENGTH} characters`;
+  }
+  return null;
+}
+
+function validEvent(event) {
+  return event === '*' || EVENTS.includes(event);
+}
+
+async function findHook(req) {
+  return prisma.webhook.findFirst({ where: { id: req.params.id, orgId: req.params.orgId } });
+}
+
+router.get('/api/webhooks/events', (_req, res) => {
+  res.json({ events: EVENTS });
+});
+
+router.get('/api/orgs/:orgId/webhooks', requireRead, manage, async (req, res) => {
+  try {
+    const hooks = await prisma.webhook.findMany({
+      where: { orgId: req.params.orgId },
+      select: PUBLIC_FIELDS,
+      orderBy: { createdAt: 'desc' },
+    });
+    res.json(hooks);
+  } catch (e) {
+    console.error('List webhooks error:', e);
+    res.status(500).json({ error: 'Failed to list webhooks' });
+  }
+});
+
+// The signing secret is only returned here, once
+router.post('/api/orgs/:orgId/webhooks', requireWrite, manage, async (req, res) => {
+  const { url, event, secret } = req.body || {};
+  if (!validEvent(event)) return res.status(400).json({ error: `event must be * or one of ${EVENTS.join(', ')}` });
+  const badSecret = secretError(secret);
+  if (badSecret) return res.status(400).json({ error: badSecret });
+  try {
+    const invalid = await urlError(url);
+    if (invalid) return res.status(400).json({ error: invalid });
+    const hook = await prisma.webhook.create({
+      data: { orgId: req.params.orgId, url, event, secret: secret ?? generateSecret() },
+    });
+    res.status(201).json(hook);
+  } catch (e) {
+    console.error('Create webhook error:', e);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+router.patch('/api/orgs/:orgId/webhooks/:id', requireWrite, manage, async (req, res) => {
+  const { url, event, isActive } = req.body || {};
+  if (event !== undefined && !validEvent(event)) return res.status(400).json({ error: `event must be * or one of ${EVENTS.join(', ')}` });
+  try {
+    const invalid = url !== undefined && await urlError(url);
+    if (invalid) return res.status(400).json({ error: invalid });
+    if (!await findHook(req)) return res.status(404).json({ error: 'webhook not found' });
+    const data = { updatedAt: new Date() };
+    if (url !== undefined) data.url = url;
+    if (event !== undefined) data.event = event;
+    if (isActive !== undefined) {
+      data.isActive = Boolean(isActive);
+      // re-enabling starts the failure count over
+      if (data.isActive) Object.assign(data, { consecutiveFailures: 0, disabledAt: null });
+    }
+    const hook = await prisma.webhook.update({ where: { id: req.params.id }, data, select: PUBLIC_FIELDS });
+    res.json(hook);
+  } catch (e) {
+    console.error('Update webhook error:', e);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+router.post('/api/orgs/:orgId/webhooks/:id/rotate-secret', requireWrite, manage, async (req, res) => {
+  try {
+    if (!await findHook(req)) return res.status(404).json({ error: 'webhook not found' });
+    const hook = await prisma.webhook.update({
+      where: { id: req.params.id },
+      data: { secret: generateSecret(), updatedAt: new Date() },
+    });
+    res.json({ id: hook.id, secret: hook.secret });
+  } catch (e) {
+    console.error('Rotate webhook secret error:', e);
+    res.status(500).json({ error: 'Failed to rotate secret' });
+  }
+});
+
+router.delete('/api/orgs/:orgId/webhooks/:id', requireWrite, manage, async (req, res) => {
+  try {
+    const { count } = await prisma.webhook.deleteMany({ where: { id: req.params.id, orgId: req.params.orgId } });
+    if (!count) return res.status(404).json({ error: 'webhook not found' });
+    res.status(204).end();
+  } catch (e) {
+    console.error('Delete webhook error:', e);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+router.get('/api/orgs/:orgId/webhooks/:id/deliveries', requireRead, manage, async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 100);
+  try {
+    if (!await findHook(req)) return res.status(404).json({ error: 'webhook not found' });
+    const deliveries = await prisma.webhookDelivery.findMany({
+      where: { webhookId: req.params.id, ...(req.query.status ? { status: String(req.query.status) } : {}) },
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      include: { attemptsRel: { orderBy: { attemptNumber: 'asc' } } },
+    });
+    res.json(deliveries);
+  } catch (e) {
+    console.error('List webhook deliveries error:', e);
+    res.status(500).json({ error: 'Failed to list deliveries' });
+  }
+});
+
+router.post('/api/orgs/:orgId/webhooks/:id/deliveries/:deliveryId/redeliver', requireWrite, manage, async (req, res) => {
+  try {
+    const hook = await findHook(req);
+    if (!hook) return res.status(404).json({ error: 'webhook not found' });
+    const original = await prisma.webhookDelivery.findFirst({ where: { id: req.params.deliveryId, webhookId: hook.id } });
+    if (!original) return res.status(404).json({ error: 'delivery not found' });
+    res.status(202).json(await redeliver(original.id));
+  } catch (e) {
+    console.error('Redeliver webhook error:', e);
+    res.status(500).json({ error: 'Redelivery failed' });
+  }
+});
+
+export default router;
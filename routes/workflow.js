@@ -0,0 +1,163 @@
+// routes/workflow.js — claims, notes and the status pipeline for a lead
+import express from 'express';
+import { prisma } from 'db';
+
+import { auditEntry } from '../lib/audit.js';
+import { requireRead, requireWrite } from '../lib/auth.js';
+import { publishLeadEvent } from '../lib/lead-events.js';
+import { can, orgContext, visibleLeads } from '../lib/orgs.js';
+import { STATUSES, TRANSITIONS, canTransition, stateInclude, statusOf, writeStatus } from '../lib/pipeline.js';
+import { emitEvent } from '../lib/webhooks.js';
+
+const router = express.Router();
+
+const NOTE_MAX_LENGTH = 5000;
+
+// Claims, notes and status are always tracked inside an org
+const inOrg = (permission) => orgContext(permission, { required: true });
+
+async function findLead(id, orgId, include) {
+  return prisma.lead.findFirst({ where: { id, ...visibleLeads(orgId) }, include });
+}
+
+router.get('/api/pipeline', (_req, res) => {
+  res.json({ statuses: STATUSES, transitions: TRANSITIONS });
+});
+
+// --- Claims: at most one claimant per lead and org
+router.post('/api/leads/:id/claim', requireWrite, inOrg('lead:work'), async (req, res) => {
+  const { userId } = req.auth;
+  const orgId = req.org.id;
+  try {
+    const lead = await findLead(req.params.id, orgId);
+    if (!lead) return res.status(404).json({ error: 'lead not found' });
+
+    const existing = await prisma.leadClaim.findFirst({ where: { leadId: lead.id, orgId } });
+    if (existing) {
+      if (existing.userId === userId) return res.json(existing);
+      return res.status(409).json({ error: 'lead already claimed', claim: existing });
+    }
+    const [claim] = await prisma.$transaction([
+      prisma.leadClaim.create({ data: { leadId: lead.id, userId, orgId } }),
+      auditEntry(req, { userId, orgId, action: 'lead.claimed', entityType: 'lead', entityId: lead.id }),
+    ]);
+    await emitEvent('lead.claimed', { leadId: lead.id, userId, claimedAt: claim.claimedAt }, { orgId });
+    res.status(201).json(claim);
+  } catch (e) {
+    // lost a race with another claimant (unique leadId+orgId)
+    if (e.code === 'P2002') return res.status(409).json({ error: 'lead already claimed' });
+    console.error('Claim lead error:', e);
+    res.status(500).json({ error: 'Failed to claim lead' });
+  }
+});
+
+router.delete('/api/leads/:id/claim', requireWrite, inOrg('lead:work'), async (req, res) => {
+  const { userId } = req.auth;
+  const orgId = req.org.id;
+  try {
+    const claim = await prisma.leadClaim.findFirst({ where: { leadId: req.params.id, orgId } });
+    if (!claim) return res.status(404).json({ error: 'lead is not claimed' });
+    // admins may release a teammate's claim
+    if (claim.userId !== userId && !can(req.org.role, 'member:manage')) {
+      return res.status(409).json({ error: 'lead is claimed by someone else', claim });
+    }
+    await prisma.$transaction([
+      prisma.leadClaim.delete({ where: { id: claim.id } }),
+      auditEntry(req, { userId, orgId, action: 'lead.unclaimed', entityType: 'lead', entityId: claim.leadId, payload: { claimant: claim.userId } }),
+    ]);
+    await emitEvent('lead.unclaimed', { leadId: claim.leadId, userId }, { orgId });
+    res.status(204).end();
+  } catch (e) {
+    console.error('Unclaim lead error:', e);
+    res.status(500).json({ error: 'Failed to unclaim lead' });
+  }
+});
+
+// --- Notes
+router.get('/api/leads/:id/notes', requireRead, inOrg('note:read'), async (req, res) => {
+  const orgId = req.org.id;
+  try {
+    const notes = await prisma.leadNote.findMany({
+      where: { leadId: req.params.id, orgId },
+      orderBy: { createdAt: 'asc' },
+    });
+    res.json(notes);
+  } catch (e) {
+    console.error('List notes error:', e);
+    res.status(500).json({ error: 'Failed to list notes' });
+  }
+});
+
+router.post('/api/leads/:id/notes', requireWrite, inOrg('note:write'), async (req, res) => {
+  const { userId } = req.auth;
+  const orgId = req.org.id;
+  const { content } = req.body || {};
+  if (!content || typeof content !== 'string' || !content.trim()) return res.status(400).json({ error: 'content required' });
+  if (content.length > NOTE_MAX_LENGTH) return res.status(400).json({ error: `content must be at most ${NOTE_MAX_LENGTH} characters` });
+  try {
+    const lead = await findLead(req.params.id, orgId);
+    if (!lead) return res.status(404).json({ error: 'lead not found' });
+    const [note] = await prisma.$transaction([
+      prisma.leadNote.create({ data: { leadId: lead.id, userId, orgId, content: content.trim() } }),
+      auditEntry(req, { userId, orgId, action: 'lead.note_added', entityType: 'lead', entityId: lead.id, payload: { length: content.length } }),
+    ]);
+    await emitEvent('lead.note_added', { leadId: lead.id, noteId: note.id, userId }, { orgId });
+    res.status(201).json(note);
+  } catch (e) {
+    console.error('Add note error:', e);
+    res.status(500).json({ error: 'Failed to add note' });
+  }
+});
+
+// --- Status pipeline (per org, see lib/pipeline.js)
+router.patch('/api/leads/:id/status', requireWrite, inOrg('lead:work'), async (req, res) => {
+  const { userId } = req.auth;
+  const orgId = req.org.id;
+  const { status, reason } = req.body || {};
+  if (!STATUSES.includes(status)) return res.status(400).json({ error: `status must be one of ${STATUSES.join(', ')}` });
+  try {
+    const found = await findLead(req.params.id, orgId, stateInclude(orgId));
+    if (!found) return res.status(404).json({ error: 'lead not found' });
+    const { leadStates, ...lead } = found;
+    const from = statusOf(found);
+    if (from === status) return res.json({ ...lead, status });
+    if (!canTransition(from, status)) {
+      return res.status(409).json({
+        error: `cannot move lead from ${from} to ${status}`,
+        allowed: TRANSITIONS[from] || [],
+      });
+    }
+    // guard against a concurrent change between the read above and this write
+    const changed = await prisma.$transaction(async (tx) => {
+      if (!await writeStatus(tx, { leadId: lead.id, orgId, from, to: status, userId })) return false;
+      await auditEntry(req, {
+        userId, orgId, action: 'lead.status_changed', entityType: 'lead', entityId: lead.id,
+        payload: { from, to: status, ...(reason ? { reason: String(reason) } : {}) },
+      }, tx);
+      return true;
+    });
+    if (!changed) return res.status(409).json({ error: 'lead status changed concurrently, reload and retry' });
+    await emitEvent('lead.status_changed', { leadId: lead.id, from, to: status, userId }, { orgId });
+    await publishLeadEvent('lead.status_changed', { ...lead, status }, { orgId });
+    res.json({ ...lead, status });
+  } catch (e) {
+    console.error('Change lead status error:', e);
+    res.status(500).json({ error: 'Failed to change lead status' });
+  }
+});
+
+router.get('/api/leads/:id/audit', requireRead, inOrg('note:read'), async (req, res) => {
+  try {
+    const entries = await prisma.auditLog.findMany({
+      where: { entityType: 'lead', entityId: req.params.id, orgId: req.org.id },
+      orderBy: { createdAt: 'desc' },
+      take: 200,
+    });
+    res.json(entries);
+  } catch (e) {
+    console.error('Lead audit log error:', e);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
+export default router;
@@ -1,50 +1,254 @@
-export function scorePost({ content, created_utc }) {
-  let score = 0;
-  const extractedTechStack = new Set();
-  let extractedCompany = null;
-  let extractedLocation = null;
-
-  // Initial scoring based on keywords
-  if (/\$[0-9]+|ETH|BTC/i.test(content)) score += 3;
-  if (/ASAP|urgent/i.test(content)) score += 2;
-
-  // Age scoring
-  const ageHours = (Date.now()/1000 - (created_utc || Date.now()/1000)) / 3600;
-  if (ageHours < 4) score += 1;
-
-  // Negative scoring for "unpaid" or "exposure"
-  if (/unpaid|exposure/i.test(content)) {
-    score = -999;
-    return { score, company: null, location: null, techStack: [] }; // Early exit for negative score
+// scoring.js — data-driven lead scoring
+//
+// A rule set is `{ version, rules }`. Each rule has an `id`, a `type` and,
+// depending on the type, the fields below:
+//   match    { pattern, flags?, points }                 add points when the regex matches
+//   age      { maxHours, points }                        add points when the post is fresh
+//   veto     { pattern, flags?, score? }                 stop and return `score` (default -999)
+//   keywords { keywords[], points, field? }              points per keyword found; collected into `field`
+//   extract  { pattern, flags?, group?, field, points }  capture a value into `field` (company, location)
+//   budget   { tiers: [{ period?, minUsd, points }] }    points of the best tier the parsed budget reaches
+//   signal   { signal, min?, max?, points }              points when min <= signals[signal] <= max (e.g. reposts)
+//                                                        min defaults to 1 unless only max is given
+// Rules run in order; the result carries a breakdown of every rule that fired.
+// Patterns run against every harvested post, so validateRuleSet() caps their
+// length and rejects nested quantifiers like (a+)+ that backtrack exponentially,
+// and every match runs in a vm context under REGEX_TIMEOUT_MS for the patterns
+// that still do, e.g. (a|a)*b. Content past MAX_CONTENT_LENGTH is not scored.
+import vm from 'node:vm';
+
+import { parseBudget } from './lib/budget.js';
+
+export const VETO_SCORE = -999;
+export const MAX_CONTENT_LENGTH = 20000;
+const REGEX_TIMEOUT_MS = 50;
+
+export const DEFAULT_RULE_SET = {
+  version: 'v4',
+  rules: [
+    { id: 'budget-mentioned', type: 'match', pattern: '\\$[0-9]+|ETH|BTC', flags: 'i', points: 3 },
+    { id: 'urgent', type: 'match', pattern: 'ASAP|urgent', flags: 'i', points: 2 },
+    { id: 'fresh', type: 'age', maxHours: 4, points: 1 },
+    { id: 'unpaid', type: 'veto', pattern: 'unpaid|exposure', flags: 'i' },
+    {
+      id: 'tech-stack',
+      type: 'keywords',
+      field: 'techStack',
+      points: 1,
+      keywords: ['React', 'Web3', 'AI', 'Solidity', 'Node.js', 'Next.js', 'Python', 'JavaScript', 'TypeScript', 'Go', 'Rust', 'Java', 'C#', 'PHP', 'Ruby', 'Vue', 'Angular', 'Svelte', 'Docker', 'Kubernetes', 'AWS', 'Azure', 'GCP', 'PostgreSQL', 'MongoDB', 'GraphQL', 'REST API'],
+    },
+    {
+      id: 'company',
+      type: 'extract',
+      field: 'company',
+      pattern: "(?:at|for)\\s+([A-Z][a-zA-Z0-9\\s.&'-]+(?:Inc|LLC|Corp|Ltd|Co)\\.?)",
+      flags: 'i',
+      group: 1,
+      points: 1,
+    },
+    {
+      id: 'location',
+      type: 'extract',
+      field: 'location',
+      pattern: '\\b(remote|anywhere|US-only|EU-only|worldwide|london|new york|san francisco|berlin|toronto|sydney)\\b',
+      flags: 'i',
+      group: 1,
+      points: 1,
+    },
+    {
+      id: 'budget-size',
+      type: 'budget',
+      tiers: [
+        { period: 'hourly', minUsd: 40, points: 1 }, { period: 'hourly', minUsd: 80, points: 2 },
+        { period: 'daily', minUsd: 300, points: 1 }, { period: 'daily', minUsd: 600, points: 2 },
+        { period: 'weekly', minUsd: 1500, points: 1 }, { period: 'weekly', minUsd: 3000, points: 2 },
+        { period: 'monthly', minUsd: 4000, points: 1 }, { period: 'monthly', minUsd: 8000, points: 2 },
+        { period: 'yearly', minUsd: 50000, points: 1 }, { period: 'yearly', minUsd: 100000, points: 2 },
+        { period: 'fixed', minUsd: 1000, points: 1 }, { period: 'fixed', minUsd: 5000, points: 2 },
+      ],
+    },
+    // the same gig posted over and over is usually a content mill or a client nobody wants
+    { id: 'repeat-poster', type: 'signal', signal: 'reposts', min: 3, points: -1 },
+    // trust signals from lib/enrichment; throwaway accounts post most of the fake gigs
+    { id: 'new-account', type: 'signal', signal: 'authorAgeDays', max: 30, points: -2 },
+    { id: 'low-karma', type: 'signal', signal: 'authorKarma', max: 20, points: -1 },
+    { id: 'suspended-author', type: 'signal', signal: 'authorSuspended', min: 1, points: -3 },
+    { id: 'established-github', type: 'signal', signal: 'githubAgeDays', min: 365, points: 1 },
+    { id: 'company-domain', type: 'signal', signal: 'companyDomain', min: 1, points: 1 },
+  ],
+};
+
+const RULE_TYPES = ['match', 'age', 'veto', 'keywords', 'extract', 'budget', 'signal'];
+const FIELDS = ['company', 'location', 'techStack'];
+const MAX_PATTERN_LENGTH = 500;
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function keywordRegExp(keyword) {
+  // lookarounds instead of \b so keywords ending in symbols ("C#") still match
+  return new RegExp(`(?<![\\w])${escapeRegExp(keyword)}(?![\\w])`, 'i');
+}
+
+const sandbox = vm.createContext({});
+const matcher = new vm.Script('input.match(new RegExp(pattern, flags))');
+
+// content.match(pattern) that gives up after REGEX_TIMEOUT_MS; returns { m } or { timedOut }
+function timedMatch(content, rule) {
+  Object.assign(sandbox, { input: content, pattern: rule.pattern, flags: rule.flags || '' });
+  try {
+    return { m: matcher.runInContext(sandbox, { timeout: REGEX_TIMEOUT_MS }) };
+  } catch (e) {
+    if (e.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw e;
+    return { timedOut: true };
   }
+}
+
+/**
+ * Apply a rule set to a post.
+ * Returns { score, company, location, techStack, budget, version, breakdown: [{ rule, points, match }] }.
+ */
+export function evaluateRules(ruleSet, { content = '', created_utc, signals = {} }) {
+  content = String(content).slice(0, MAX_CONTENT_LENGTH);
+  const budget = parseBudget(content);
+  const out = { score: 0, company: null, location: null, techStack: [], budget, version: ruleSet.version, breakdown: [] };
+  const techStack = new Set();
 
-  // Tech stack extraction and scoring
-  const techKeywords = ['React', 'Web3', 'AI', 'Solidity', 'Node.js', 'Next.js', 'Python', 'JavaScript', 'TypeScript', 'Go', 'Rust', 'Java', 'C#', 'PHP', 'Ruby', 'Vue', 'Angular', 'Svelte', 'Docker', 'Kubernetes', 'AWS', 'Azure', 'GCP', 'PostgreSQL', 'MongoDB', 'GraphQL', 'REST API'];
-  for (const keyword of techKeywords) {
-    if (new RegExp(`\\b${keyword}\\b`, 'i').test(content)) {
-      extractedTechStack.add(keyword);
-      score += 1;
+  for (const rule of ruleSet.rules || []) {
+    const { m, timedOut } = ['match', 'veto', 'extract'].includes(rule.type) ? timedMatch(content, rule) : {};
+    if (timedOut) {
+      out.breakdown.push({ rule: rule.id, points: 0, match: null, error: `pattern timed out after ${REGEX_TIMEOUT_MS}ms` });
+      continue;
+    }
+    switch (rule.type) {
+      case 'match': {
+        if (m) hit(out, rule, rule.points, m[0]);
+        break;
+      }
+      case 'age': {
+        const ageHours = (Date.now()/1000 - (created_utc || Date.now()/1000)) / 3600;
+        if (ageHours < rule.maxHours) hit(out, rule, rule.points, `${ageHours.toFixed(1)}h old`);
+        break;
+      }
+      case 'veto': {
+        if (m) {
+          const score = rule.score ?? VETO_SCORE;
+          return { score, company: null, location: null, techStack: [], budget, version: ruleSet.version,
+            breakdown: [...out.breakdown, { rule: rule.id, points: score, match: m[0], veto: true }] };
+        }
+        break;
+      }
+      case 'keywords': {
+        for (const keyword of rule.keywords || []) {
+          if (!keywordRegExp(keyword).test(content)) continue;
+          if (rule.field === 'techStack') techStack.add(keyword);
+          hit(out, rule, rule.points, keyword);
+        }
+        break;
+      }
+      case 'extract': {
+        const value = m?.[rule.group ?? 0]?.trim();
+        if (value) {
+          if (rule.field && out[rule.field] == null) out[rule.field] = value;
+          hit(out, rule, rule.points, value);
+        }
+        break;
+      }
+      case 'budget': {
+        if (budget?.usdMax == null) break;
+        const best = (rule.tiers || [])
+          .filter(t => (!t.period || t.period === budget.period) && budget.usdMax >= t.minUsd)
+          .reduce((a, t) => (!a || t.points > a.points ? t : a), null);
+        if (best) hit(out, rule, best.points, budget.raw);
+        break;
+      }
+      case 'signal': {
+        const value = signals[rule.signal];
+        const min = rule.min ?? (rule.max != null ? -Infinity : 1);
+        if (typeof value === 'number' && value >= min && (rule.max == null || value <= rule.max)) {
+          hit(out, rule, rule.points, `${rule.signal}=${value}`);
+        }
+        break;
+      }
     }
   }
 
-  // Company extraction (simple regex, can be improved)
-  const companyMatch = content.match(/(?:at|for)\s+([A-Z][a-zA-Z0-9\s.&'-]+(?:Inc|LLC|Corp|Ltd|Co)\.?)/i);
-  if (companyMatch) {
-    extractedCompany = companyMatch[1].trim();
-    score += 1;
+  out.techStack = Array.from(techStack);
+  return out;
+}
+
+function hit(out, rule, points = 0, match) {
+  out.score += points;
+  out.breakdown.push({ rule: rule.id, points, match });
+}
+
+// True for a quantified group that itself contains a quantifier: (a+)+, (\w+\s?)*, ((a*)b){2,}
+function hasNestedQuantifier(pattern) {
+  const groups = []; // per open group: does it contain a quantifier?
+  let inClass = false;
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '\\') {
+      i++;
+    } else if (inClass) {
+      if (c === ']') inClass = false;
+    } else if (c === '[') {
+      inClass = true;
+    } else if (c === '(') {
+      groups.push(false);
+    } else if (c === ')') {
+      const quantified = groups.pop();
+      if (quantified && /^(?:[*+]|\{\d+(?:,\d*)?\})/.test(pattern.slice(i + 1))) return true;
+      if (quantified && groups.length) groups[groups.length - 1] = true;
+    } else if (c === '*' || c === '+' || (c === '{' && /^\{\d+(?:,\d*)?\}/.test(pattern.slice(i)))) {
+      if (groups.length) groups[groups.length - 1] = true;
+    }
   }
+  return false;
+}
 
-  // Location extraction (simple regex, can be improved)
-  const locationMatch = content.match(/\b(remote|anywhere|US-only|EU-only|worldwide|london|new york|san francisco|berlin|toronto|sydney)\b/i);
-  if (locationMatch) {
-    extractedLocation = locationMatch[1].trim();
-    score += 1;
+function patternError(rule) {
+  if (typeof rule.pattern !== 'string' || !rule.pattern) return 'is required';
+  if (rule.pattern.length > MAX_PATTERN_LENGTH) return `must be at most ${MAX_PATTERN_LENGTH} characters`;
+  try {
+    new RegExp(rule.pattern, rule.flags || '');
+  } catch (e) {
+    return `is invalid: ${e.message.replace(/^Invalid regular expression: /, '')}`;
   }
+  if (hasNestedQuantifier(rule.pattern)) return 'must not repeat a group that contains a quantifier, e.g. (a+)+';
+  return null;
+}
+
+// Returns a list of human-readable problems; empty when the rule set is usable
+export function validateRuleSet(ruleSet) {
+  const errors = [];
+  if (!ruleSet || typeof ruleSet !== 'object') return ['rule set must be an object'];
+  if (!ruleSet.version || typeof ruleSet.version !== 'string') errors.push('version is required');
+  if (!Array.isArray(ruleSet.rules)) return [...errors, 'rules must be an array'];
+
+  const ids = new Set();
+  ruleSet.rules.forEach((rule, i) => {
+    const at = `rules[${i}]`;
+    if (!rule?.id) errors.push(`${at}.id is required`);
+    else if (ids.has(rule.id)) errors.push(`${at}.id "${rule.id}" is duplicated`);
+    else ids.add(rule.id);
+    if (!RULE_TYPES.includes(rule?.type)) errors.push(`${at}.type must be one of ${RULE_TYPES.join(', ')}`);
+    if (['match', 'veto', 'extract'].includes(rule?.type)) {
+      const error = patternError(rule);
+      if (error) errors.push(`${at}.pattern ${error}`);
+    }
+    if (rule?.type === 'age' && !(rule.maxHours > 0)) errors.push(`${at}.maxHours must be > 0`);
+    if (rule?.type === 'keywords' && !Array.isArray(rule.keywords)) errors.push(`${at}.keywords must be an array`);
+    if (rule?.type === 'budget' && !Array.isArray(rule.tiers)) errors.push(`${at}.tiers must be an array`);
+    if (rule?.type === 'signal' && !rule.signal) errors.push(`${at}.signal is required`);
+    for (const bound of ['min', 'max']) {
+      if (rule?.type === 'signal' && rule[bound] != null && typeof rule[bound] !== 'number') errors.push(`${at}.${bound} must be a number`);
+    }
+    if (rule?.field && !FIELDS.includes(rule.field)) errors.push(`${at}.field must be one of ${FIELDS.join(', ')}`);
+    if (rule?.points != null && typeof rule.points !== 'number') errors.push(`${at}.points must be a number`);
+  });
+  return errors;
+}
 
-  return {
-    score,
-    company: extractedCompany,
-    location: extractedLocation,
-    techStack: Array.from(extractedTechStack)
-  };
-}
\ No newline at end of file
+export function scorePost(post, ruleSet = DEFAULT_RULE_SET) {
+  return evaluateRules(ruleSet, post);
+}
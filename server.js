@@ -3,13 +3,30 @@ import cors from 'cors';
 import 'dotenv/config';
 import express from 'express';
 import path from 'path';
-import Stripe from 'stripe';
 import { fileURLToPath } from 'url';
 
-// Import Prisma client from the 'db' workspace package
-import { prisma } from 'db';
-
-import { fetchReddit } from './sources/reddit.js';
+import { ALERT_RETRY_INTERVAL_MS, DIGEST_CHECK_INTERVAL_MS, retryAlerts, sendDailyDigests } from './lib/alerts.js';
+import { authenticate } from './lib/auth.js';
+import { processPendingEnrichment } from './lib/enrichment/index.js';
+import { HARVEST_INTERVAL_MS, harvest } from './lib/harvest.js';
+import { LIFECYCLE_INTERVAL_MS, runLifecycle } from './lib/lifecycle.js';
+import { FOLLOW_UP_INTERVAL_MS, recoverStaleSending, sendFollowUpReminders } from './lib/outreach.js';
+import { RESCORE_INTERVAL_MS, TRAIN_INTERVAL_MS, processPendingRescores, trainModels } from './lib/relevance.js';
+import { processRescoreRuns } from './lib/rulesets.js';
+import { WEBHOOK_RETRY_INTERVAL_MS, processDueDeliveries } from './lib/webhooks.js';
+import analyticsRouter from './routes/analytics.js';
+import billingRouter, { stripeWebhook } from './routes/billing.js';
+import leadIoRouter from './routes/lead-io.js';
+import leadsRouter from './routes/leads.js';
+import orgsRouter from './routes/orgs.js';
+import outreachRouter from './routes/outreach.js';
+import profileRouter from './routes/profile.js';
+import relevanceRouter from './routes/relevance.js';
+import scoringRouter from './routes/scoring.js';
+import searchesRouter from './routes/searches.js';
+import sourcesRouter from './routes/sources.js';
+import webhooksRouter from './routes/webhooks.js';
+import workflowRouter from './routes/workflow.js';
 
 // ----- ESM-friendly __dirname
 const __filename = fileURLToPath(import.meta.url);
@@ -20,20 +37,7 @@ const app = express();
 app.use(cors());
 
 // ----- Env
-const {
-  PORT = 8080,
-  REDDIT_SUBS = 'forhire,jobsforcrypto',
-  STRIPE_SECRET,
-  PRICE_MONTHLY,
-  PRICE_ANNUAL,
-  STRIPE_WEBHOOK_SECRET,
-  SITE_URL = `http://localhost:${PORT}`
-} = process.env;
-
-// ----- Stripe
-const stripe = STRIPE_SECRET
-  ? new Stripe(STRIPE_SECRET, { apiVersion: '2024-06-20' })
-  : null;
+const { PORT = 8080 } = process.env;
 
 // ----- Health first
 app.get('/health', (_req, res) => {
@@ -43,59 +47,9 @@ app.get('/health', (_req, res) => {
 /**
  * IMPORTANT: Stripe webhook must receive the raw body.
  * We register it BEFORE global express.json(), so it isn’t pre-parsed.
+ * Event handling lives in lib/billing.js, shared with api/stripe-webhook.js.
  */
-app.post(
-  '/api/stripe/webhook',
-  express.raw({ type: 'application/json' }),
-  async (req, res) => {
-    if (!stripe || !STRIPE_WEBHOOK_SECRET) return res.status(400).end();
-    const sig = req.headers['stripe-signature'];
-
-    let event;
-    try {
-      event = stripe.webhooks.constructEvent(req.body, sig, STRIPE_WEBHOOK_SECRET);
-    } catch (err) {
-      console.error('Webhook signature verification failed:', err.message);
-      return res.status(400).send(`Webhook Error: ${err.message}`);
-    }
-
-    const { type, data } = event;
-    const obj = data?.object ?? {};
-
-    // Handle subscription lifecycle
-    if (type === 'customer.subscription.created' || type === 'customer.subscription.updated') {
-      const status = obj.status; // active, trialing, past_due, canceled, etc.
-      const customerId = obj.customer;
-      if (customerId && status) {
-        try {
-          await prisma.profile.updateMany({ // Changed from prisma.user to prisma.profile
-            where: { stripeCustomerId: customerId },
-            data: { subscriptionStatus: status },
-          });
-        } catch (e) {
-          console.error('DB update error (subscription upsert):', e);
-        }
-      }
-    } else if (type === 'customer.subscription.deleted') {
-      const customerId = obj.customer;
-      if (customerId) {
-        try {
-          await prisma.profile.updateMany({ // Changed from prisma.user to prisma.profile
-            where: { stripeCustomerId: customerId },
-            data: { subscriptionStatus: 'canceled' },
-          });
-        } catch (e) {
-          console.error('DB update error (subscription delete):', e);
-        }
-      }
-    } else if (type === 'setup_intent.succeeded') {
-      // Optional: handle saved payment method if you later need it
-      // const pm = obj.payment_method; const customerId = obj.customer;
-    }
-
-    res.json({ received: true });
-  }
-);
+app.post('/api/stripe/webhook', express.raw({ type: 'application/json' }), stripeWebhook);
 
 // ----- Everything else can be JSON-parsed
 app.use(express.json());
@@ -112,116 +66,84 @@ app.post('/api/signup', async (req, res) => {
   res.status(200).json({ ok: true, message: 'Please use Supabase for signup/login. This endpoint will be updated.' });
 });
 
-app.get('/api/me', async (req, res) => {
-  const { userId } = req.query || {}; // Expecting Supabase user ID
-  if (!userId) {
-    return res.json({ profile: null });
-  }
-  try {
-    const profile = await prisma.profile.findUnique({ // Changed from prisma.user to prisma.profile
-      where: { id: String(userId) },
-      select: { id: true, firstName: true, lastName: true, subscriptionStatus: true },
-    });
-    res.json({ profile: profile ? { id: profile.id, status: profile.subscriptionStatus } : null });
-  } catch (e) {
-    console.error('Get profile error:', e);
-    res.status(500).json({ error: 'Failed to fetch profile' });
-  }
-});
-
-// --- Leads list (paged)
-app.get('/api/leads', async (req, res) => {
-  const limit = Math.min(parseInt(req.query.limit || '50', 10), 100);
-  const offset = Math.max(parseInt(req.query.offset || '0', 10), 0);
-  try {
-    const leads = await prisma.lead.findMany({
-      take: limit,
-      skip: offset,
-      orderBy: { createdAt: 'desc' },
-    });
-    res.json(leads);
-  } catch (e) {
-    console.error('Fetch leads error:', e);
-    res.status(500).json({ error: 'Failed to fetch leads' });
-  }
+app.get('/api/me', authenticate, (req, res) => {
+  const { profile, access } = req.auth;
+  res.json({
+    profile: {
+      id: profile.id,
+      firstName: profile.first_name,
+      lastName: profile.last_name,
+      status: profile.subscription_status,
+      currentPeriodEnd: profile.current_period_end,
+      cancelAtPeriodEnd: profile.cancel_at_period_end,
+      hasBillingAccount: Boolean(profile.stripe_customer_id),
+    },
+    access,
+  });
 });
 
-// --- Stripe Checkout (monthly/annual with 3-day trial configured on the Price in Stripe)
-app.post('/api/checkout', async (req, res) => {
-  if (!stripe) return res.status(500).json({ error: 'Stripe not configured' });
-
-  const { email, plan, userId } = req.body || {}; // Expecting userId from Supabase
-  if (!email || !userId || !['monthly', 'annual'].includes(plan)) {
-    return res.status(400).json({ error: 'email, userId, and plan=monthly|annual required' });
-  }
-
-  const price = plan === 'monthly' ? PRICE_MONTHLY : PRICE_ANNUAL;
-  if (!price) return res.status(500).json({ error: 'Stripe price IDs missing' });
-
-  try {
-    // Create or reuse customer by email
-    let customer = (await stripe.customers.list({ email, limit: 1 })).data[0];
-    if (!customer) customer = await stripe.customers.create({ email });
-
-    // Update profile with stripeCustomerId
-    await prisma.profile.update({ // Changed from prisma.user to prisma.profile
-      where: { id: userId },
-      data: { stripeCustomerId: customer.id },
-    });
-
-    const session = await stripe.checkout.sessions.create({
-      mode: 'subscription',
-      customer: customer.id,
-      line_items: [{ price, quantity: 1 }],
-      success_url: `${SITE_URL}/?session=success`,
-      cancel_url: `${SITE_URL}/?session=cancel`
-    });
-
-    return res.json({ url: session.url });
-  } catch (e) {
-    console.error('Stripe checkout error:', e);
-    return res.status(500).json({ error: 'Checkout failed' });
-  }
-});
-
-// --- Background fetcher: pull Reddit every 5 minutes and store
-async function harvest() {
-  try {
-    const reddit = await fetchReddit(REDDIT_SUBS); // uses global fetch in Node 18+ / 22
-    let newRows = 0;
-    for (const lead of reddit) {
-      try {
-        const createdLead = await prisma.lead.create({
-          data: {
-            source: lead.platform,
-            title: lead.title,
-            summary: lead.content,
-            rawUrl: lead.url,
-            author: lead.author,
-            budget: lead.budget,
-            score: lead.score,
-            company: lead.company, // New field
-            location: lead.location, // New field
-            techStack: lead.techStack, // New field
-            // userId: lead.userId, // If leads are associated with a user, this would be set here
-          },
-        });
-        if (createdLead) newRows++;
-      } catch (e) {
-        // Ignore duplicates (e.g., if rawUrl is unique and already exists)
-        if (e.code !== 'P2002') { // P2002 is Prisma's unique constraint violation code
-          console.error('Error inserting lead:', e);
-        }
-      }
-    }
-    if (newRows) console.log(`+${newRows} new leads`);
-  } catch (e) {
-    console.error('harvest() error:', e);
-  }
+// --- Orgs, invites and membership roles
+app.use(orgsRouter);
+
+// --- Leads list
+app.use(leadsRouter);
+
+// --- Bulk lead export and import
+app.use(leadIoRouter);
+
+// --- Market analytics: tech demand, budgets, locations, source yield
+app.use(analyticsRouter);
+
+// --- Lead workflow: claims, notes, status pipeline
+app.use(workflowRouter);
+
+// --- Scoring rule sets and score explanations
+app.use(scoringRouter);
+
+// --- Relevance feedback and the models it trains
+app.use(relevanceRouter);
+
+// --- Skill profile behind sort=forme
+app.use(profileRouter);
+
+// --- Outreach templates, drafts and tracked sending
+app.use(outreachRouter);
+
+// --- Saved searches and alert settings
+app.use(searchesRouter);
+
+// --- Outbound webhooks
+app.use(webhooksRouter);
+
+// --- Lead source health and harvest run history
+app.use(sourcesRouter);
+
+// --- Stripe Checkout and customer portal
+app.use(billingRouter);
+
+// --- Background fetcher: with REDIS_URL the queue worker (apps/worker) harvests, enriches,
+// retrains relevance models, re-scores (model activations, rescore requests), expires/retires
+// old leads, sends outreach follow-up reminders, retries webhooks and alerts and sends
+// daily digests; without Redis this process does it all on intervals
+if (!process.env.REDIS_URL) {
+  setInterval(harvest, HARVEST_INTERVAL_MS);
+  harvest();
+  setInterval(() => processPendingEnrichment().catch(e => console.error('processPendingEnrichment() error:', e)), 60 * 1000);
+  setInterval(() => trainModels().catch(e => console.error('trainModels() error:', e)), TRAIN_INTERVAL_MS);
+  setInterval(() => processPendingRescores()
+    .then(() => processRescoreRuns())
+    .catch(e => console.error('processRescoreRuns() error:', e)), RESCORE_INTERVAL_MS);
+  setInterval(() => runLifecycle().catch(e => console.error('runLifecycle() error:', e)), LIFECYCLE_INTERVAL_MS);
+  setInterval(() => recoverStaleSending()
+    .then(() => sendFollowUpReminders())
+    .catch(e => console.error('sendFollowUpReminders() error:', e)), FOLLOW_UP_INTERVAL_MS);
+  // webhook retries (deliveries whose backoff has elapsed)
+  setInterval(() => processDueDeliveries().catch(e => console.error('processDueDeliveries() error:', e)), WEBHOOK_RETRY_INTERVAL_MS);
+  // daily alert digests (each saved search is sent at most once per 24h)
+  setInterval(() => sendDailyDigests().catch(e => console.error('sendDailyDigests() error:', e)), DIGEST_CHECK_INTERVAL_MS);
+  // alert retries (failed sends whose backoff has elapsed; each run claims its rows)
+  setInterval(() => retryAlerts().catch(e => console.error('retryAlerts() error:', e)), ALERT_RETRY_INTERVAL_MS);
 }
-setInterval(harvest, 5 * 60 * 1000);
-harvest();
-
 
 // --- Serve static UI ---
 app.use(express.static(path.join(__dirname, 'public')));
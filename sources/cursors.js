@@ -0,0 +1,23 @@
+// sources/cursors.js — per-source bookmarks so adapters only fetch what is new
+import { prisma } from 'db';
+
+export async function getCursor(source, key) {
+  try {
+    return await prisma.sourceCursor.findUnique({ where: { source_key: { source, key } } });
+  } catch (e) {
+    console.error('Get source cursor error:', e);
+    return null;
+  }
+}
+
+export async function setCursor(source, key, { cursor, seenAt = null }) {
+  try {
+    await prisma.sourceCursor.upsert({
+      where: { source_key: { source, key } },
+      create: { source, key, cursor, seenAt },
+      update: { cursor, seenAt, updatedAt: new Date() },
+    });
+  } catch (e) {
+    console.error('Set source cursor error:', e);
+  }
+}
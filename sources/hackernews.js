@@ -0,0 +1,81 @@
+import fetch from 'node-fetch';
+import { isFilled, stripHtml } from './text.js';
+
+// Algolia's HN mirror exposes search and the full comment tree in one call
+const API = 'https://hn.algolia.com/api/v1';
+const ITEM_URL = 'https://news.ycombinator.com/item?id=';
+
+export const name = 'hackernews';
+export const platform = 'Hacker News';
+
+/**
+ * Fetch top-level comments of the latest monthly threads posted by the
+ * `whoishiring` account. Every top-level comment is one job post.
+ * config: { threads: string[] | 'csv' }  — title prefixes, e.g. "Ask HN: Who is hiring?"
+ */
+export async function fetchPosts({ threads = 'Who is hiring?' } = {}) {
+  const wanted = (Array.isArray(threads) ? threads : String(threads).split(','))
+    .map(t => t.trim().toLowerCase()).filter(Boolean);
+  const results = [];
+  try {
+    const r = await fetch(`${API}/search_by_date?tags=story,author_whoishiring&hitsPerPage=20`);
+    if (!r.ok) throw new Error(`search HTTP ${r.status}`);
+    const { hits = [] } = await r.json();
+    for (const want of wanted) {
+      // hits are newest first, so the first match is this month's thread
+      const story = hits.find(h => (h.title || '').toLowerCase().includes(want));
+      if (!story) continue;
+      results.push(...await fetchThread(story.objectID));
+    }
+  } catch (e) {
+    console.error('hackernews fetch failed', e.message);
+  }
+  return results;
+}
+
+async function fetchThread(storyId) {
+  const r = await fetch(`${API}/items/${encodeURIComponent(storyId)}`);
+  if (!r.ok) throw new Error(`item ${storyId} HTTP ${r.status}`);
+  const story = await r.json();
+  return (story.children || [])
+    .filter(c => c.text && c.author)
+    .map(normalize);
+}
+
+export function normalize(c) {
+  const text = stripHtml(c.text);
+  // Convention in these threads: first line is "Company | Role | Location | ..."
+  const [firstLine, ...rest] = text.split('\n');
+  return {
+    platform,
+    externalId: String(c.id),
+    title: firstLine.trim() || 'Untitled',
+    content: rest.join('\n').trim() || text,
+    author: c.author,
+    url: `${ITEM_URL}${c.id}`,
+    created_utc: c.created_at_i,
+  };
+}
+
+/**
+ * Re-check stored HN leads one item at a time. Resolves to a Map of lead id →
+ * expiry reason (null while the comment is still up and not marked filled).
+ */
+export async function checkLeads(leads) {
+  const results = new Map();
+  for (const lead of leads) {
+    const id = String(lead.rawUrl).match(/[?&]id=(\d+)/)?.[1];
+    if (!id) continue;
+    const r = await fetch(`${API}/items/${encodeURIComponent(id)}`);
+    if (r.status === 404) {
+      results.set(lead.id, 'deleted');
+      continue;
+    }
+    if (!r.ok) throw new Error(`item ${id} HTTP ${r.status}`);
+    const item = await r.json();
+    // deleted and flagged comments keep their id but lose author and text
+    if (!item.author || !item.text) results.set(lead.id, 'deleted');
+    else results.set(lead.id, isFilled(stripHtml(item.text)) ? 'filled' : null);
+  }
+  return results;
+}
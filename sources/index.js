@@ -0,0 +1,77 @@
+// sources/index.js — lead source registry
+//
+// An adapter is a module exporting `name` and `fetchPosts(config)`, which
+// resolves to normalized posts:
+//   { platform, externalId, title, content, author, url, created_utc }
+// Adapters only fetch and normalize; scoring and storage live in lib/harvest.js.
+//
+// Optionally an adapter also exports `platform` (the Lead.source it writes) and
+// `checkLeads(leads)`, resolving to a Map of lead id → expiry reason or null,
+// which lib/lifecycle.js uses to expire filled and deleted posts, and
+// `commitPosts(posts)`, called once a run's posts are stored, to advance cursors.
+import { prisma } from 'db';
+
+import * as hackernews from './hackernews.js';
+import * as reddit from './reddit.js';
+import * as rss from './rss.js';
+
+export const adapters = {
+  [reddit.name]: reddit,
+  [hackernews.name]: hackernews,
+  [rss.name]: rss,
+};
+
+export function getAdapter(type) {
+  return adapters[type] || null;
+}
+
+// The adapter that re-checks a stored lead. Leads from feeds, whose platform is
+// the feed's label or host, and from imports fall back to the feed adapter's URL check.
+export function checkerFor(lead) {
+  return Object.values(adapters).find(a => a.platform === lead.source && a.checkLeads) || rss;
+}
+
+// Sources configured through the environment
+export function sourcesFromEnv(env = process.env) {
+  const {
+    REDDIT_SUBS = 'forhire,jobsforcrypto',
+    REDDIT_MAX_PAGES,
+    REDDIT_SCAN_MEGATHREADS,
+    HN_THREADS,
+    RSS_FEEDS,
+  } = env;
+  const list = [];
+  if (REDDIT_SUBS) {
+    list.push({
+      name: 'reddit',
+      type: 'reddit',
+      config: {
+        subs: REDDIT_SUBS,
+        maxPages: REDDIT_MAX_PAGES ? Number(REDDIT_MAX_PAGES) : undefined,
+        scanComments: REDDIT_SCAN_MEGATHREADS === 'true' || REDDIT_SCAN_MEGATHREADS === '1',
+      },
+    });
+  }
+  if (HN_THREADS) list.push({ name: 'hackernews', type: 'hackernews', config: { threads: HN_THREADS } });
+  if (RSS_FEEDS) list.push({ name: 'rss', type: 'rss', config: { feeds: RSS_FEEDS } });
+  return list;
+}
+
+// Env sources plus active `LeadSource` rows. A DB row with the same name
+// overrides the env entry, so a deployment can be reconfigured without a redeploy.
+export async function loadSources(env = process.env) {
+  const byName = new Map(sourcesFromEnv(env).map(s => [s.name, s]));
+  try {
+    const rows = await prisma.leadSource.findMany({ where: { isActive: true } });
+    for (const row of rows) {
+      byName.set(row.name, { name: row.name, type: row.type, config: row.config || {} });
+    }
+  } catch (e) {
+    console.error('Load lead sources error:', e);
+  }
+  return [...byName.values()].filter(s => {
+    if (getAdapter(s.type)) return true;
+    console.error(`Unknown source type "${s.type}" for source "${s.name}"`);
+    return false;
+  });
+}
@@ -0,0 +1,108 @@
+// sources/reddit-client.js — Reddit API client (app-only OAuth, rate-limit aware)
+import fetch from 'node-fetch';
+
+const TOKEN_URL = 'https://www.reddit.com/api/v1/access_token';
+const OAUTH_BASE = 'https://oauth.reddit.com';
+const PUBLIC_BASE = 'https://www.reddit.com';
+const USER_AGENT = 'freelance-signal/1.0';
+const MAX_RETRIES = 3;
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+export class RedditClient {
+  constructor({ clientId, clientSecret, userAgent = USER_AGENT } = {}) {
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.userAgent = userAgent;
+    this.token = null;
+    this.tokenExpiresAt = 0;
+    this.remaining = null; // X-Ratelimit-Remaining
+    this.resetAt = 0;      // epoch ms when the current rate-limit window resets
+  }
+
+  get authenticated() {
+    return Boolean(this.clientId && this.clientSecret);
+  }
+
+  async accessToken() {
+    if (this.token && Date.now() < this.tokenExpiresAt) return this.token;
+    const basic = Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64');
+    const r = await fetch(TOKEN_URL, {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${basic}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'User-Agent': this.userAgent,
+      },
+      body: 'grant_type=client_credentials',
+    });
+    if (!r.ok) throw new Error(`Reddit token request failed: HTTP ${r.status}`);
+    const j = await r.json();
+    this.token = j.access_token;
+    // refresh a minute early so a long harvest never runs on an expired token
+    this.tokenExpiresAt = Date.now() + Math.max((j.expires_in || 3600) - 60, 60) * 1000;
+    return this.token;
+  }
+
+  // GET a Reddit API path (e.g. `/r/forhire/new`) and return parsed JSON
+  async get(pathname, params = {}) {
+    const base = this.authenticated ? OAUTH_BASE : PUBLIC_BASE;
+    const suffix = this.authenticated ? '' : '.json';
+    const qs = new URLSearchParams({ raw_json: '1', ...params });
+    const url = `${base}${pathname}${suffix}?${qs}`;
+
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForRateLimit();
+      const headers = { 'User-Agent': this.userAgent };
+      if (this.authenticated) headers.Authorization = `Bearer ${await this.accessToken()}`;
+
+      const r = await fetch(url, { headers });
+      this.trackRateLimit(r.headers);
+
+      if (r.ok) return r.json();
+      if (r.status === 401 && this.authenticated && attempt < MAX_RETRIES) {
+        this.token = null; // token revoked or expired early
+        continue;
+      }
+      if ((r.status === 429 || r.status >= 500) && attempt < MAX_RETRIES) {
+        const retryAfter = Number(r.headers.get('retry-after'));
+        const delay = retryAfter > 0 ? retryAfter * 1000 : 1000 * 2 ** attempt;
+        console.warn(`reddit ${pathname} HTTP ${r.status}, retrying in ${delay}ms`);
+        await sleep(delay);
+        continue;
+      }
+      throw new Error(`Reddit ${pathname} failed: HTTP ${r.status}`);
+    }
+  }
+
+  trackRateLimit(headers) {
+    const remaining = headers.get('x-ratelimit-remaining');
+    const reset = headers.get('x-ratelimit-reset');
+    if (remaining != null) this.remaining = parseFloat(remaining);
+    if (reset != null) this.resetAt = Date.now() + parseFloat(reset) * 1000;
+  }
+
+  async waitForRateLimit() {
+    if (this.remaining == null || this.remaining >= 1) return;
+    const wait = this.resetAt - Date.now();
+    if (wait > 0) {
+      console.warn(`reddit rate limit exhausted, waiting ${Math.ceil(wait / 1000)}s`);
+      await sleep(wait);
+    }
+    this.remaining = null;
+  }
+}
+
+let client = null;
+// Shared by sources/reddit.js and lib/enrichment/reddit-author.js so both stay inside one rate limit
+export function getClient() {
+  if (!client) {
+    const { REDDIT_CLIENT_ID, REDDIT_CLIENT_SECRET, REDDIT_USER_AGENT } = process.env;
+    client = new RedditClient({
+      clientId: REDDIT_CLIENT_ID,
+      clientSecret: REDDIT_CLIENT_SECRET,
+      userAgent: REDDIT_USER_AGENT,
+    });
+  }
+  return client;
+}
@@ -1,34 +1,35 @@
-import fetch from 'node-fetch';
-import { scorePost } from '../scoring.js';
+import { getCursor, setCursor } from './cursors.js';
+import { getClient } from './reddit-client.js';
+import { isFilled } from './text.js';
 
-const BASE = 'https://www.reddit.com/r';
+export const name = 'reddit';
+export const platform = 'Reddit';
 
-export async function fetchReddit(subsCsv) {
-  const subs = (subsCsv || '').split(',').map(s => s.trim()).filter(Boolean);
+const PAGE_SIZE = 100;
+const MEGATHREAD = /hiring thread|megathread|monthly thread|weekly thread|who'?s hiring/i;
+
+/**
+ * Fetch posts submitted to each subreddit since the last run.
+ * config: {
+ *   subs: string[] | 'csv',
+ *   maxPages?: number,       // how far back to page when the cursor isn't reached (default 5)
+ *   scanComments?: boolean,  // also read new top-level comments of stickied hiring megathreads
+ * }
+ * Cursors only move in commitPosts(), once lib/harvest.js has stored the posts.
+ */
+export async function fetchPosts({ subs, maxPages = 5, scanComments = false } = {}, { reddit = getClient() } = {}) {
+  const list = (Array.isArray(subs) ? subs : String(subs || '').split(','))
+    .map(s => s.trim()).filter(Boolean);
   const results = [];
-  for (const sub of subs) {
-    const url = `${BASE}/${encodeURIComponent(sub)}/new.json?limit=50`;
+  for (const sub of list) {
     try {
-      const r = await fetch(url, { headers: { 'User-Agent': 'freelance-signal/1.0' }});
-      if (!r.ok) continue;
-      const j = await r.json();
-      const posts = (j.data?.children || []).map(c => c.data);
-      for (const p of posts) {
-        const content = [p.title, p.selftext].filter(Boolean).join(' — ');
-        const { score, company, location, techStack } = scorePost({ content, created_utc: p.created_utc });
-        if (score > 0) { // Only include leads with a positive score
-          results.push({
-            platform: 'Reddit',
-            title: p.title?.slice(0, 180) || 'Untitled',
-            content: p.selftext?.slice(0, 2000) || '',
-            author: p.author || 'unknown',
-            url: `https://reddit.com${p.permalink}`,
-            budget: (content.match(/\$[0-9][0-9,]*/)?.[0]) || '',
-            score: score,
-            company: company,
-            location: location,
-            techStack: techStack,
-          });
+      const posts = await fetchNew(reddit, sub, Number(maxPages) || 5);
+      for (const p of posts) results.push({ ...normalize(p), cursorKey: sub });
+      if (scanComments) {
+        // a megathread stays stickied for weeks, long after /new moved past it,
+        // so each one is read on every run with a comment cursor of its own
+        for (const thread of await fetchMegathreads(reddit, sub)) {
+          results.push(...await fetchNewComments(reddit, sub, thread));
         }
       }
     } catch (e) {
@@ -36,4 +37,148 @@ export async function fetchReddit(subsCsv) {
     }
   }
   return results;
-}
\ No newline at end of file
+}
+
+/**
+ * Advance each cursor to the newest of the stored posts (and comments) fetched
+ * under it, so posts lost to a failed run are fetched again next time.
+ */
+export async function commitPosts(posts) {
+  const newest = new Map();
+  for (const p of posts) {
+    if (!p.cursorKey) continue;
+    const current = newest.get(p.cursorKey);
+    if (!current || p.created_utc > current.created_utc) newest.set(p.cursorKey, p);
+  }
+  for (const [key, p] of newest) {
+    await setCursor(name, key, { cursor: p.externalId, seenAt: new Date(p.created_utc * 1000) });
+  }
+}
+
+// Items newer than the cursor, from a listing sorted newest first
+function sinceCursor(items, saved) {
+  if (!saved) return { items, reachedCursor: false };
+  const seenTs = saved.seenAt ? saved.seenAt.getTime() / 1000 : 0;
+  // the cursor item may have been deleted, so also stop on anything older than it;
+  // items from the cursor's own second are kept (rawUrl dedupes what was stored)
+  const stop = items.findIndex(p => p.name === saved.cursor || p.created_utc < seenTs);
+  return stop < 0 ? { items, reachedCursor: false } : { items: items.slice(0, stop), reachedCursor: true };
+}
+
+// Page back through /new until we reach the newest post stored last run
+async function fetchNew(reddit, sub, maxPages) {
+  const saved = await getCursor(name, sub);
+  const posts = [];
+  let after;
+  let reachedCursor = false;
+
+  for (let page = 0; page < maxPages && !reachedCursor; page++) {
+    const params = { limit: String(PAGE_SIZE) };
+    if (after) params.after = after;
+    const j = await reddit.get(`/r/${encodeURIComponent(sub)}/new`, params);
+    const fresh = sinceCursor((j.data?.children || []).map(c => c.data), saved);
+    posts.push(...fresh.items);
+    reachedCursor = fresh.reachedCursor;
+    after = j.data?.after;
+    if (!after) break;
+  }
+
+  if (saved && !reachedCursor) {
+    console.warn(`reddit r/${sub}: more than ${maxPages} pages since last run, older posts skipped`);
+  }
+  return posts;
+}
+
+export function isMegathread(p) {
+  return Boolean(p.stickied || p.pinned) && MEGATHREAD.test(p.title || '');
+}
+
+// Stickied posts lead the hot listing
+async function fetchMegathreads(reddit, sub) {
+  const j = await reddit.get(`/r/${encodeURIComponent(sub)}/hot`, { limit: '10' });
+  return (j.data?.children || []).map(c => c.data).filter(isMegathread);
+}
+
+// Top-level comments posted since the thread's cursor ("<sub>/<thread fullname>")
+async function fetchNewComments(reddit, sub, post) {
+  const cursorKey = `${sub}/${post.name}`;
+  const saved = await getCursor(name, cursorKey);
+  const j = await reddit.get(`/comments/${encodeURIComponent(post.id)}`, { depth: '1', limit: '200', sort: 'new' });
+  const comments = (j[1]?.data?.children || [])
+    .filter(c => c.kind === 't1')
+    .map(c => c.data)
+    .filter(c => !c.stickied); // a mod's pinned comment comes first whatever its age
+  return sinceCursor(comments, saved).items
+    .filter(c => c.body && c.author && c.author !== '[deleted]')
+    .map(c => ({ ...normalizeComment(c, post), cursorKey }));
+}
+
+export function normalize(p) {
+  return {
+    platform,
+    externalId: p.name,
+    title: p.title || 'Untitled',
+    content: p.selftext || '',
+    author: p.author || 'unknown',
+    url: `https://reddit.com${p.permalink}`,
+    created_utc: p.created_utc,
+  };
+}
+
+function normalizeComment(c, post) {
+  const [firstLine, ...rest] = c.body.trim().split('\n');
+  return {
+    platform,
+    externalId: c.name,
+    title: firstLine.replace(/[*#_>]/g, '').trim() || post.title,
+    content: rest.join('\n').trim() || c.body,
+    author: c.author,
+    url: `https://reddit.com${c.permalink}`,
+    created_utc: c.created_utc,
+  };
+}
+
+// Fullname of the post or comment behind a stored permalink:
+// /r/<sub>/comments/<post>/<slug>/ is t3_<post>, with a trailing /<comment>/ it is t1_<comment>
+export function fullnameOf(url = '') {
+  const m = String(url).match(/\/comments\/([a-z0-9]+)(?:\/[^/?#]*\/([a-z0-9]+))?/i);
+  if (!m) return null;
+  return m[2] ? `t1_${m[2]}` : `t3_${m[1]}`;
+}
+
+// Why a post or comment is no longer an open job, or null while it is
+export function expiryReason(thing) {
+  const body = thing.selftext ?? thing.body ?? '';
+  if (thing.removed_by_category === 'deleted' || thing.removed_by_category === 'author' || body === '[deleted]') return 'deleted';
+  if (thing.removed_by_category || body === '[removed]') return 'removed';
+  if (thing.author === '[deleted]') return 'deleted';
+  if (/filled|closed|hired|found/i.test(thing.link_flair_text || '') || isFilled(`${thing.title || ''}\n${body}`)) return 'filled';
+  if (thing.locked || thing.archived) return 'locked';
+  return null;
+}
+
+/**
+ * Re-check stored Reddit leads, 100 per /api/info call. Resolves to a Map of
+ * lead id → expiry reason (null while the post is still open); leads whose URL
+ * isn't a Reddit permalink are left out.
+ */
+export async function checkLeads(leads, { reddit = getClient() } = {}) {
+  const byFullname = new Map();
+  for (const lead of leads) {
+    const fullname = fullnameOf(lead.rawUrl);
+    if (fullname) byFullname.set(fullname, lead);
+  }
+  const results = new Map();
+  const fullnames = [...byFullname.keys()];
+  for (let i = 0; i < fullnames.length; i += PAGE_SIZE) {
+    const batch = fullnames.slice(i, i + PAGE_SIZE);
+    const j = await reddit.get('/api/info', { id: batch.join(',') });
+    const found = new Map((j.data?.children || []).map(c => [c.data.name, c.data]));
+    for (const fullname of batch) {
+      const thing = found.get(fullname);
+      // /api/info leaves out things that no longer exist at all
+      results.set(byFullname.get(fullname).id, thing ? expiryReason(thing) : 'deleted');
+    }
+  }
+  return results;
+}
@@ -0,0 +1,97 @@
+import fetch from 'node-fetch';
+import { UnsafeUrlError, publicFetch } from '../lib/net.js';
+import { decodeEntities, stripCdata, stripHtml } from './text.js';
+
+export const name = 'rss';
+
+/**
+ * Fetch RSS 2.0 or Atom job feeds.
+ * config: { feeds: string[] | 'csv', label?: string }
+ */
+export async function fetchPosts({ feeds, label } = {}) {
+  const list = (Array.isArray(feeds) ? feeds : String(feeds || '').split(','))
+    .map(f => f.trim()).filter(Boolean);
+  const results = [];
+  for (const feedUrl of list) {
+    try {
+      const r = await fetch(feedUrl, {
+        headers: {
+          'User-Agent': 'freelance-signal/1.0',
+          Accept: 'application/rss+xml, application/atom+xml, application/xml;q=0.9, */*;q=0.8',
+        },
+      });
+      if (!r.ok) throw new Error(`HTTP ${r.status}`);
+      const xml = await r.text();
+      const platform = label || hostOf(feedUrl);
+      for (const entry of parseFeed(xml)) results.push({ platform, ...entry });
+    } catch (e) {
+      console.error('rss fetch failed', feedUrl, e.message);
+    }
+  }
+  return results;
+}
+
+// Minimal RSS/Atom reader: we only need a handful of fields per item
+export function parseFeed(xml) {
+  const blocks = xml.match(/<item\b[\s\S]*?<\/item>/gi) || xml.match(/<entry\b[\s\S]*?<\/entry>/gi) || [];
+  return blocks.map(block => {
+    const url = tag(block, 'link') || attr(block, 'link', 'href') || tag(block, 'guid') || tag(block, 'id');
+    const date = tag(block, 'pubDate') || tag(block, 'published') || tag(block, 'updated') || tag(block, 'dc:date');
+    const ts = date ? Date.parse(date) : NaN;
+    return {
+      externalId: tag(block, 'guid') || tag(block, 'id') || url,
+      title: plain(tag(block, 'title')) || 'Untitled',
+      content: plain(tag(block, 'content:encoded') || tag(block, 'description') || tag(block, 'content') || tag(block, 'summary')),
+      author: plain(tag(block, 'dc:creator') || tag(block, 'name') || tag(block, 'author')) || 'unknown',
+      url: decodeEntities(url),
+      created_utc: Number.isFinite(ts) ? Math.floor(ts / 1000) : undefined,
+    };
+  }).filter(e => e.url);
+}
+
+// Outside CDATA, feeds entity-escape their HTML, so unescape before stripping tags
+function plain(str) {
+  return stripHtml(/&lt;/.test(str) ? decodeEntities(str) : str);
+}
+
+function tag(block, name) {
+  const m = block.match(new RegExp(`<${name}\\b[^>]*>([\\s\\S]*?)</${name}>`, 'i'));
+  return m ? stripCdata(m[1]).trim() : '';
+}
+
+function attr(block, name, attrName) {
+  // prefer rel="alternate" (or no rel) links in Atom entries
+  const links = block.match(new RegExp(`<${name}\\b[^>]*>`, 'gi')) || [];
+  const pick = links.find(l => !/rel=["'](?!alternate)/i.test(l)) || links[0];
+  const m = pick?.match(new RegExp(`${attrName}=["']([^"']+)["']`, 'i'));
+  return m ? m[1] : '';
+}
+
+function hostOf(url) {
+  try { return new URL(url).hostname.replace(/^www\./, ''); } catch { return 'RSS'; }
+}
+
+/**
+ * Re-check leads from feeds (and any other source without its own check) by
+ * requesting the post URL: 404 and 410 mean the listing was taken down.
+ * Imported leads carry whatever URL the file had, so URLs (and redirects) on
+ * private networks are never requested (lib/net.js). Resolves to a Map of
+ * lead id → 'removed' or null.
+ */
+export async function checkLeads(leads) {
+  const results = new Map();
+  for (const lead of leads) {
+    if (!/^https?:\/\//.test(lead.rawUrl)) continue;
+    try {
+      const opts = { headers: { 'User-Agent': 'freelance-signal/1.0' }, signal: AbortSignal.timeout(10000) };
+      let r = await publicFetch(lead.rawUrl, { ...opts, method: 'HEAD' });
+      if (r.status === 405) r = await publicFetch(lead.rawUrl, opts); // some job boards don't answer HEAD
+      results.set(lead.id, r.status === 404 || r.status === 410 ? 'removed' : null);
+    } catch (e) {
+      if (e instanceof UnsafeUrlError) continue; // left open; nothing to learn from it
+      // unreachable host or timeout: try again next round rather than expire on a blip
+      console.error('rss check failed', lead.rawUrl, e.message);
+    }
+  }
+  return results;
+}
@@ -0,0 +1,35 @@
+// sources/text.js — helpers shared by adapters that receive HTML/XML bodies
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', '#x2F': '/', '#x27': "'" };
+
+export function decodeEntities(str = '') {
+  return String(str).replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (m, code) => {
+    if (Object.hasOwn(ENTITIES, code)) return ENTITIES[code];
+    if (code[0] === '#') {
+      const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      // beyond U+10FFFF String.fromCodePoint throws; leave such entities as written
+      return n <= 0x10ffff ? String.fromCodePoint(n) : m;
+    }
+    return m;
+  });
+}
+
+export function stripCdata(str = '') {
+  return String(str).replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1');
+}
+
+// Turn an HTML fragment into plain text, keeping paragraph breaks as newlines
+export function stripHtml(html = '') {
+  const text = String(html)
+    .replace(/<(br|\/p|\/div|\/li)\s*\/?>/gi, '\n')
+    .replace(/<p\b[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, '');
+  return decodeEntities(text).replace(/[ \t]+/g, ' ').replace(/\n\s*\n+/g, '\n').trim();
+}
+
+// Edits posters make once a job is taken: "[FILLED]", "Position has been filled", "EDIT: closed"
+const FILLED_RE = /\[\s*(?:filled|closed|hired|found)\s*\]|\b(?:position|role|job|spot|gig)s? (?:has been |have been |is |are )?(?:now )?(?:filled|closed|taken)\b|^\s*(?:edit\s*\d*\s*:?\s*)?(?:filled|closed|hired)\s*(?:[.!,:;-]|$)/im;
+
+export function isFilled(text = '') {
+  return FILLED_RE.test(String(text));
+}
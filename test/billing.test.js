@@ -0,0 +1,71 @@
+// test/billing.test.js — exactly-once Stripe event processing (lib/billing.js processEvent)
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { processEvent } from '../lib/billing.js';
+
+// StripeEvent rows in memory, with Postgres' unique-id behaviour
+function fakeDb({ profile = null } = {}) {
+  const events = new Map();
+  const updates = [];
+  const matches = (row, where) => (where.OR || [where]).some(c => (
+    (!c.status || row.status === c.status) && (!c.claimedAt || row.claimedAt < c.claimedAt.lt)
+  ));
+  return {
+    events,
+    updates,
+    stripeEvent: {
+      async create({ data }) {
+        if (events.has(data.id)) throw Object.assign(new Error('unique'), { code: 'P2002' });
+        events.set(data.id, { ...data, status: 'processing', claimedAt: new Date() });
+      },
+      async updateMany({ where, data }) {
+        const row = events.get(where.id);
+        if (!row || !matches(row, where)) return { count: 0 };
+        Object.assign(row, data);
+        return { count: 1 };
+      },
+      async update({ where, data }) {
+        Object.assign(events.get(where.id), data);
+      },
+    },
+    profile: {
+      async findUnique() { return profile; },
+      async update(args) { updates.push(args); },
+    },
+  };
+}
+
+const subscriptionEvent = (id) => ({
+  id,
+  type: 'customer.subscription.updated',
+  created: Math.floor(Date.now() / 1000),
+  data: { object: { id: 'sub_1', customer: 'cus_1', status: 'active', current_period_end: 0 } },
+});
+
+test('an event is applied once, however often it is delivered', async () => {
+  const db = fakeDb({ profile: { id: 'u1', stripe_customer_id: 'cus_1' } });
+  assert.deepEqual(await processEvent(subscriptionEvent('evt_1'), { db }), { duplicate: false });
+  assert.deepEqual(await processEvent(subscriptionEvent('evt_1'), { db }), { duplicate: true });
+  assert.equal(db.updates.length, 1);
+  assert.equal(db.events.get('evt_1').status, 'processed');
+});
+
+test('a delivery in progress is not claimed twice, a stale one is', async () => {
+  const db = fakeDb();
+  db.events.set('evt_2', { id: 'evt_2', status: 'processing', claimedAt: new Date() });
+  assert.deepEqual(await processEvent(subscriptionEvent('evt_2'), { db }), { duplicate: true });
+  db.events.get('evt_2').claimedAt = new Date(Date.now() - 60 * 60 * 1000);
+  assert.deepEqual(await processEvent(subscriptionEvent('evt_2'), { db }), { duplicate: false });
+});
+
+test('a failed event is recorded and retried on the next delivery', async () => {
+  const db = fakeDb({ profile: { id: 'u1', stripe_customer_id: 'cus_1' } });
+  const update = db.profile.update;
+  db.profile.update = async () => { throw new Error('db down'); };
+  await assert.rejects(processEvent(subscriptionEvent('evt_3'), { db }), /db down/);
+  assert.equal(db.events.get('evt_3').status, 'failed');
+  db.profile.update = update;
+  assert.deepEqual(await processEvent(subscriptionEvent('evt_3'), { db }), { duplicate: false });
+  assert.equal(db.events.get('evt_3').status, 'processed');
+});
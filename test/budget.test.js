@@ -0,0 +1,32 @@
+// test/budget.test.js — lib/budget.js parsing of budgets and rates out of post text
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { budgetColumns, parseBudget, usdRates } from '../lib/budget.js';
+
+const rates = usdRates({}); // the built-in table, whatever the environment says
+const parse = (text) => parseBudget(text, rates);
+
+test('prefix and postfix currency symbols', () => {
+  assert.deepEqual(
+    { ...parse('Budget: $50/hr') },
+    { raw: '$50/hr', min: 50, max: 50, currency: 'USD', period: 'hourly', usdMin: 50, usdMax: 50 },
+  );
+  assert.equal(parse('50$ per hour').period, 'hourly');
+  const euros = parse('1.5k€');
+  assert.equal(euros.currency, 'EUR');
+  assert.equal(euros.min, 1500);
+  const range = parse('Budget 5-8k €');
+  assert.deepEqual([range.min, range.max, range.currency], [5000, 8000, 'EUR']);
+});
+
+test('a period word before the amount counts, and none stated means null', () => {
+  assert.equal(parse('Hourly rate: $50').period, 'hourly');
+  assert.equal(parse('$5 per article').period, null);
+  assert.equal(parse('$3,000 fixed').period, 'fixed');
+});
+
+test('text without a budget', () => {
+  assert.equal(parse('no money here'), null);
+  assert.deepEqual(budgetColumns(null), budgetColumns(parse('no money here')));
+});
@@ -0,0 +1,39 @@
+// test/dedupe.test.js — MinHash signatures and duplicate lookup in lib/dedupe.js
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { bands, findDuplicate, repostCount, signature, similarity, tokenize } from '../lib/dedupe.js';
+
+const POST = 'Looking for a React developer to build our booking dashboard, $60/hr, remote';
+
+test('cross-post tags and links do not change the tokens', () => {
+  assert.deepEqual(tokenize('[Hiring] React dev https://example.com/x'), tokenize('[For Hire] react DEV'));
+});
+
+test('near-identical posts are similar, unrelated posts are not', () => {
+  const a = signature(POST);
+  assert.equal(similarity(a, signature(`[Hiring] ${POST}`)), 1);
+  assert.ok(similarity(a, signature('Need a plumber in Leeds this weekend, cash only')) < 0.3);
+  assert.deepEqual(signature('  '), []);
+  assert.equal(bands(a).length, 16);
+});
+
+test('findDuplicate only considers visible, unarchived leads', async () => {
+  const sig = signature(POST);
+  const queries = [];
+  const db = { lead: { findMany: async (q) => { queries.push(q.where); return [{ id: 'l1', minhash: sig, cluster: null }]; } } };
+
+  assert.equal((await findDuplicate(sig, { db })).id, 'l1');
+  await findDuplicate(sig, { db, orgId: 'o1' });
+  assert.equal(queries[0].archivedAt, null);
+  assert.deepEqual(queries[0].OR, [{ orgId: null }]);
+  assert.deepEqual(queries[1].OR, [{ orgId: null }, { orgId: 'o1' }]);
+  assert.equal(await findDuplicate([], { db }), null);
+  assert.equal(queries.length, 2);
+});
+
+test('repostCount counts the earlier sightings', () => {
+  assert.equal(repostCount(null), 0);
+  assert.equal(repostCount({ cluster: null }), 1);
+  assert.equal(repostCount({ cluster: { repostCount: 2 } }), 3);
+});
@@ -0,0 +1,80 @@
+// test/enrichment.test.js — lib/enrichment with the offline providers from mock.js
+import assert from 'node:assert/strict';
+import { beforeEach, test } from 'node:test';
+
+import { ERROR_TTL_MS, enrichLead, isEnriched, useProviders } from '../lib/enrichment/index.js';
+import { providers as mockProviders } from '../lib/enrichment/mock.js';
+
+// Just the LeadEnrichment calls enrichLead() makes, kept in memory
+function memoryDb() {
+  const rows = [];
+  return {
+    rows,
+    leadEnrichment: {
+      async findFirst({ where }) {
+        const now = new Date();
+        return rows.filter(r => r.provider === where.provider && r.cacheKey === where.cacheKey && r.status !== 'error' && r.expiresAt > now)
+          .sort((a, b) => b.createdAt - a.createdAt)[0] || null;
+      },
+      async upsert({ where, create, update }) {
+        const { leadId, provider } = where.leadId_provider;
+        const i = rows.findIndex(r => r.leadId === leadId && r.provider === provider);
+        if (i < 0) {
+          rows.push({ createdAt: new Date(), ...create });
+          return rows[rows.length - 1];
+        }
+        rows[i] = { ...rows[i], ...update };
+        return rows[i];
+      },
+    },
+  };
+}
+
+const lead = (fields = {}) => ({
+  id: 'lead-1',
+  source: 'Reddit',
+  author: 'acme_hiring',
+  company: 'Acme',
+  leadContacts: [{ type: 'github', value: 'https://github.com/acme' }],
+  ...fields,
+});
+
+beforeEach(() => useProviders(mockProviders));
+
+test('every mock provider answers and the lead counts as enriched', async () => {
+  const db = memoryDb();
+  const rows = await enrichLead(lead(), { db });
+  assert.deepEqual(rows.map(r => r.provider).sort(), ['company-domain', 'github', 'reddit-author']);
+  assert.ok(isEnriched(rows));
+  const author = rows.find(r => r.provider === 'reddit-author');
+  assert.ok(author.signals.authorAgeDays > 365);
+  assert.equal(rows.find(r => r.provider === 'company-domain').signals.companyDomain, 1);
+});
+
+test('throwaway Reddit accounts look new', async () => {
+  const [author] = await enrichLead(lead({ author: 'throwaway123', company: null, leadContacts: [] }), { db: memoryDb() });
+  assert.equal(author.signals.authorAgeDays, 2);
+  assert.equal(author.signals.authorKarma, 1);
+});
+
+test('a failed lookup leaves the lead pending until a retry succeeds', async () => {
+  const [redditAuthor, ...rest] = mockProviders;
+  const failing = { ...redditAuthor, lookup: async () => { throw new Error('Reddit /user/acme_hiring/about failed: HTTP 429'); } };
+  useProviders([failing, ...rest]);
+  const db = memoryDb();
+  const before = Date.now();
+  const rows = await enrichLead(lead(), { db });
+  assert.equal(isEnriched(rows), false);
+  const error = rows.find(r => r.provider === 'reddit-author');
+  assert.equal(error.status, 'error');
+  assert.deepEqual(error.signals, {});
+  assert.ok(error.expiresAt.getTime() >= before + ERROR_TTL_MS);
+
+  // the next run asks Reddit again and reuses the cached answers of the others
+  let lookups = 0;
+  const counting = (p) => ({ ...p, lookup: async (key) => { lookups++; return p.lookup(key); } });
+  useProviders(mockProviders.map(counting));
+  const retried = await enrichLead(lead(), { db });
+  assert.ok(isEnriched(retried));
+  assert.equal(lookups, 1);
+});
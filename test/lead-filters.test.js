@@ -0,0 +1,48 @@
+// test/lead-filters.test.js — filter parsing, Prisma `where` building and in-memory matching
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import {
+  FilterError, decodeCursor, encodeCursor, filtersFromQuery, leadWhere, matchesFilters, techKeys,
+} from '../lib/lead-filters.js';
+
+const lead = {
+  title: 'React dev wanted', summary: 'Remote, $60/hr', techStack: ['React', 'Node.js'],
+  location: 'remote', source: 'Reddit', score: 6, isCanonical: true, createdAt: new Date().toISOString(),
+};
+
+test('filtersFromQuery validates and drops empty values', () => {
+  assert.deepEqual(filtersFromQuery({ tech: 'React, node.js', minScore: '5', q: '' }), {
+    tech: ['React', 'node.js'], minScore: 5, collapse: true,
+  });
+  assert.throws(() => filtersFromQuery({ minScore: 'high' }), FilterError);
+  assert.throws(() => filtersFromQuery({ period: 'daily-ish' }), FilterError);
+});
+
+test('tech filters match any case', () => {
+  assert.deepEqual(techKeys(['React', 'react', 'Node.js']), ['react', 'node.js']);
+  const { AND } = leadWhere(filtersFromQuery({ tech: 'REACT', techAll: 'react,NODE.JS' }));
+  assert.deepEqual(AND[1], { techKeys: { hasSome: ['react'] } });
+  assert.deepEqual(AND[2], { techKeys: { hasEvery: ['react', 'node.js'] } });
+  assert.ok(matchesFilters(lead, { tech: ['react'] }));
+  assert.ok(matchesFilters(lead, { techAll: ['REACT', 'node.js'] }));
+  assert.ok(!matchesFilters(lead, { tech: ['vue'] }));
+});
+
+test('minScore is left to the caller and matched on the displayed score', () => {
+  assert.deepEqual(leadWhere({ minScore: 5, collapse: false }), {});
+  assert.ok(matchesFilters(lead, { minScore: 5 }));
+  assert.ok(!matchesFilters({ ...lead, currentScore: 2.5 }, { minScore: 5 }));
+});
+
+test('reposts are hidden unless collapse=false', () => {
+  assert.ok(!matchesFilters({ ...lead, isCanonical: false }, {}));
+  assert.ok(matchesFilters({ ...lead, isCanonical: false }, { collapse: false }));
+});
+
+test('cursors are tied to their sort', () => {
+  const token = encodeCursor('lead-1', 'newest');
+  assert.equal(decodeCursor(token, 'newest'), 'lead-1');
+  assert.throws(() => decodeCursor(token, 'score'), FilterError);
+  assert.throws(() => decodeCursor('not base64 json', 'newest'), FilterError);
+});
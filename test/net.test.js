@@ -0,0 +1,22 @@
+// test/net.test.js — lib/net.js private-address guard for user-supplied URLs
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { UnsafeUrlError, assertPublicUrl, isPublicAddress } from '../lib/net.js';
+
+test('loopback, private, link-local and mapped addresses are not public', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:10.0.0.1', 'not an ip']) {
+    assert.equal(isPublicAddress(address), false, address);
+  }
+  for (const address of ['8.8.8.8', '1.1.1.1', '2606:4700:4700::1111', '::ffff:8.8.8.8']) {
+    assert.equal(isPublicAddress(address), true, address);
+  }
+});
+
+test('assertPublicUrl rejects private hosts and other schemes without a lookup', async () => {
+  for (const url of ['http://127.0.0.1/hook', 'http://169.254.169.254/latest/meta-data', 'https://[::1]:8443/', 'ftp://8.8.8.8/', 'nonsense']) {
+    await assert.rejects(assertPublicUrl(url), UnsafeUrlError, url);
+  }
+  assert.equal((await assertPublicUrl('https://8.8.8.8/hook')).hostname, '8.8.8.8');
+});
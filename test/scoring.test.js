@@ -0,0 +1,40 @@
+// test/scoring.test.js — rule evaluation and rule set validation in scoring.js
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { DEFAULT_RULE_SET, VETO_SCORE, evaluateRules, validateRuleSet } from '../scoring.js';
+
+const withRule = (rule) => ({ version: 'test', rules: [{ id: 'r', points: 1, ...rule }] });
+
+test('the default rule set is valid and scores a typical post', () => {
+  assert.deepEqual(validateRuleSet(DEFAULT_RULE_SET), []);
+  const result = evaluateRules(DEFAULT_RULE_SET, { content: 'Need a React developer ASAP, $80/hr, remote' });
+  assert.ok(result.score > 0);
+  assert.deepEqual(result.techStack, ['React']);
+  assert.equal(result.location, 'remote');
+});
+
+test('veto rules stop scoring', () => {
+  const result = evaluateRules(DEFAULT_RULE_SET, { content: 'unpaid React internship' });
+  assert.equal(result.score, VETO_SCORE);
+});
+
+test('match, veto and extract rules need a bounded pattern', () => {
+  assert.deepEqual(validateRuleSet(withRule({ type: 'match' })), ['rules[0].pattern is required']);
+  assert.match(validateRuleSet(withRule({ type: 'veto', pattern: 'x'.repeat(501) }))[0], /at most 500/);
+  assert.match(validateRuleSet(withRule({ type: 'extract', field: 'company', pattern: '(a' }))[0], /is invalid/);
+  for (const pattern of ['(a+)+$', '(\\w+\\s?)*x', '((a*)b){2,}']) {
+    assert.equal(validateRuleSet(withRule({ type: 'match', pattern })).length, 1, pattern);
+  }
+  for (const pattern of ['(ab)+', '[(a+)]+', '\\(a+\\)+', 'remote|anywhere']) {
+    assert.deepEqual(validateRuleSet(withRule({ type: 'match', pattern })), [], pattern);
+  }
+});
+
+test('a pattern that backtracks for too long is abandoned, not run to the end', () => {
+  const started = Date.now();
+  const result = evaluateRules(withRule({ type: 'match', pattern: '(a|a)*b' }), { content: 'a'.repeat(40) });
+  assert.ok(Date.now() - started < 1000);
+  assert.equal(result.score, 0);
+  assert.match(result.breakdown[0].error, /timed out/);
+});
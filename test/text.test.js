@@ -0,0 +1,23 @@
+// test/text.test.js — HTML helpers shared by the source adapters (sources/text.js)
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { decodeEntities, isFilled, stripHtml } from '../sources/text.js';
+
+test('decodeEntities decodes named and numeric entities', () => {
+  assert.equal(decodeEntities('Tom &amp; Jerry &lt;3 &#39;hi&#x27; &#x1F600;'), "Tom & Jerry <3 'hi' 😀");
+});
+
+test('decodeEntities leaves unknown and out-of-range entities as written', () => {
+  assert.equal(decodeEntities('&#x110000; &#99999999999; &bogus; &constructor;'), '&#x110000; &#99999999999; &bogus; &constructor;');
+});
+
+test('stripHtml keeps paragraph breaks', () => {
+  assert.equal(stripHtml('<p>Need a <b>React</b> dev</p><p>$50/hr</p>'), 'Need a React dev\n$50/hr');
+});
+
+test('isFilled spots edits made once a job is taken', () => {
+  assert.ok(isFilled('[FILLED] Looking for a designer'));
+  assert.ok(isFilled('Edit: position has been filled, thanks'));
+  assert.ok(!isFilled('Looking to fill a React role'));
+});